@@ -13,7 +13,11 @@ export default [
         global: 'readonly',
         fetch: 'readonly',
         Request: 'readonly',
-        Response: 'readonly'
+        Response: 'readonly',
+        Intl: 'readonly',
+        URL: 'readonly',
+        URLSearchParams: 'readonly',
+        AbortSignal: 'readonly'
       }
     },
     rules: {
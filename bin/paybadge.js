@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+
+/**
+ * PayBadge command line entry point
+ * Run `paybadge help` for the list of commands
+ */
+
+import { runCli } from '../src/cli.js';
+
+runCli(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
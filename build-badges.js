@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+
+/**
+ * Regenerates the static badge files served from the repository root
+ * Run with `npm run build:badges` after changing how badges are rendered
+ */
+
+import { writeFile } from 'fs/promises';
+import { generateBadgeSVG } from './src/badge-generator.js';
+
+/**
+ * Static badge files and the parameters they are generated from
+ */
+const STATIC_BADGES = {
+  'badge-large.svg': { size: 'large' }
+};
+
+async function buildBadges() {
+  for (const [file, params] of Object.entries(STATIC_BADGES)) {
+    await writeFile(new URL(file, import.meta.url), `${generateBadgeSVG(params)}\n`);
+    console.log(`✅ Wrote ${file}`);
+  }
+}
+
+buildBadges().catch((error) => {
+  console.error('❌ Failed to build badges:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,330 @@
+/**
+ * Address Validation
+ * Checks Bitcoin, Ethereum and Solana addresses, including their checksums, before donors pay them
+ */
+
+import { keccak256, sha256 } from './hashes.js';
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+/**
+ * Final polymod value of each bech32 checksum variant (BIP173 and BIP350)
+ */
+const BECH32_CONSTANTS = {
+  bech32: 1,
+  bech32m: 0x2bc830a3
+};
+
+const BECH32_GENERATORS = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+/**
+ * Bitcoin chains by bech32 prefix and by base58check version byte
+ */
+const BITCOIN_BECH32_CHAINS = {
+  bc: 'mainnet',
+  tb: 'testnet',
+  bcrt: 'regtest'
+};
+
+const BITCOIN_BASE58_VERSIONS = {
+  0x00: { chain: 'mainnet', type: 'p2pkh' },
+  0x05: { chain: 'mainnet', type: 'p2sh' },
+  0x6f: { chain: 'testnet', type: 'p2pkh' },
+  0xc4: { chain: 'testnet', type: 'p2sh' }
+};
+
+/**
+ * Decodes a base58 string
+ * @param {string} text - Base58 text
+ * @returns {Uint8Array|null} - Decoded bytes, or null if the text is not base58
+ */
+function decodeBase58(text) {
+  if (!/^[1-9A-HJ-NP-Za-km-z]+$/.test(text)) {
+    return null;
+  }
+
+  let value = 0n;
+  for (const char of text) {
+    value = value * 58n + BigInt(BASE58_ALPHABET.indexOf(char));
+  }
+
+  const bytes = [];
+  while (value > 0n) {
+    bytes.unshift(Number(value & 0xffn));
+    value >>= 8n;
+  }
+
+  // Each leading "1" stands for a leading zero byte
+  const zeros = text.match(/^1*/)[0].length;
+  return Uint8Array.from([...new Array(zeros).fill(0), ...bytes]);
+}
+
+/**
+ * Computes the bech32 checksum polymod
+ * @param {Array<number>} values - 5-bit values
+ * @returns {number} - Polymod as an unsigned 30-bit integer
+ */
+function bech32Polymod(values) {
+  let checksum = 1;
+
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    BECH32_GENERATORS.forEach((generator, i) => {
+      if ((top >>> i) & 1) {
+        checksum ^= generator;
+      }
+    });
+  }
+
+  return checksum >>> 0;
+}
+
+/**
+ * Decodes a bech32 or bech32m string
+ * @param {string} text - Bech32 text (all lowercase or all uppercase)
+ * @returns {Object|null} - { prefix, words, encoding } where encoding is null if the checksum
+ *   fails, or null if the text is not bech32 at all
+ */
+function decodeBech32(text) {
+  if (text.length > 90 || (text !== text.toLowerCase() && text !== text.toUpperCase())) {
+    return null;
+  }
+
+  const lower = text.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > lower.length) {
+    return null;
+  }
+
+  const prefix = lower.slice(0, separator);
+  const words = [...lower.slice(separator + 1)].map((char) => BECH32_CHARSET.indexOf(char));
+  if (words.includes(-1)) {
+    return null;
+  }
+
+  const expandedPrefix = [
+    ...[...prefix].map((char) => char.charCodeAt(0) >> 5),
+    0,
+    ...[...prefix].map((char) => char.charCodeAt(0) & 31)
+  ];
+  const polymod = bech32Polymod([...expandedPrefix, ...words]);
+  const encoding = Object.keys(BECH32_CONSTANTS).find((name) => BECH32_CONSTANTS[name] === polymod);
+
+  return { prefix, words: words.slice(0, -6), encoding: encoding || null };
+}
+
+/**
+ * Regroups 5-bit words into bytes
+ * @param {Array<number>} words - 5-bit words
+ * @returns {Array<number>|null} - Bytes, or null if the padding is invalid
+ */
+function wordsToBytes(words) {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+
+  for (const word of words) {
+    buffer = (buffer << 5) | word;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+
+  // Leftover bits are padding: fewer than 5 of them, all zero
+  return bits >= 5 || (buffer & ((1 << bits) - 1)) !== 0 ? null : bytes;
+}
+
+/**
+ * Describes a segwit output by witness version and program length
+ * @param {number} version - Witness version
+ * @param {number} length - Program length in bytes
+ * @returns {string} - Address type
+ */
+function segwitType(version, length) {
+  if (version === 0) {
+    return length === 20 ? 'p2wpkh' : 'p2wsh';
+  }
+
+  return version === 1 && length === 32 ? 'p2tr' : `witness-v${version}`;
+}
+
+/**
+ * Validates a bech32 (segwit v0) or bech32m (taproot and later) Bitcoin address
+ * @param {string} address - Address text
+ * @returns {Object|null} - Validation result, or null if the address is not bech32 at all
+ */
+function validateSegwitAddress(address) {
+  const decoded = decodeBech32(address);
+
+  if (!decoded || !BITCOIN_BECH32_CHAINS[decoded.prefix]) {
+    return null;
+  }
+
+  const [version, ...programWords] = decoded.words;
+  const program = wordsToBytes(programWords);
+  const invalid = (error) => ({ isValid: false, chain: null, type: null, error });
+
+  // A Bitcoin prefix with a bad checksum is a typo, not some other kind of address
+  if (!decoded.encoding) {
+    return invalid('Bech32 checksum mismatch. Check the address for typos.');
+  }
+
+  if (
+    version === undefined ||
+    version > 16 ||
+    !program ||
+    program.length < 2 ||
+    program.length > 40
+  ) {
+    return invalid('Malformed segwit address.');
+  }
+
+  if (version === 0 && program.length !== 20 && program.length !== 32) {
+    return invalid('Segwit v0 programs must be 20 or 32 bytes.');
+  }
+
+  // BIP350: version 0 uses bech32, every later version bech32m
+  if (decoded.encoding !== (version === 0 ? 'bech32' : 'bech32m')) {
+    return invalid(
+      `Segwit v${version} addresses must use ${version === 0 ? 'bech32' : 'bech32m'}.`
+    );
+  }
+
+  return {
+    isValid: true,
+    chain: BITCOIN_BECH32_CHAINS[decoded.prefix],
+    type: segwitType(version, program.length),
+    error: null
+  };
+}
+
+/**
+ * Validates a Bitcoin address: base58check (legacy and P2SH) or bech32/bech32m (segwit and
+ * taproot), detecting the chain it belongs to
+ * @param {string} address - Address text
+ * @returns {Object} - { isValid, chain, type, error } where chain is mainnet, testnet or regtest
+ */
+export function validateBitcoinAddress(address) {
+  const text = String(address ?? '').trim();
+  const invalid = (error) => ({ isValid: false, chain: null, type: null, error });
+
+  const segwit = validateSegwitAddress(text);
+  if (segwit) {
+    return segwit;
+  }
+
+  const bytes = decodeBase58(text);
+  if (!bytes || bytes.length !== 25) {
+    return invalid('Expected a base58check or bech32 Bitcoin address.');
+  }
+
+  const payload = bytes.subarray(0, 21);
+  const checksum = sha256(sha256(payload)).subarray(0, 4);
+  if (checksum.some((byte, i) => byte !== bytes[21 + i])) {
+    return invalid('Checksum mismatch. Check the address for typos.');
+  }
+
+  const version = BITCOIN_BASE58_VERSIONS[bytes[0]];
+  if (!version) {
+    return invalid(`Unknown address version 0x${bytes[0].toString(16).padStart(2, '0')}.`);
+  }
+
+  return { isValid: true, ...version, error: null };
+}
+
+/**
+ * Formats a hex address with the EIP-55 mixed-case checksum
+ * @param {string} hex - 40 hex digits without 0x
+ * @returns {string} - Checksummed address with 0x
+ */
+export function toChecksumAddress(hex) {
+  const lower = hex.toLowerCase();
+  const hash = keccak256(Uint8Array.from(lower, (char) => char.charCodeAt(0)));
+
+  const digits = [...lower].map((char, i) => {
+    const nibble = (hash[i >> 1] >> (i % 2 === 0 ? 4 : 0)) & 0xf;
+    return nibble >= 8 ? char.toUpperCase() : char;
+  });
+
+  return `0x${digits.join('')}`;
+}
+
+/**
+ * Validates an Ethereum address. Mixed-case addresses must match their EIP-55 checksum;
+ * all-lowercase or all-uppercase ones carry no checksum and are only checked for shape.
+ * @param {string} address - Address text
+ * @returns {Object} - { isValid, address, checksummed, error } with the EIP-55 form of the address
+ */
+export function validateEthereumAddress(address) {
+  const text = String(address ?? '').trim();
+  const invalid = (error) => ({ isValid: false, address: null, checksummed: false, error });
+
+  if (!/^0x[0-9a-fA-F]{40}$/.test(text)) {
+    return invalid('Expected 0x followed by 40 hex digits.');
+  }
+
+  const hex = text.slice(2);
+  const checksummed = hex !== hex.toLowerCase() && hex !== hex.toUpperCase();
+  const checksumAddress = toChecksumAddress(hex);
+
+  if (checksummed && checksumAddress !== text) {
+    return invalid('EIP-55 checksum mismatch. Check the address for typos.');
+  }
+
+  return { isValid: true, address: checksumAddress, checksummed, error: null };
+}
+
+/**
+ * Validates a Solana address: a base58-encoded 32-byte public key
+ * @param {string} address - Address text
+ * @returns {Object} - { isValid, error }
+ */
+export function validateSolanaAddress(address) {
+  const bytes = decodeBase58(String(address ?? '').trim());
+
+  if (!bytes || bytes.length !== 32) {
+    return { isValid: false, error: 'Expected a base58-encoded 32-byte public key.' };
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Address validator of each payment network
+ */
+const ADDRESS_VALIDATORS = {
+  bitcoin: validateBitcoinAddress,
+  ethereum: validateEthereumAddress,
+  solana: validateSolanaAddress
+};
+
+/**
+ * Validates an address on a payment network
+ * @param {string} network - Payment network (bitcoin, ethereum or solana)
+ * @param {string} address - Address text
+ * @returns {Object} - { isValid, network, address, error, ... } plus the network validator's
+ *   details, with the address normalized (trimmed, and EIP-55 checksummed on Ethereum)
+ */
+export function validateAddress(network, address) {
+  const validator = ADDRESS_VALIDATORS[network];
+
+  if (!validator) {
+    return {
+      isValid: false,
+      network,
+      error: `Unknown network: ${network}. Supported networks: ${Object.keys(ADDRESS_VALIDATORS).join(', ')}`
+    };
+  }
+
+  const validation = validator(address);
+  return {
+    address: validation.isValid ? String(address).trim() : null,
+    ...validation,
+    network
+  };
+}
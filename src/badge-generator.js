@@ -1,4 +1,20 @@
 import crypto from 'crypto';
+import { BADGE_STYLES, getBadgeStyle, resolveStyleName } from './badge-styles.js';
+import { normalizeColor, getContrastColors } from './colors.js';
+import { layoutSegments } from './badge-layout.js';
+import {
+  ICON_NAMES,
+  DEFAULT_LOGO_WIDTH,
+  LOGO_WIDTH_RANGE,
+  resolveIconName,
+  validateCustomLogo,
+  renderIcon
+} from './icons.js';
+import { getCoin, parseTickers } from './coins.js';
+import { countGraphemes, truncateGraphemes, stripInvalidXmlChars } from './text.js';
+import { parseSegments } from './segments.js';
+
+export { calculateTextWidth } from './badge-layout.js';
 
 /**
  * Default configuration for badge generation
@@ -8,21 +24,72 @@ const DEFAULT_CONFIG = {
   rightText: 'crypto',
   leftColor: '#555',
   rightColor: '#4c1',
-  style: 'standard',
+  style: 'flat',
   icon: null,
-  width: 110,
-  height: 20,
-  fontSize: 11,
+  logo: null,
+  logoColor: null,
+  logoWidth: DEFAULT_LOGO_WIDTH,
+  iconPosition: 'left',
+  tickers: null,
+  theme: 'light',
+  darkLeftColor: '#6e7681',
+  darkRightColor: null,
+  segments: null,
+  inline: false,
+  size: 'medium',
+  scale: null,
   fontFamily: 'Verdana,Geneva,DejaVu Sans,sans-serif'
 };
 
 /**
- * Maximum allowed text length to prevent abuse
+ * Color themes: light uses the regular colors, dark the dark colors, and auto switches
+ * between them with the viewer's prefers-color-scheme
+ */
+const THEMES = ['light', 'dark', 'auto'];
+
+/**
+ * Prefix of the element ids and class names in a badge, followed by a hash of its parameters
+ */
+const ID_PREFIX = 'pb';
+
+/**
+ * Number of hex digits of the parameter hash kept in ids
+ */
+const ID_HASH_LENGTH = 8;
+
+/**
+ * Named badge sizes and the factor each scales the style's geometry by
+ */
+const BADGE_SIZES = {
+  small: 0.8,
+  medium: 1,
+  large: 1.4,
+  xl: 2
+};
+
+/**
+ * Allowed range for an explicit scale factor
+ */
+const SCALE_RANGE = { min: 0.5, max: 4 };
+
+/**
+ * Segments an icon can be placed in
+ */
+const ICON_POSITIONS = ['left', 'right'];
+
+/**
+ * Maximum allowed text length, in grapheme clusters, to prevent abuse
  */
 const MAX_TEXT_LENGTH = 50;
 
 /**
- * Sanitizes input text to prevent XSS and other security issues
+ * Script and style blocks, which are never meant as label text
+ */
+const SCRIPT_BLOCKS = /<\s*(script|style)\b[^>]*>[\s\S]*?<\/\s*\1\s*>|<\/?\s*(script|style)\b[^>]*>/gi;
+
+/**
+ * Normalizes input text. Text is otherwise kept as typed ("Tom & Jerry", "don't") and made
+ * safe by escaping when the SVG is rendered.
  * @param {string} text - Text to sanitize
  * @returns {string} - Sanitized text
  */
@@ -31,7 +98,7 @@ function sanitizeText(text) {
     return '';
   }
   
-  // First decode URL encoding, then sanitize
+  // First decode URL encoding, then normalize
   let decoded;
   try {
     decoded = decodeURIComponent(text);
@@ -39,28 +106,70 @@ function sanitizeText(text) {
     decoded = text; // If decoding fails, use original
   }
   
-  // Remove dangerous patterns completely
-  let sanitized = decoded
-    .replace(/<[^>]*>/g, '') // Remove all HTML tags
-    .replace(/javascript:/gi, '') // Remove javascript: protocol
-    .replace(/vbscript:/gi, '') // Remove vbscript: protocol
-    .replace(/on\w+\s*=/gi, '') // Remove event handlers like onclick=
-    .replace(/script|alert|eval|prompt|confirm/gi, '') // Remove dangerous keywords
-    .replace(/[<>&"']/g, (match) => {
-      const entities = {
-        '<': '',
-        '>': '',
-        '&': '',
-        '"': '',
-        "'": ''
-      };
-      return entities[match];
-    })
-    .trim()
-    .substring(0, MAX_TEXT_LENGTH);
+  const sanitized = stripInvalidXmlChars(decoded)
+    .replace(SCRIPT_BLOCKS, '')
+    .replace(/\s+/g, ' ')
+    .normalize('NFC')
+    .trim();
   
-  // If sanitization removed everything, return empty string
-  return sanitized || '';
+  return truncateGraphemes(sanitized, MAX_TEXT_LENGTH);
+}
+
+/**
+ * Validates and sanitizes the segments of a multi-segment badge. Segments without a color
+ * take the left color (first segment) or the right color (the others).
+ * @param {string|Array<Object>} value - Raw segments parameter
+ * @param {Object} defaults - Sanitized colors to fall back to
+ * @returns {Object} - { isValid, segments, error }
+ */
+function validateSegments(value, defaults) {
+  const parsed = parseSegments(value);
+
+  if (!parsed.isValid) {
+    return parsed;
+  }
+
+  const segments = [];
+
+  for (const [index, segment] of parsed.segments.entries()) {
+    if (countGraphemes(segment.text) > MAX_TEXT_LENGTH) {
+      return {
+        isValid: false,
+        segments: null,
+        error: `Text too long. Maximum ${MAX_TEXT_LENGTH} characters allowed.`
+      };
+    }
+
+    const text = sanitizeText(segment.text);
+    const iconName = sanitizeText(segment.icon);
+    const icon = iconName ? resolveIconName(iconName) : null;
+
+    if (iconName && !icon) {
+      return {
+        isValid: false,
+        segments: null,
+        error: `Unknown icon: ${iconName}. Available icons: ${ICON_NAMES.join(', ')}`
+      };
+    }
+
+    if (!text && !icon) {
+      return {
+        isValid: false,
+        segments: null,
+        error: `Invalid segments. Segment ${index + 1} needs text or an icon.`
+      };
+    }
+
+    const fallbackColor = index === 0 ? defaults.leftColor : defaults.rightColor;
+    const color = normalizeColor(sanitizeText(segment.color)) || fallbackColor;
+    const darkColor =
+      normalizeColor(sanitizeText(segment.darkColor)) ||
+      (index === 0 ? defaults.darkLeftColor : color);
+
+    segments.push({ text, color, darkColor, icon });
+  }
+
+  return { isValid: true, segments, error: null };
 }
 
 /**
@@ -70,11 +179,14 @@ function sanitizeText(text) {
  */
 export function validateBadgeParams(params = {}) {
   try {
-    // Validate text length BEFORE sanitization to catch long inputs
-    const originalLeftText = params.leftText || '';
-    const originalRightText = params.rightText || '';
+    // Validate text length BEFORE sanitization to catch long inputs, counting what users see as characters
+    const originalLeftText = String(params.leftText || '');
+    const originalRightText = String(params.rightText || '');
     
-    if (originalLeftText.length > MAX_TEXT_LENGTH || originalRightText.length > MAX_TEXT_LENGTH) {
+    if (
+      countGraphemes(originalLeftText) > MAX_TEXT_LENGTH ||
+      countGraphemes(originalRightText) > MAX_TEXT_LENGTH
+    ) {
       return {
         isValid: false,
         error: `Text too long. Maximum ${MAX_TEXT_LENGTH} characters allowed.`,
@@ -83,20 +195,190 @@ export function validateBadgeParams(params = {}) {
     }
 
     const sanitized = {
-      leftText: sanitizeText(params.leftText) || DEFAULT_CONFIG.leftText,
+      // An explicitly empty label leaves it out, as shields does for `?label=`
+      leftText:
+        params.leftText === '' ? '' : sanitizeText(params.leftText) || DEFAULT_CONFIG.leftText,
       rightText: sanitizeText(params.rightText) || DEFAULT_CONFIG.rightText,
       leftColor: sanitizeText(params.leftColor) || DEFAULT_CONFIG.leftColor,
       rightColor: sanitizeText(params.rightColor) || DEFAULT_CONFIG.rightColor,
-      style: sanitizeText(params.style) || DEFAULT_CONFIG.style,
-      icon: sanitizeText(params.icon) || DEFAULT_CONFIG.icon
+      style: DEFAULT_CONFIG.style,
+      icon: DEFAULT_CONFIG.icon,
+      logo: DEFAULT_CONFIG.logo,
+      logoColor: DEFAULT_CONFIG.logoColor,
+      logoWidth: DEFAULT_CONFIG.logoWidth,
+      iconPosition: DEFAULT_CONFIG.iconPosition,
+      tickers: DEFAULT_CONFIG.tickers,
+      theme: DEFAULT_CONFIG.theme,
+      darkLeftColor: DEFAULT_CONFIG.darkLeftColor,
+      darkRightColor: DEFAULT_CONFIG.darkRightColor,
+      segments: null,
+      inline: ['true', '1'].includes(String(params.inline).toLowerCase()),
+      size: DEFAULT_CONFIG.size,
+      scale: DEFAULT_CONFIG.scale
     };
 
-    // Validate color format (basic hex color validation)
-    const colorRegex = /^#[0-9A-Fa-f]{3,6}$/;
-    if (!colorRegex.test(sanitized.leftColor) || !colorRegex.test(sanitized.rightColor)) {
-      // If invalid colors, use defaults
-      sanitized.leftColor = DEFAULT_CONFIG.leftColor;
-      sanitized.rightColor = DEFAULT_CONFIG.rightColor;
+    // Validate tickers; the coin icons replace the default right text unless it was given
+    if (params.tickers) {
+      const tickerValidation = parseTickers(params.tickers);
+
+      if (!tickerValidation.isValid) {
+        return {
+          isValid: false,
+          error: tickerValidation.error,
+          params: null
+        };
+      }
+
+      sanitized.tickers = tickerValidation.tickers;
+      sanitized.rightText = sanitizeText(params.rightText);
+    }
+
+    // Validate icon: `icon` names a registered icon, `logo` is a name or a data URI
+    const logoInput = typeof params.logo === 'string' ? params.logo.trimStart() : '';
+    if (logoInput.startsWith('data:')) {
+      const logoValidation = validateCustomLogo(logoInput);
+
+      if (!logoValidation.isValid) {
+        return {
+          isValid: false,
+          error: logoValidation.error,
+          params: null
+        };
+      }
+
+      sanitized.logo = logoValidation.logo;
+    }
+
+    const iconName = sanitizeText(params.icon) || (sanitized.logo ? '' : sanitizeText(logoInput));
+    if (iconName) {
+      const icon = resolveIconName(iconName);
+
+      if (!icon) {
+        return {
+          isValid: false,
+          error: `Unknown icon: ${iconName}. Available icons: ${ICON_NAMES.join(', ')}`,
+          params: null
+        };
+      }
+
+      sanitized.icon = icon;
+    }
+
+    if (params.logoColor) {
+      sanitized.logoColor = normalizeColor(sanitizeText(params.logoColor));
+    }
+
+    if (params.logoWidth !== undefined && params.logoWidth !== null && params.logoWidth !== '') {
+      const logoWidth = Number(params.logoWidth);
+
+      if (
+        !Number.isInteger(logoWidth) ||
+        logoWidth < LOGO_WIDTH_RANGE.min ||
+        logoWidth > LOGO_WIDTH_RANGE.max
+      ) {
+        return {
+          isValid: false,
+          error: `Invalid logoWidth. Must be an integer between ${LOGO_WIDTH_RANGE.min} and ${LOGO_WIDTH_RANGE.max}.`,
+          params: null
+        };
+      }
+
+      sanitized.logoWidth = logoWidth;
+    }
+
+    // Validate style against the registered renderers
+    if (params.style) {
+      const style = resolveStyleName(sanitizeText(params.style));
+
+      if (!style) {
+        return {
+          isValid: false,
+          error: `Unknown style: ${sanitizeText(params.style)}. Supported styles: ${BADGE_STYLES.join(', ')}`,
+          params: null
+        };
+      }
+
+      sanitized.style = style;
+    }
+
+    if (params.iconPosition) {
+      const iconPosition = sanitizeText(params.iconPosition).toLowerCase();
+
+      if (!ICON_POSITIONS.includes(iconPosition)) {
+        return {
+          isValid: false,
+          error: `Invalid iconPosition. Must be one of: ${ICON_POSITIONS.join(', ')}`,
+          params: null
+        };
+      }
+
+      sanitized.iconPosition = iconPosition;
+    }
+
+    if (params.theme) {
+      const theme = sanitizeText(params.theme).toLowerCase();
+
+      if (!THEMES.includes(theme)) {
+        return {
+          isValid: false,
+          error: `Invalid theme. Must be one of: ${THEMES.join(', ')}`,
+          params: null
+        };
+      }
+
+      sanitized.theme = theme;
+    }
+
+    if (params.size) {
+      const size = sanitizeText(params.size).toLowerCase();
+
+      if (!Object.keys(BADGE_SIZES).includes(size)) {
+        return {
+          isValid: false,
+          error: `Invalid size. Must be one of: ${Object.keys(BADGE_SIZES).join(', ')}`,
+          params: null
+        };
+      }
+
+      sanitized.size = size;
+    }
+
+    // An explicit scale factor takes precedence over the named size
+    if (params.scale !== undefined && params.scale !== null && params.scale !== '') {
+      const scale = Number(params.scale);
+
+      if (!Number.isFinite(scale) || scale < SCALE_RANGE.min || scale > SCALE_RANGE.max) {
+        return {
+          isValid: false,
+          error: `Invalid scale. Must be a number between ${SCALE_RANGE.min} and ${SCALE_RANGE.max}.`,
+          params: null
+        };
+      }
+
+      sanitized.scale = scale;
+    }
+
+    // Validate each color independently, falling back to its own default
+    sanitized.leftColor = normalizeColor(sanitized.leftColor) || DEFAULT_CONFIG.leftColor;
+    sanitized.rightColor = normalizeColor(sanitized.rightColor) || DEFAULT_CONFIG.rightColor;
+    sanitized.darkLeftColor =
+      normalizeColor(sanitizeText(params.darkLeftColor)) || DEFAULT_CONFIG.darkLeftColor;
+    // The right segment usually carries a brand color, so it keeps it in dark mode unless told otherwise
+    sanitized.darkRightColor =
+      normalizeColor(sanitizeText(params.darkRightColor)) || sanitized.rightColor;
+
+    if (params.segments) {
+      const segmentValidation = validateSegments(params.segments, sanitized);
+
+      if (!segmentValidation.isValid) {
+        return {
+          isValid: false,
+          error: segmentValidation.error,
+          params: null
+        };
+      }
+
+      sanitized.segments = segmentValidation.segments;
     }
 
     return {
@@ -114,44 +396,23 @@ export function validateBadgeParams(params = {}) {
 }
 
 /**
- * Calculates text width for proper badge sizing
- * @param {string} text - Text to measure
- * @param {number} fontSize - Font size
- * @returns {number} - Estimated text width
+ * Derives the id prefix of a badge from a hash of everything that affects its markup
+ * @param {Object} input - Validated parameters and rendering extras
+ * @returns {string} - Id prefix such as "pb-1a2b3c4d"
  */
-function calculateTextWidth(text, fontSize = DEFAULT_CONFIG.fontSize) {
-  // Approximate character width calculation
-  // This is a simplified calculation; in production, you might want to use a more accurate method
-  const avgCharWidth = fontSize * 0.6;
-  return text.length * avgCharWidth;
-}
-
-/**
- * Generates crypto icon SVG path
- * @param {string} iconType - Type of icon to generate
- * @returns {string} - SVG path for the icon
- */
-function generateCryptoIcon(iconType) {
-  const icons = {
-    crypto: `<g transform="translate(8, 4)">
-      <circle cx="6" cy="6" r="6" fill="#f7931a"/>
-      <path d="M8.5 4.5c.1-.8-.5-1.2-1.3-1.5l.3-1.1-.7-.2-.3 1.1c-.2 0-.3-.1-.5-.1l.3-1.1-.7-.2-.3 1.1c-.1 0-.3-.1-.4-.1l-.9-.2-.2.7s.5.1.5.1c.3.1.3.2.3.4l-.3 1.3c0 0 0 0 .1 0l-.1 0-.7 1.7c-.1.1-.2.3-.5.2 0 0-.5-.1-.5-.1l-.3.8.9.2.5.1-.3 1.1.7.2.3-1.1c.2 0 .4.1.5.1l-.3 1.1.7.2.3-1.1c1.1.2 2-.1 2.3-.9.3-.8 0-1.3-.6-1.6.4-.1.8-.4.8-1zm-1.5 2.1c-.2.8-1.6.4-2 .3l.4-1.5c.4.1 1.9.3 1.6 1.2zm.2-2.2c-.2.7-1.3.4-1.7.3l.3-1.3c.4.1 1.6.3 1.4 1z" fill="white"/>
-    </g>`,
-    bitcoin: `<g transform="translate(8, 4)">
-      <circle cx="6" cy="6" r="6" fill="#f7931a"/>
-      <path d="M8.5 4.5c.1-.8-.5-1.2-1.3-1.5l.3-1.1-.7-.2-.3 1.1c-.2 0-.3-.1-.5-.1l.3-1.1-.7-.2-.3 1.1c-.1 0-.3-.1-.4-.1l-.9-.2-.2.7s.5.1.5.1c.3.1.3.2.3.4l-.3 1.3c0 0 0 0 .1 0l-.1 0-.7 1.7c-.1.1-.2.3-.5.2 0 0-.5-.1-.5-.1l-.3.8.9.2.5.1-.3 1.1.7.2.3-1.1c.2 0 .4.1.5.1l-.3 1.1.7.2.3-1.1c1.1.2 2-.1 2.3-.9.3-.8 0-1.3-.6-1.6.4-.1.8-.4.8-1zm-1.5 2.1c-.2.8-1.6.4-2 .3l.4-1.5c.4.1 1.9.3 1.6 1.2zm.2-2.2c-.2.7-1.3.4-1.7.3l.3-1.3c.4.1 1.6.3 1.4 1z" fill="white"/>
-    </g>`
-  };
-  
-  return icons[iconType] || '';
+function createIdPrefix(input) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(input)).digest('hex');
+  return `${ID_PREFIX}-${hash.slice(0, ID_HASH_LENGTH)}`;
 }
 
 /**
  * Generates SVG badge with specified parameters
  * @param {Object} options - Badge generation options
+ * @param {Object} extras - Rendering extras not exposed as query parameters
+ * @param {Object} extras.progress - Progress bar ({ ratio, color }) filling the right segment
  * @returns {string} - Complete SVG markup
  */
-export function generateBadgeSVG(options = {}) {
+export function generateBadgeSVG(options = {}, { progress = null } = {}) {
   // Handle direct text parameter for backward compatibility
   if (options.text) {
     options.rightText = options.text;
@@ -165,47 +426,85 @@ export function generateBadgeSVG(options = {}) {
   
   const params = validation.params;
   
-  // Calculate dimensions
-  const leftTextWidth = calculateTextWidth(params.leftText);
-  const rightTextWidth = calculateTextWidth(params.rightText);
-  const iconWidth = params.icon ? 16 : 0;
-  const padding = 12;
-  
-  const leftWidth = Math.max(leftTextWidth + padding, 55);
-  const rightWidth = Math.max(rightTextWidth + padding + iconWidth, 55);
-  const totalWidth = leftWidth + rightWidth;
-  
-  // Generate icon if specified
-  const iconSvg = params.icon ? generateCryptoIcon(params.icon) : '';
-  
-  // Calculate text positions
-  const leftTextX = leftWidth / 2;
-  const rightTextX = leftWidth + (rightWidth / 2);
-  const textY = 14;
-  
-  // Generate SVG
-  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${totalWidth}" height="${DEFAULT_CONFIG.height}" role="img" aria-label="${params.leftText}: ${params.rightText}">
-  <title>${params.leftText}: ${params.rightText}</title>
-  <linearGradient id="gradient" x2="0" y2="100%">
-    <stop offset="0" stop-color="#bbb" stop-opacity="0.1"/>
-    <stop offset="1" stop-opacity="0.1"/>
-  </linearGradient>
-  <clipPath id="round">
-    <rect width="${totalWidth}" height="${DEFAULT_CONFIG.height}" rx="3" fill="#fff"/>
-  </clipPath>
-  <g clip-path="url(#round)">
-    <rect width="${leftWidth}" height="${DEFAULT_CONFIG.height}" fill="${params.leftColor}"/>
-    <rect x="${leftWidth}" width="${rightWidth}" height="${DEFAULT_CONFIG.height}" fill="${params.rightColor}"/>
-    <rect width="${totalWidth}" height="${DEFAULT_CONFIG.height}" fill="url(#gradient)"/>
-  </g>
-  <g fill="#fff" text-anchor="middle" font-family="${DEFAULT_CONFIG.fontFamily}" font-size="${DEFAULT_CONFIG.fontSize}">
-    <text x="${leftTextX}" y="${textY}" fill="#010101" fill-opacity=".3">${params.leftText}</text>
-    <text x="${leftTextX}" y="${textY - 1}">${params.leftText}</text>
-    <text x="${rightTextX}" y="${textY}" fill="#010101" fill-opacity=".3">${params.rightText}</text>
-    <text x="${rightTextX}" y="${textY - 1}">${params.rightText}</text>
-  </g>
-  ${iconSvg}
-</svg>`;
+  // Ids are unique per badge, so several badges can be inlined into one page, and stable across
+  // requests, so identical badges keep identical markup and ETags
+  const idPrefix = createIdPrefix({ params, progress });
+  const style = getBadgeStyle(params.style);
+  const { metrics } = style;
+
+  // Two-part badges are the common case; an empty label leaves only the message, and
+  // `segments` replaces them with any number of parts
+  const parts = params.segments || [
+    ...(params.leftText
+      ? [{ text: params.leftText, color: params.leftColor, darkColor: params.darkLeftColor, icon: null }]
+      : []),
+    { text: params.rightText, color: params.rightColor, darkColor: params.darkRightColor, icon: null }
+  ];
+  const lastIndex = parts.length - 1;
+
+  // Reserve space for the icon and coin row in the segment they belong to
+  const hasIcon = Boolean(params.icon || params.logo);
+  const icon = { icon: params.icon, logo: params.logo, color: params.logoColor };
+  const iconIndex = params.iconPosition === 'left' ? 0 : lastIndex;
+  const coinIcons = (params.tickers || []).map((ticker) => ({ icon: getCoin(ticker).icon }));
+
+  // Dark badges use the dark colors outright; auto badges switch to them with a media query
+  const isDark = params.theme === 'dark';
+  const layout = layoutSegments(
+    parts.map((part, index) => ({
+      text: part.text,
+      color: isDark ? part.darkColor : part.color,
+      icons: [
+        ...(hasIcon && index === iconIndex ? [icon] : []),
+        ...(part.icon ? [{ icon: part.icon, color: params.logoColor }] : []),
+        ...(index === lastIndex ? coinIcons : [])
+      ],
+      iconSize: params.logoWidth
+    })),
+    metrics
+  );
+  const { segments } = layout;
+  const darkSegments = [];
+
+  if (params.theme === 'auto') {
+    segments.forEach((segment, index) => {
+      const contrast = getContrastColors(parts[index].darkColor);
+      segment.className = `${idPrefix}-s${index}`;
+      darkSegments.push({
+        className: segment.className,
+        color: parts[index].darkColor,
+        textColor: contrast.text,
+        shadowColor: contrast.shadow
+      });
+    });
+  }
+
+  const iconSvg = segments
+    .flatMap((segment) => segment.icons)
+    .map(renderIcon)
+    .join('\n  ');
+  const labels = parts.map((part) => part.text);
+  if (params.tickers) {
+    const symbols = params.tickers.map((ticker) => getCoin(ticker).symbol).join(', ');
+    labels[lastIndex] = [symbols, labels[lastIndex]].filter(Boolean).join(' ');
+  }
+
+  const svg = style.render({
+    width: layout.width,
+    height: layout.height,
+    title:
+      labels.length > 1 ? `${labels[0]}: ${labels.slice(1).filter(Boolean).join(' | ')}` : labels[0],
+    fontFamily: DEFAULT_CONFIG.fontFamily,
+    fontSize: metrics.fontSize,
+    letterSpacing: metrics.letterSpacing,
+    segments,
+    iconSvg,
+    progress,
+    darkSegments,
+    idPrefix,
+    inline: params.inline,
+    scale: params.scale ?? BADGE_SIZES[params.size]
+  });
 
   return svg;
 }
@@ -241,7 +540,6 @@ export function createSVGResponse(svgContent) {
 export function generateEnhancedBadge(options = {}) {
   const enhancedOptions = {
     ...options,
-    style: 'enhanced',
     icon: options.icon || 'crypto',
     rightColor: options.rightColor || '#f7931a'
   };
@@ -0,0 +1,101 @@
+/**
+ * Badge Layout
+ * Computes segment boxes, icon slots and text positions before a style renders them
+ */
+
+import { measureTextUnits, UNITS_PER_EM } from './font-metrics.js';
+import { getContrastColors } from './colors.js';
+import { countGraphemes } from './text.js';
+
+/**
+ * Space between an icon and the text that follows it
+ */
+export const ICON_GAP = 3;
+
+/**
+ * Space between neighbouring icons in a row
+ */
+export const ICON_SPACING = 2;
+
+/**
+ * Space kept above and below an icon, so large logoWidth values stay inside the badge
+ */
+export const ICON_MARGIN = 2;
+
+/**
+ * Calculates text width for proper badge sizing using per-glyph advance widths
+ * @param {string} text - Text to measure
+ * @param {number} fontSize - Font size
+ * @returns {number} - Text width in pixels, rounded to one decimal place
+ */
+export function calculateTextWidth(text, fontSize = 11) {
+  const width = (measureTextUnits(text) * fontSize) / UNITS_PER_EM;
+  return Math.round(width * 10) / 10;
+}
+
+/**
+ * Measures a segment's text as the style will render it
+ * @param {string} text - Segment text
+ * @param {Object} metrics - Style metrics
+ * @returns {Object} - { text, width } with the displayed text and its width
+ */
+function measureSegmentText(text, metrics) {
+  const displayText = metrics.uppercase ? text.toUpperCase() : text;
+  const letterSpacingWidth = metrics.letterSpacing * countGraphemes(displayText);
+  const width = calculateTextWidth(displayText, metrics.fontSize) + letterSpacingWidth;
+
+  return { text: displayText, width: Math.round(width * 10) / 10 };
+}
+
+/**
+ * Lays out badge segments left to right. Each segment's box holds its own row of icons
+ * (if any) followed by its text, and the content is centered inside the box. Icons are
+ * shrunk to fit the style's height.
+ * @param {Array<Object>} segments - Segments as { text, color, icons, iconSize }
+ * @param {Object} metrics - Style metrics
+ * @returns {Object} - { width, height, segments } with boxes, text and icon positions
+ */
+export function layoutSegments(segments, metrics) {
+  let x = 0;
+
+  const boxes = segments.map((segment, index) => {
+    const measured = measureSegmentText(segment.text, metrics);
+    const icons = segment.icons || [];
+    const iconSize = Math.min(segment.iconSize || 0, metrics.height - ICON_MARGIN * 2);
+    const iconRowWidth =
+      icons.length > 0 ? icons.length * (iconSize + ICON_SPACING) - ICON_SPACING : 0;
+    const iconSlot =
+      iconRowWidth > 0 && measured.width > 0 ? iconRowWidth + ICON_GAP : iconRowWidth;
+    const leadingWidth = index > 0 ? metrics.gap : 0;
+    const contentWidth = iconSlot + measured.width;
+    const width = Math.round(leadingWidth + metrics.padding * 2 + contentWidth);
+    const contentX = x + leadingWidth + (width - leadingWidth - contentWidth) / 2;
+    const contrast = getContrastColors(segment.color);
+
+    const box = {
+      text: measured.text,
+      color: segment.color,
+      textColor: contrast.text,
+      shadowColor: contrast.shadow,
+      x,
+      width,
+      textWidth: measured.width,
+      textX: Math.round((contentX + iconSlot + measured.width / 2) * 10) / 10,
+      icons: icons.map((icon, iconIndex) => ({
+        ...icon,
+        x: Math.round((contentX + iconIndex * (iconSize + ICON_SPACING)) * 10) / 10,
+        y: (metrics.height - iconSize) / 2,
+        size: iconSize
+      }))
+    };
+
+    x += width;
+    return box;
+  });
+
+  return {
+    width: x,
+    height: metrics.height,
+    segments: boxes
+  };
+}
@@ -0,0 +1,395 @@
+/**
+ * Badge Style Renderers
+ * One renderer per shields-style badge style, all fed the same laid-out badge description
+ */
+
+import { escapeXml } from './text.js';
+
+/**
+ * Legacy style names still accepted by the API
+ */
+const STYLE_ALIASES = {
+  standard: 'flat',
+  enhanced: 'flat'
+};
+
+/**
+ * Gap between the social label button and its count bubble
+ */
+const SOCIAL_BUBBLE_GAP = 6;
+
+/**
+ * Calculates the text baseline that vertically centers text in a badge
+ * @param {number} height - Badge height
+ * @param {number} fontSize - Font size
+ * @returns {number} - Baseline y coordinate
+ */
+function textBaseline(height, fontSize) {
+  return Math.round((height / 2 + fontSize * 0.35) * 2) / 2;
+}
+
+/**
+ * Builds a document-unique id for one of a badge's definitions
+ * @param {Object} badge - Laid-out badge description
+ * @param {string} name - Definition name ('gradient', 'round')
+ * @returns {string} - Element id
+ */
+function elementId(badge, name) {
+  return `${badge.idPrefix}-${name}`;
+}
+
+/**
+ * Builds the class attribute that lets theme overrides target a segment's shapes
+ * @param {Object} segment - Laid-out segment
+ * @param {string} suffix - Class suffix for the segment's text ('-text', '-shadow')
+ * @returns {string} - class attribute, or an empty string for unthemed badges
+ */
+function classAttr(segment, suffix = '') {
+  return segment.className ? ` class="${segment.className}${suffix}"` : '';
+}
+
+/**
+ * Renders the dark color scheme overrides of a theme=auto badge
+ * @param {Object} badge - Laid-out badge description
+ * @returns {string} - <style> element, or an empty string without overrides
+ */
+function renderThemeStyle(badge) {
+  if (!badge.darkSegments || badge.darkSegments.length === 0) {
+    return '';
+  }
+
+  const rules = badge.darkSegments
+    .map(
+      (segment) =>
+        `.${segment.className}{fill:${segment.color}}` +
+        `.${segment.className}-text{fill:${segment.textColor}}` +
+        `.${segment.className}-shadow{fill:${segment.shadowColor}}`
+    )
+    .join('');
+
+  return `
+  <style>@media (prefers-color-scheme: dark){${rules}}</style>`;
+}
+
+/**
+ * Renders the size attributes of a badge. Scaled badges are drawn at their base size and
+ * stretched with a viewBox, so text, padding, corners and icons all grow together.
+ * @param {Object} badge - Laid-out badge description
+ * @returns {string} - width, height and (when scaled) viewBox attributes
+ */
+function renderDimensions(badge) {
+  const scale = badge.scale || 1;
+
+  if (scale === 1) {
+    return `width="${badge.width}" height="${badge.height}"`;
+  }
+
+  const width = Math.round(badge.width * scale * 100) / 100;
+  const height = Math.round(badge.height * scale * 100) / 100;
+  return `width="${width}" height="${height}" viewBox="0 0 ${badge.width} ${badge.height}"`;
+}
+
+/**
+ * Renders the shared <title> and accessibility attributes of a badge
+ * @param {Object} badge - Laid-out badge description
+ * @returns {string} - Opening svg tag with title
+ */
+function renderOpening(badge) {
+  const title = escapeXml(badge.title);
+  // HTML parsers put inline <svg> in the SVG namespace themselves
+  const namespace = badge.inline ? '' : ' xmlns="http://www.w3.org/2000/svg"';
+
+  return `<svg${namespace} ${renderDimensions(badge)} role="img" aria-label="${title}">
+  <title>${title}</title>${renderThemeStyle(badge)}`;
+}
+
+/**
+ * Renders a segment's text, optionally with a drop shadow underneath
+ * @param {Object} segment - Laid-out segment
+ * @param {number} y - Text baseline
+ * @param {Object} shadow - Shadow options ({ opacity, offset }) or null
+ * @returns {string} - SVG text elements
+ */
+function renderSegmentText(segment, y, shadow) {
+  if (!segment.text) {
+    return '';
+  }
+
+  const content = escapeXml(segment.text);
+  const text = `<text x="${segment.textX}" y="${y}" fill="${segment.textColor}"${classAttr(segment, '-text')} textLength="${segment.textWidth}">${content}</text>`;
+
+  if (!shadow) {
+    return `    ${text}`;
+  }
+
+  const shadowY = y + shadow.offset;
+  const shadowColor = shadow.color || segment.shadowColor;
+  return `    <text x="${segment.textX}" y="${shadowY}" fill="${shadowColor}"${shadow.color ? '' : classAttr(segment, '-shadow')} fill-opacity="${shadow.opacity}" textLength="${segment.textWidth}">${content}</text>
+    ${text}`;
+}
+
+/**
+ * Renders the filled part of a progress bar drawn behind the last segment's text
+ * @param {Object} badge - Laid-out badge description
+ * @param {Object} box - Area of the full bar (defaults to the last segment)
+ * @returns {string} - SVG rect, or an empty string when the badge has no progress
+ */
+function renderProgress(
+  badge,
+  box = { x: badge.segments.at(-1).x, y: 0, width: badge.segments.at(-1).width }
+) {
+  if (!badge.progress) {
+    return '';
+  }
+
+  const width = Math.round(box.width * badge.progress.ratio * 10) / 10;
+  const height = box.height || badge.height;
+  return `
+    <rect x="${box.x}" y="${box.y}" width="${width}" height="${height}" fill="${badge.progress.color}"/>`;
+}
+
+/**
+ * Renders the text of several segments, skipping segments without text
+ * @param {Array<Object>} segments - Laid-out segments
+ * @param {number} y - Text baseline
+ * @param {Object} shadow - Shadow options or null
+ * @returns {string} - SVG text elements
+ */
+function renderSegmentTexts(segments, y, shadow) {
+  return segments
+    .map((segment) => renderSegmentText(segment, y, shadow))
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Renders the background rect of every segment
+ * @param {Object} badge - Laid-out badge description
+ * @returns {string} - SVG rects
+ */
+function renderSegmentRects(badge) {
+  return badge.segments
+    .map((segment) => {
+      const x = segment.x ? ` x="${segment.x}"` : '';
+      return `<rect${x} width="${segment.width}" height="${badge.height}" fill="${segment.color}"${classAttr(segment)}/>`;
+    })
+    .join('\n    ');
+}
+
+/**
+ * Renders the text group shared by the segmented styles
+ * @param {Object} badge - Laid-out badge description
+ * @param {Object} shadow - Shadow options or null
+ * @param {number} y - Text baseline (defaults to just above center, leaving room for the shadow)
+ * @returns {string} - SVG text group
+ */
+function renderTextGroup(badge, shadow, y = textBaseline(badge.height, badge.fontSize) - 1) {
+  const spacing = badge.letterSpacing ? ` letter-spacing="${badge.letterSpacing}"` : '';
+
+  return `  <g text-anchor="middle" font-family="${badge.fontFamily}" font-size="${badge.fontSize}"${spacing}>
+${renderSegmentTexts(badge.segments, y, shadow)}
+  </g>`;
+}
+
+/**
+ * Renders the classic flat style with a subtle gradient and rounded corners
+ * @param {Object} badge - Laid-out badge description
+ * @returns {string} - Complete SVG markup
+ */
+function renderFlat(badge) {
+  return `${renderOpening(badge)}
+  <linearGradient id="${elementId(badge, 'gradient')}" x2="0" y2="100%">
+    <stop offset="0" stop-color="#bbb" stop-opacity="0.1"/>
+    <stop offset="1" stop-opacity="0.1"/>
+  </linearGradient>
+  <clipPath id="${elementId(badge, 'round')}">
+    <rect width="${badge.width}" height="${badge.height}" rx="3" fill="#fff"/>
+  </clipPath>
+  <g clip-path="url(#${elementId(badge, 'round')})">
+    ${renderSegmentRects(badge)}${renderProgress(badge)}
+    <rect width="${badge.width}" height="${badge.height}" fill="url(#${elementId(badge, 'gradient')})"/>
+  </g>
+${renderTextGroup(badge, { opacity: '.3', offset: 1 })}
+  ${badge.iconSvg}
+</svg>`;
+}
+
+/**
+ * Renders the flat-square style: square corners, no gradient, no text shadow
+ * @param {Object} badge - Laid-out badge description
+ * @returns {string} - Complete SVG markup
+ */
+function renderFlatSquare(badge) {
+  return `${renderOpening(badge)}
+  <g shape-rendering="crispEdges">
+    ${renderSegmentRects(badge)}${renderProgress(badge)}
+  </g>
+${renderTextGroup(badge, null)}
+  ${badge.iconSvg}
+</svg>`;
+}
+
+/**
+ * Renders the plastic style: shorter, glossy gradient and rounder corners
+ * @param {Object} badge - Laid-out badge description
+ * @returns {string} - Complete SVG markup
+ */
+function renderPlastic(badge) {
+  return `${renderOpening(badge)}
+  <linearGradient id="${elementId(badge, 'gradient')}" x2="0" y2="100%">
+    <stop offset="0" stop-color="#fff" stop-opacity=".7"/>
+    <stop offset=".1" stop-color="#aaa" stop-opacity=".1"/>
+    <stop offset=".9" stop-color="#000" stop-opacity=".3"/>
+    <stop offset="1" stop-color="#000" stop-opacity=".5"/>
+  </linearGradient>
+  <clipPath id="${elementId(badge, 'round')}">
+    <rect width="${badge.width}" height="${badge.height}" rx="4" fill="#fff"/>
+  </clipPath>
+  <g clip-path="url(#${elementId(badge, 'round')})">
+    ${renderSegmentRects(badge)}${renderProgress(badge)}
+    <rect width="${badge.width}" height="${badge.height}" fill="url(#${elementId(badge, 'gradient')})"/>
+  </g>
+${renderTextGroup(badge, { opacity: '.3', offset: 1 })}
+  ${badge.iconSvg}
+</svg>`;
+}
+
+/**
+ * Renders the for-the-badge style: tall, square, uppercase and letter-spaced
+ * @param {Object} badge - Laid-out badge description
+ * @returns {string} - Complete SVG markup
+ */
+function renderForTheBadge(badge) {
+  return `${renderOpening(badge)}
+  <g shape-rendering="crispEdges">
+    ${renderSegmentRects(badge)}${renderProgress(badge)}
+  </g>
+${renderTextGroup(badge, null, textBaseline(badge.height, badge.fontSize))}
+  ${badge.iconSvg}
+</svg>`;
+}
+
+/**
+ * Renders a count bubble with its arrow pointing at the previous segment
+ * @param {Object} badge - Laid-out badge description
+ * @param {Object} segment - Laid-out segment the bubble holds
+ * @param {boolean} isLast - Whether this is the last bubble, which holds any progress bar
+ * @returns {string} - SVG bubble shapes
+ */
+function renderSocialBubble(badge, segment, isLast) {
+  const bubbleWidth = segment.width - SOCIAL_BUBBLE_GAP;
+  const arrowX = segment.x + SOCIAL_BUBBLE_GAP;
+  const progress = isLast
+    ? renderProgress(badge, {
+        x: arrowX + 1,
+        y: 1,
+        width: bubbleWidth - 2,
+        height: badge.height - 2
+      })
+    : '';
+
+  return `    <rect x="${arrowX + 0.5}" y="0.5" width="${bubbleWidth - 1}" height="${badge.height - 1}" rx="2" fill="#fafafa"/>${progress}
+    <rect x="${arrowX}" y="7.5" width="0.5" height="5" stroke="#fafafa"/>
+    <path d="M${arrowX + 0.5} 6.5 l-3 3v1 l3 3" fill="#fafafa"/>`;
+}
+
+/**
+ * Renders the social style: a light label button with a count bubble for each further segment
+ * @param {Object} badge - Laid-out badge description
+ * @returns {string} - Complete SVG markup
+ */
+function renderSocial(badge) {
+  const y = textBaseline(badge.height, badge.fontSize);
+  const shadow = { color: '#fff', opacity: '.7', offset: 1 };
+  const [label, ...bubbles] = badge.segments;
+  // The social look has fixed colors, so theme overrides don't apply to it
+  const segments = badge.segments.map((segment) => ({
+    ...segment,
+    textColor: '#333',
+    className: null
+  }));
+
+  return `${renderOpening(badge)}
+  <linearGradient id="${elementId(badge, 'gradient')}" x2="0" y2="100%">
+    <stop offset="0" stop-color="#fcfcfc" stop-opacity="0"/>
+    <stop offset="1" stop-opacity=".1"/>
+  </linearGradient>
+  <g stroke="#d5d5d5">
+    <rect stroke="none" fill="#fcfcfc" x="0.5" y="0.5" width="${label.width - 1}" height="${badge.height - 1}" rx="2"/>
+    <rect x="0.5" y="0.5" width="${label.width - 1}" height="${badge.height - 1}" rx="2" fill="url(#${elementId(badge, 'gradient')})"/>
+${bubbles.map((segment, index) => renderSocialBubble(badge, segment, index === bubbles.length - 1)).join('\n')}
+  </g>
+  <g text-anchor="middle" font-family="${badge.fontFamily}" font-size="${badge.fontSize}" font-weight="bold">
+${renderSegmentTexts(segments, y, shadow)}
+  </g>
+  ${badge.iconSvg}
+</svg>`;
+}
+
+/**
+ * Registered badge styles with their sizing metrics and renderer
+ */
+const STYLES = {
+  flat: {
+    metrics: { height: 20, fontSize: 11, padding: 5, letterSpacing: 0, uppercase: false, gap: 0 },
+    render: renderFlat
+  },
+  'flat-square': {
+    metrics: { height: 20, fontSize: 11, padding: 5, letterSpacing: 0, uppercase: false, gap: 0 },
+    render: renderFlatSquare
+  },
+  plastic: {
+    metrics: { height: 18, fontSize: 11, padding: 5, letterSpacing: 0, uppercase: false, gap: 0 },
+    render: renderPlastic
+  },
+  'for-the-badge': {
+    metrics: { height: 28, fontSize: 10, padding: 9, letterSpacing: 1.25, uppercase: true, gap: 0 },
+    render: renderForTheBadge
+  },
+  social: {
+    metrics: {
+      height: 20,
+      fontSize: 11,
+      padding: 5,
+      letterSpacing: 0,
+      uppercase: false,
+      gap: SOCIAL_BUBBLE_GAP
+    },
+    render: renderSocial
+  }
+};
+
+/**
+ * Names of all supported badge styles
+ */
+export const BADGE_STYLES = Object.keys(STYLES);
+
+/**
+ * Resolves a style name, including legacy aliases, to a supported style
+ * @param {string} name - Requested style name
+ * @returns {string|null} - Canonical style name, or null if unsupported
+ */
+export function resolveStyleName(name) {
+  const normalized = String(name).toLowerCase();
+
+  if (STYLES[normalized]) {
+    return normalized;
+  }
+
+  return STYLE_ALIASES[normalized] || null;
+}
+
+/**
+ * Gets the metrics and renderer for a style
+ * @param {string} name - Style name (canonical or alias)
+ * @returns {Object} - Style definition with metrics and render function
+ */
+export function getBadgeStyle(name) {
+  const resolved = resolveStyleName(name);
+
+  if (!resolved) {
+    throw new Error(`Unknown style: ${name}. Supported styles: ${BADGE_STYLES.join(', ')}`);
+  }
+
+  return STYLES[resolved];
+}
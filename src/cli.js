@@ -0,0 +1,509 @@
+/**
+ * PayBadge Command Line
+ * Renders badges, generates embed code and runs the server from the terminal, using local files only
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import { resolve } from 'path';
+import { parseArgs } from 'util';
+import { generateBadgeSVG, validateBadgeParams } from './badge-generator.js';
+import {
+  generateAllBadgeFormats,
+  generateBadgeCode,
+  generatePresetBadge,
+  BADGE_PRESETS,
+  SUPPORTED_FORMATS
+} from './code-generator.js';
+import { convertCurrency, getCurrentRate } from './exchange-rate-client.js';
+import { validateRecipientAddresses } from './payment-uri.js';
+import { createFilePresetStore, getAllPresets, DEFAULT_PRESETS_FILE } from './preset-store.js';
+import { formatPrice, validatePriceParams } from './price-badge.js';
+import { DEFAULT_BASE_URL, DEFAULT_CONFIG_FILE, updateReadme } from './readme-badges.js';
+
+/**
+ * Exit codes: 1 when a command fails or a check finds work to do, 2 for usage errors
+ */
+export const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  usage: 2
+};
+
+/**
+ * Creates an error for a bad command line, reported with the usage text and exit code 2
+ * @param {string} message - Error message
+ * @returns {Error} - Usage error
+ */
+function usageError(message) {
+  return Object.assign(new Error(message), { usage: true });
+}
+
+/**
+ * Parses a subcommand's arguments, turning parseArgs errors into usage errors
+ * @param {Array<string>} args - Arguments after the subcommand
+ * @param {Object} options - parseArgs option definitions
+ * @returns {Object} - { values, positionals }
+ */
+function parseCommandArgs(args, options) {
+  try {
+    return parseArgs({ args, options, allowPositionals: true });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+}
+
+/**
+ * Reads and parses a JSON file
+ * @param {string} filePath - File path
+ * @param {string} description - What the file is, for error messages
+ * @returns {Promise<Object>} - Parsed JSON
+ */
+async function readJsonFile(filePath, description) {
+  let text;
+  try {
+    text = await readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(
+      error.code === 'ENOENT' ? `${description} not found: ${filePath}` : error.message
+    );
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Options shared by the subcommands that print results
+ */
+const JSON_OPTION = { type: 'boolean', default: false };
+const PRESETS_OPTION = {
+  type: 'string',
+  default: process.env.PRESETS_FILE || DEFAULT_PRESETS_FILE
+};
+const BASE_URL_OPTION = { type: 'string', default: DEFAULT_BASE_URL };
+
+/**
+ * Writes a command's result: the data as JSON with --json, the text otherwise
+ * @param {Object} io - { stdout }
+ * @param {Object} values - Parsed options
+ * @param {Object} data - Result for --json
+ * @param {string} text - Result for people
+ */
+function print(io, values, data, text) {
+  io.stdout.write(values.json ? `${JSON.stringify(data, null, 2)}\n` : `${text}\n`);
+}
+
+/**
+ * Parses key=value arguments into badge parameters, the same ones the badge URLs take
+ * @param {Array<string>} pairs - key=value arguments
+ * @returns {Object} - Parameters keyed by name
+ */
+function parseParams(pairs) {
+  return pairs.reduce((params, pair) => {
+    const separator = pair.indexOf('=');
+    if (separator < 1) {
+      throw usageError(`Expected a key=value badge parameter, got: ${pair}`);
+    }
+
+    params[pair.slice(0, separator)] = pair.slice(separator + 1);
+    return params;
+  }, {});
+}
+
+/**
+ * Checks the recipient addresses in badge parameters, so code never links to a mistyped address
+ * @param {Object} params - Badge parameters
+ */
+function assertRecipientAddresses(params) {
+  const validation = validateRecipientAddresses(params);
+  if (!validation.isValid) {
+    throw new Error(validation.error);
+  }
+}
+
+/**
+ * Loads the built-in presets merged with the custom ones in a presets file
+ * @param {Object} io - { cwd }
+ * @param {string} presetsFile - Presets file path
+ * @returns {Promise<Object>} - Presets keyed by name
+ */
+function loadPresets(io, presetsFile) {
+  return getAllPresets(createFilePresetStore(resolve(io.cwd, presetsFile)));
+}
+
+/**
+ * `paybadge svg`: renders a badge to a file or stdout
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} io - { stdout, stderr, cwd }
+ * @returns {Promise<number>} - Exit code
+ */
+async function svgCommand(args, io) {
+  const { values, positionals } = parseCommandArgs(args, {
+    output: { type: 'string', short: 'o' },
+    json: JSON_OPTION
+  });
+
+  const validation = validateBadgeParams(parseParams(positionals));
+  if (!validation.isValid) {
+    throw new Error(validation.error);
+  }
+
+  const svg = generateBadgeSVG(validation.params);
+
+  if (values.output) {
+    await writeFile(resolve(io.cwd, values.output), `${svg}\n`);
+    print(io, values, { file: values.output, params: validation.params }, `Wrote ${values.output}`);
+  } else {
+    print(io, values, { svg, params: validation.params }, svg);
+  }
+  return EXIT_CODES.success;
+}
+
+/**
+ * `paybadge code`: generates embed code for a badge in one format, or in all of them
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} io - { stdout, stderr, cwd }
+ * @returns {Promise<number>} - Exit code
+ */
+async function codeCommand(args, io) {
+  const { values, positionals } = parseCommandArgs(args, {
+    link: { type: 'string', short: 'l' },
+    alt: { type: 'string', default: 'Crypto Payment' },
+    format: { type: 'string', short: 'f', default: 'markdown' },
+    'base-url': BASE_URL_OPTION,
+    json: JSON_OPTION
+  });
+
+  if (!values.link) {
+    throw usageError('code needs --link, the URL the badge links to.');
+  }
+
+  const badgeParams = parseParams(positionals);
+  assertRecipientAddresses(badgeParams);
+
+  const options = {
+    baseUrl: values['base-url'].replace(/\/+$/, ''),
+    badgeParams,
+    linkUrl: values.link,
+    altText: values.alt
+  };
+
+  if (values.format === 'all') {
+    const result = generateAllBadgeFormats(options);
+    const sections = [...SUPPORTED_FORMATS, 'picture'].map(
+      (format) => `${format}:\n${result[format].code}`
+    );
+    print(io, values, result, sections.join('\n\n'));
+  } else {
+    const result = generateBadgeCode({ ...options, format: values.format });
+    print(io, values, result, result.code);
+  }
+  return EXIT_CODES.success;
+}
+
+/**
+ * `paybadge preset`: generates embed code from a built-in or custom preset
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} io - { stdout, stderr, cwd }
+ * @returns {Promise<number>} - Exit code
+ */
+async function presetCommand(args, io) {
+  const { values, positionals } = parseCommandArgs(args, {
+    link: { type: 'string', short: 'l' },
+    alt: { type: 'string' },
+    format: { type: 'string', short: 'f', default: 'markdown' },
+    short: { type: 'boolean', default: false },
+    'base-url': BASE_URL_OPTION,
+    presets: PRESETS_OPTION,
+    json: JSON_OPTION
+  });
+
+  const [name, ...pairs] = positionals;
+  if (!name) {
+    throw usageError('preset needs a preset name. Run "paybadge presets" to list them.');
+  }
+
+  const overrides = parseParams(pairs);
+  assertRecipientAddresses(overrides);
+
+  const baseUrl = values['base-url'].replace(/\/+$/, '');
+  const result = generatePresetBadge(
+    baseUrl,
+    name,
+    values.link || `${baseUrl}/`,
+    values.format,
+    values.alt ? { ...overrides, altText: values.alt } : overrides,
+    { presets: await loadPresets(io, values.presets), shortUrl: values.short }
+  );
+
+  print(io, values, result, result.code);
+  return EXIT_CODES.success;
+}
+
+/**
+ * `paybadge presets`: lists the built-in and custom presets
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} io - { stdout, stderr, cwd }
+ * @returns {Promise<number>} - Exit code
+ */
+async function presetsCommand(args, io) {
+  const { values } = parseCommandArgs(args, {
+    presets: PRESETS_OPTION,
+    json: JSON_OPTION
+  });
+
+  const presets = await loadPresets(io, values.presets);
+  const width = Math.max(...Object.keys(presets).map((name) => name.length));
+  const descriptions = Object.entries(presets).reduce((acc, [name, preset]) => {
+    acc[name] = {
+      altText: preset.altText,
+      badgeParams: preset.badgeParams,
+      builtIn: Object.hasOwn(BADGE_PRESETS, name)
+    };
+    return acc;
+  }, {});
+
+  const lines = Object.entries(descriptions).map(
+    ([name, { altText, builtIn }]) =>
+      `${name.padEnd(width)}  ${altText}${builtIn ? '' : ' (custom)'}`
+  );
+  print(io, values, { presets: Object.keys(presets), descriptions }, lines.join('\n'));
+  return EXIT_CODES.success;
+}
+
+/**
+ * Validates a crypto/fiat pair given on the command line
+ * @param {string} crypto - Cryptocurrency code
+ * @param {string} fiat - Fiat currency code
+ * @returns {Object} - { crypto, fiat } in upper case
+ */
+function parsePair(crypto, fiat) {
+  const validation = validatePriceParams(crypto, fiat);
+  if (!validation.isValid) {
+    throw usageError(validation.error);
+  }
+  return validation;
+}
+
+/**
+ * `paybadge rate`: prints the current exchange rate of a coin
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} io - { stdout, stderr, cwd }
+ * @returns {Promise<number>} - Exit code
+ */
+async function rateCommand(args, io) {
+  const { values, positionals } = parseCommandArgs(args, { json: JSON_OPTION });
+
+  if (positionals.length < 1 || positionals.length > 2) {
+    throw usageError('rate takes a coin and an optional fiat currency, e.g. "rate btc eur".');
+  }
+
+  const { crypto, fiat } = parsePair(positionals[0], positionals[1] || 'USD');
+  const result = await getCurrentRate(crypto, fiat, { includeMetadata: true });
+
+  print(io, values, result, `1 ${crypto} = ${formatPrice(result.rate, fiat)}`);
+  return EXIT_CODES.success;
+}
+
+/**
+ * `paybadge convert`: converts an amount of a coin to a fiat currency
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} io - { stdout, stderr, cwd }
+ * @returns {Promise<number>} - Exit code
+ */
+async function convertCommand(args, io) {
+  const { values, positionals } = parseCommandArgs(args, { json: JSON_OPTION });
+
+  if (positionals.length < 2 || positionals.length > 3) {
+    throw usageError(
+      'convert takes an amount, a coin and an optional fiat currency, e.g. "convert 0.5 btc eur".'
+    );
+  }
+
+  const amount = Number(positionals[0]);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw usageError(`Invalid amount: ${positionals[0]}. Expected a number of at least 0.`);
+  }
+
+  const { crypto, fiat } = parsePair(positionals[1], positionals[2] || 'USD');
+  const result = await convertCurrency(amount, crypto, fiat);
+
+  print(
+    io,
+    values,
+    { amount, from: crypto, to: fiat, result },
+    `${amount} ${crypto} = ${formatPrice(result, fiat)}`
+  );
+  return EXIT_CODES.success;
+}
+
+/**
+ * `paybadge serve`: starts the badge server
+ * @param {Array<string>} args - Command arguments
+ * @returns {Promise<number>} - Exit code (the server keeps the process running)
+ */
+async function serveCommand(args) {
+  const { values } = parseCommandArgs(args, {
+    port: { type: 'string', short: 'p', default: process.env.PORT || '3000' }
+  });
+
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw usageError(`Invalid port: ${values.port}. Expected 1-65535.`);
+  }
+
+  // Loaded on demand so the other commands do not pay for the server and PNG renderer
+  const { startServer } = await import('./server.js');
+  startServer({ port });
+  return EXIT_CODES.success;
+}
+
+/**
+ * `paybadge readme`: replaces the badges between the paybadge markers of a README
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} io - { stdout, stderr, cwd }
+ * @returns {Promise<number>} - Exit code
+ */
+async function readmeCommand(args, io) {
+  const { values, positionals } = parseCommandArgs(args, {
+    config: { type: 'string', short: 'c', default: DEFAULT_CONFIG_FILE },
+    presets: PRESETS_OPTION,
+    check: { type: 'boolean', default: false },
+    json: JSON_OPTION
+  });
+
+  if (positionals.length > 1) {
+    throw usageError('readme takes at most one README path.');
+  }
+
+  const readmePath = resolve(io.cwd, positionals[0] || 'README.md');
+  const config = await readJsonFile(resolve(io.cwd, values.config), 'Config');
+  const presets = await loadPresets(io, values.presets);
+
+  let readme;
+  try {
+    readme = await readFile(readmePath, 'utf8');
+  } catch (error) {
+    throw new Error(error.code === 'ENOENT' ? `README not found: ${readmePath}` : error.message);
+  }
+
+  const { content, changed, markers } = updateReadme(readme, config, { presets });
+  const name = positionals[0] || 'README.md';
+  const result = { file: name, changed, markers, written: changed && !values.check };
+
+  if (values.check && changed) {
+    if (values.json) {
+      print(io, values, result);
+    } else {
+      io.stderr.write(`${name} is out of date. Run "paybadge readme" to update it.\n`);
+    }
+    return EXIT_CODES.failure;
+  }
+
+  if (result.written) {
+    await writeFile(readmePath, content);
+  }
+  print(
+    io,
+    values,
+    result,
+    result.written ? `Updated badges in ${name}.` : `${name} is up to date.`
+  );
+  return EXIT_CODES.success;
+}
+
+/**
+ * Subcommands with their usage lines and descriptions
+ */
+const COMMANDS = {
+  svg: {
+    run: svgCommand,
+    usage: 'svg [key=value ...] [--output badge.svg] [--json]',
+    description: 'Render a badge from badge URL parameters to a file or stdout'
+  },
+  code: {
+    run: codeCommand,
+    usage:
+      'code [key=value ...] --link URL [--alt text] [--format markdown|all] [--base-url URL] [--json]',
+    description: `Generate embed code (${SUPPORTED_FORMATS.join(', ')}, or all)`
+  },
+  preset: {
+    run: presetCommand,
+    usage:
+      'preset <name> [key=value ...] [--link URL] [--alt text] [--format markdown] [--short] [--json]',
+    description: 'Generate embed code from a built-in or custom preset'
+  },
+  presets: {
+    run: presetsCommand,
+    usage: 'presets [--presets presets.json] [--json]',
+    description: 'List the built-in and custom presets'
+  },
+  readme: {
+    run: readmeCommand,
+    usage:
+      'readme [README.md] [--config paybadge.json] [--presets presets.json] [--check] [--json]',
+    description: 'Update the badges between <!-- paybadge:start --> and <!-- paybadge:end -->'
+  },
+  rate: {
+    run: rateCommand,
+    usage: 'rate <coin> [fiat] [--json]',
+    description: 'Print the current exchange rate of a coin (default fiat: USD)'
+  },
+  convert: {
+    run: convertCommand,
+    usage: 'convert <amount> <coin> [fiat] [--json]',
+    description: 'Convert an amount of a coin to a fiat currency'
+  },
+  serve: {
+    run: serveCommand,
+    usage: 'serve [--port 3000]',
+    description: 'Start the badge server'
+  }
+};
+
+/**
+ * Builds the usage text
+ * @returns {string} - Usage text
+ */
+function usage() {
+  const commands = Object.values(COMMANDS).map(
+    ({ usage: commandUsage, description }) => `  paybadge ${commandUsage}\n      ${description}`
+  );
+  return `Usage:\n${commands.join('\n')}\n`;
+}
+
+/**
+ * Runs the command line
+ * @param {Array<string>} argv - Arguments after the program name
+ * @param {Object} io - Output streams and working directory (default: the process's)
+ * @returns {Promise<number>} - Exit code
+ */
+export async function runCli(argv, io = {}) {
+  const { stdout = process.stdout, stderr = process.stderr, cwd = process.cwd() } = io;
+  const [name, ...args] = argv;
+
+  if (!name || ['help', '--help', '-h'].includes(name)) {
+    (name ? stdout : stderr).write(usage());
+    return name ? EXIT_CODES.success : EXIT_CODES.usage;
+  }
+
+  const command = Object.hasOwn(COMMANDS, name) ? COMMANDS[name] : null;
+  if (!command) {
+    stderr.write(`Unknown command: ${name}\n${usage()}`);
+    return EXIT_CODES.usage;
+  }
+
+  try {
+    return await command.run(args, { stdout, stderr, cwd });
+  } catch (error) {
+    stderr.write(`paybadge ${name}: ${error.message}\n`);
+    if (error.usage) {
+      stderr.write(`Usage: paybadge ${command.usage}\n`);
+      return EXIT_CODES.usage;
+    }
+    return EXIT_CODES.failure;
+  }
+}
@@ -1,8 +1,21 @@
 /**
- * Code Generator for Badge Markdown and HTML
- * Generates both markdown and HTML code for embedding badges
+ * Code Generator for Badge Embed Code
+ * Generates markdown, HTML, docs markup, forum and component code for embedding badges
  */
 
+import { formatSegments } from './segments.js';
+import {
+  buildPaymentUri,
+  validateRecipientAddress,
+  validateRecipientAddresses,
+  PAYMENT_SCHEMES
+} from './payment-uri.js';
+
+/**
+ * URL schemes a badge may link to: web pages and wallet payment URIs
+ */
+export const ALLOWED_LINK_SCHEMES = ['http', 'https', ...PAYMENT_SCHEMES];
+
 /**
  * Escapes HTML entities in text
  * @param {string} text - Text to escape
@@ -19,6 +32,61 @@ function escapeHtml(text) {
     .replace(/'/g, '&#39;');
 }
 
+/**
+ * Escapes text for an HTML attribute in a Svelte component, where braces start expressions
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeSvelte(text) {
+  return escapeHtml(text).replace(/\{/g, '&#123;').replace(/\}/g, '&#125;');
+}
+
+/**
+ * Percent-encodes characters that would end a URL early in a markup format
+ * @param {string} url - URL to encode
+ * @param {RegExp} pattern - Global pattern of characters to encode
+ * @returns {string} - URL with the matched characters percent-encoded
+ */
+function encodeUrlChars(url, pattern) {
+  return String(url).replace(
+    pattern,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`
+  );
+}
+
+/**
+ * Collapses line breaks and other whitespace runs, for formats where text must stay on one line
+ * @param {string} text - Text to collapse
+ * @returns {string} - Single-line text
+ */
+function toSingleLine(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Validates the URL a badge links to against the allowed schemes
+ * @param {string} linkUrl - Link URL
+ * @returns {Object} - { isValid, url, error }
+ */
+export function validateLinkUrl(linkUrl) {
+  const url = typeof linkUrl === 'string' ? linkUrl.trim() : '';
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+
+  if (!scheme || !URL.canParse(url)) {
+    return { isValid: false, url: null, error: 'Invalid linkUrl. Expected an absolute URL.' };
+  }
+
+  if (!ALLOWED_LINK_SCHEMES.includes(scheme[1].toLowerCase())) {
+    return {
+      isValid: false,
+      url: null,
+      error: `Invalid linkUrl scheme: ${scheme[1]}. Allowed schemes: ${ALLOWED_LINK_SCHEMES.join(', ')}`
+    };
+  }
+
+  return { isValid: true, url, error: null };
+}
+
 /**
  * Builds query string from parameters object
  * @param {Object} params - Parameters object
@@ -37,23 +105,41 @@ function buildQueryString(params) {
   return queryString ? `?${queryString}` : '';
 }
 
+/**
+ * Style values that only select an endpoint rather than a rendering style
+ */
+const LEGACY_STYLES = ['standard', 'enhanced'];
+
+/**
+ * Image formats a badge can be served in, selected by the file extension
+ */
+const IMAGE_FORMATS = ['svg', 'png'];
+
 /**
  * Builds the complete badge URL with parameters
  * @param {string} baseUrl - Base URL for the badge service
- * @param {Object} badgeParams - Badge customization parameters
+ * @param {Object} badgeParams - Badge customization parameters (format: 'svg' or 'png')
  * @returns {string} - Complete badge URL
  */
 function buildBadgeUrl(baseUrl, badgeParams = {}) {
-  // Determine badge endpoint based on style
+  // Determine badge endpoint: goal badges have their own, otherwise it depends on style
+  const isGoal = badgeParams.goal !== undefined && badgeParams.goal !== null;
   const isEnhanced = badgeParams.style === 'enhanced';
-  const endpoint = isEnhanced ? '/badge-crypto.svg' : '/badge.svg';
+  const endpoint = isGoal ? '/badge/goal' : isEnhanced ? '/badge-crypto' : '/badge';
+  const extension = IMAGE_FORMATS.includes(badgeParams.format) ? badgeParams.format : 'svg';
   
-  // Remove style from query params since it's handled by endpoint
+  // Remove legacy endpoint-selecting styles and the image format since they're handled by the path
   const queryParams = { ...badgeParams };
-  delete queryParams.style;
+  if (LEGACY_STYLES.includes(queryParams.style)) {
+    delete queryParams.style;
+  }
+  delete queryParams.format;
+  if (queryParams.segments) {
+    queryParams.segments = formatSegments(queryParams.segments);
+  }
   
   const queryString = buildQueryString(queryParams);
-  return `${baseUrl}${endpoint}${queryString}`;
+  return `${baseUrl}${endpoint}.${extension}${queryString}`;
 }
 
 /**
@@ -66,7 +152,11 @@ function buildBadgeUrl(baseUrl, badgeParams = {}) {
  */
 export function generateMarkdownBadge(baseUrl, badgePath, linkUrl, altText) {
   const badgeUrl = badgePath.startsWith('http') ? badgePath : `${baseUrl}${badgePath}`;
-  return `[![${altText}](${badgeUrl})](${linkUrl})`;
+  // Brackets end the alt text and parentheses or spaces end a link destination
+  const escapedAltText = toSingleLine(altText).replace(/[\\[\]]/g, '\\$&');
+  const markdownUrl = (url) => encodeUrlChars(url, /[()<>\s]/g);
+
+  return `[![${escapedAltText}](${markdownUrl(badgeUrl)})](${markdownUrl(linkUrl)})`;
 }
 
 /**
@@ -81,8 +171,203 @@ export function generateHTMLBadge(baseUrl, badgePath, linkUrl, altText) {
   const badgeUrl = badgePath.startsWith('http') ? badgePath : `${baseUrl}${badgePath}`;
   const escapedAltText = escapeHtml(altText);
   
-  return `<a href="${linkUrl}" target="_blank" rel="noopener noreferrer">
-  <img src="${badgeUrl}" alt="${escapedAltText}" />
+  return `<a href="${escapeHtml(linkUrl)}" target="_blank" rel="noopener noreferrer">
+  <img src="${escapeHtml(badgeUrl)}" alt="${escapedAltText}" />
+</a>`;
+}
+
+/**
+ * Generates reStructuredText badge code (Sphinx and other docutils-based docs)
+ * @param {string} baseUrl - Base URL for the badge service
+ * @param {string} badgePath - Badge path with query parameters
+ * @param {string} linkUrl - URL to link to when badge is clicked
+ * @param {string} altText - Alt text for the badge image
+ * @returns {string} - reStructuredText image directive
+ */
+export function generateRstBadge(baseUrl, badgePath, linkUrl, altText) {
+  const badgeUrl = badgePath.startsWith('http') ? badgePath : `${baseUrl}${badgePath}`;
+  // Directive arguments and options end at the line break, so everything stays on one line
+  const rstUrl = (url) => encodeUrlChars(url, /\s/g);
+
+  return `.. image:: ${rstUrl(badgeUrl)}
+   :alt: ${toSingleLine(altText)}
+   :target: ${rstUrl(linkUrl)}`;
+}
+
+/**
+ * Generates AsciiDoc badge code
+ * @param {string} baseUrl - Base URL for the badge service
+ * @param {string} badgePath - Badge path with query parameters
+ * @param {string} linkUrl - URL to link to when badge is clicked
+ * @param {string} altText - Alt text for the badge image
+ * @returns {string} - AsciiDoc inline image macro
+ */
+export function generateAsciiDocBadge(baseUrl, badgePath, linkUrl, altText) {
+  const badgeUrl = badgePath.startsWith('http') ? badgePath : `${baseUrl}${badgePath}`;
+  // Quoted attribute values escape quotes; attribute references ({name}) are escaped too
+  const quotedAltText = toSingleLine(altText).replace(/["{]/g, '\\$&');
+  const asciiDocUrl = (url) => encodeUrlChars(url, /[[\]"\s]/g);
+
+  return `image:${asciiDocUrl(badgeUrl)}["${quotedAltText}",link="${asciiDocUrl(linkUrl)}"]`;
+}
+
+/**
+ * Generates BBCode badge code for forums
+ * @param {string} baseUrl - Base URL for the badge service
+ * @param {string} badgePath - Badge path with query parameters
+ * @param {string} linkUrl - URL to link to when badge is clicked
+ * @returns {string} - BBCode linked image (BBCode images have no alt text)
+ */
+export function generateBBCodeBadge(baseUrl, badgePath, linkUrl) {
+  const badgeUrl = badgePath.startsWith('http') ? badgePath : `${baseUrl}${badgePath}`;
+  const bbCodeUrl = (url) => encodeUrlChars(url, /[[\]\s]/g);
+
+  return `[url=${bbCodeUrl(linkUrl)}][img]${bbCodeUrl(badgeUrl)}[/img][/url]`;
+}
+
+/**
+ * Generates Org-mode badge code
+ * @param {string} baseUrl - Base URL for the badge service
+ * @param {string} badgePath - Badge path with query parameters
+ * @param {string} linkUrl - URL to link to when badge is clicked
+ * @param {string} altText - Alt text for the badge image
+ * @returns {string} - Org link with the badge as its description
+ */
+export function generateOrgBadge(baseUrl, badgePath, linkUrl, altText) {
+  const badgeUrl = badgePath.startsWith('http') ? badgePath : `${baseUrl}${badgePath}`;
+  const orgUrl = (url) => encodeUrlChars(url, /[[\]\\\s]/g);
+
+  return `#+ATTR_HTML: :alt ${toSingleLine(altText)}
+[[${orgUrl(linkUrl)}][${orgUrl(badgeUrl)}]]`;
+}
+
+/**
+ * Generates a React component rendering the badge
+ * @param {string} baseUrl - Base URL for the badge service
+ * @param {string} badgePath - Badge path with query parameters
+ * @param {string} linkUrl - URL to link to when badge is clicked
+ * @param {string} altText - Alt text for the badge image
+ * @returns {string} - JSX component code
+ */
+export function generateReactBadge(baseUrl, badgePath, linkUrl, altText) {
+  const badgeUrl = badgePath.startsWith('http') ? badgePath : `${baseUrl}${badgePath}`;
+  const escapedAltText = escapeHtml(altText);
+
+  return `export function PaymentBadge() {
+  return (
+    <a href="${escapeHtml(linkUrl)}" target="_blank" rel="noopener noreferrer">
+      <img src="${escapeHtml(badgeUrl)}" alt="${escapedAltText}" />
+    </a>
+  );
+}`;
+}
+
+/**
+ * Generates a Vue single-file component template rendering the badge
+ * @param {string} baseUrl - Base URL for the badge service
+ * @param {string} badgePath - Badge path with query parameters
+ * @param {string} linkUrl - URL to link to when badge is clicked
+ * @param {string} altText - Alt text for the badge image
+ * @returns {string} - Vue template code
+ */
+export function generateVueBadge(baseUrl, badgePath, linkUrl, altText) {
+  const badgeUrl = badgePath.startsWith('http') ? badgePath : `${baseUrl}${badgePath}`;
+  const escapedAltText = escapeHtml(altText);
+
+  return `<template>
+  <a href="${escapeHtml(linkUrl)}" target="_blank" rel="noopener noreferrer">
+    <img src="${escapeHtml(badgeUrl)}" alt="${escapedAltText}" />
+  </a>
+</template>`;
+}
+
+/**
+ * Generates Svelte markup rendering the badge
+ * @param {string} baseUrl - Base URL for the badge service
+ * @param {string} badgePath - Badge path with query parameters
+ * @param {string} linkUrl - URL to link to when badge is clicked
+ * @param {string} altText - Alt text for the badge image
+ * @returns {string} - Svelte component markup
+ */
+export function generateSvelteBadge(baseUrl, badgePath, linkUrl, altText) {
+  const badgeUrl = badgePath.startsWith('http') ? badgePath : `${baseUrl}${badgePath}`;
+
+  return `<a href="${escapeSvelte(linkUrl)}" target="_blank" rel="noopener noreferrer">
+  <img src="${escapeSvelte(badgeUrl)}" alt="${escapeSvelte(altText)}" />
+</a>`;
+}
+
+/**
+ * Embed formats and the function generating each one
+ */
+const EMBED_FORMATS = {
+  markdown: generateMarkdownBadge,
+  html: generateHTMLBadge,
+  rst: generateRstBadge,
+  asciidoc: generateAsciiDocBadge,
+  bbcode: generateBBCodeBadge,
+  org: generateOrgBadge,
+  react: generateReactBadge,
+  vue: generateVueBadge,
+  svelte: generateSvelteBadge
+};
+
+/**
+ * Alternative names accepted for embed formats
+ */
+const FORMAT_ALIASES = {
+  md: 'markdown',
+  restructuredtext: 'rst',
+  adoc: 'asciidoc',
+  'org-mode': 'org',
+  jsx: 'react'
+};
+
+/**
+ * Names of all supported embed formats
+ */
+export const SUPPORTED_FORMATS = Object.keys(EMBED_FORMATS);
+
+/**
+ * Validates an embed format, resolving aliases to the format name
+ * @param {string} format - Requested format (default: markdown)
+ * @returns {Object} - { isValid, format, error }
+ */
+export function validateFormat(format = 'markdown') {
+  const normalized = String(format).toLowerCase();
+  const name = FORMAT_ALIASES[normalized] || normalized;
+
+  if (!Object.keys(EMBED_FORMATS).includes(name)) {
+    return {
+      isValid: false,
+      format: null,
+      error: `Unknown format: ${format}. Supported formats: ${SUPPORTED_FORMATS.join(', ')}`
+    };
+  }
+
+  return { isValid: true, format: name, error: null };
+}
+
+/**
+ * Generates an HTML <picture> that switches between light and dark badges with the
+ * viewer's color scheme (GitHub honours this in READMEs, unlike media queries inside the SVG)
+ * @param {string} baseUrl - Base URL for the badge service
+ * @param {string} lightPath - Light badge path with query parameters
+ * @param {string} darkPath - Dark badge path with query parameters
+ * @param {string} linkUrl - URL to link to when badge is clicked
+ * @param {string} altText - Alt text for the badge image
+ * @returns {string} - HTML picture badge code
+ */
+export function generatePictureBadge(baseUrl, lightPath, darkPath, linkUrl, altText) {
+  const lightUrl = lightPath.startsWith('http') ? lightPath : `${baseUrl}${lightPath}`;
+  const darkUrl = darkPath.startsWith('http') ? darkPath : `${baseUrl}${darkPath}`;
+  const escapedAltText = escapeHtml(altText);
+
+  return `<a href="${escapeHtml(linkUrl)}" target="_blank" rel="noopener noreferrer">
+  <picture>
+    <source media="(prefers-color-scheme: dark)" srcset="${escapeHtml(darkUrl)}" />
+    <img src="${escapeHtml(lightUrl)}" alt="${escapedAltText}" />
+  </picture>
 </a>`;
 }
 
@@ -91,9 +376,10 @@ export function generateHTMLBadge(baseUrl, badgePath, linkUrl, altText) {
  * @param {Object} options - Badge generation options
  * @param {string} options.baseUrl - Base URL for the badge service
  * @param {Object} options.badgeParams - Badge customization parameters
+ * @param {string} options.badgeUrl - Optional prebuilt badge URL, used instead of one built from badgeParams
  * @param {string} options.linkUrl - URL to link to when badge is clicked
  * @param {string} options.altText - Alt text for the badge image
- * @param {string} options.format - Output format ('markdown' or 'html')
+ * @param {string} options.format - Output format (one of SUPPORTED_FORMATS, default: markdown)
  * @returns {Object} - Generated code with metadata
  */
 export function generateBadgeCode(options) {
@@ -105,48 +391,103 @@ export function generateBadgeCode(options) {
     format = 'markdown'
   } = options;
 
+  const formatValidation = validateFormat(format);
+  if (!formatValidation.isValid) {
+    throw new Error(formatValidation.error);
+  }
+
+  const linkValidation = validateLinkUrl(linkUrl);
+  if (!linkValidation.isValid) {
+    throw new Error(linkValidation.error);
+  }
+
   // Build the complete badge URL
-  const badgeUrl = buildBadgeUrl(baseUrl, badgeParams);
+  const badgeUrl = options.badgeUrl || buildBadgeUrl(baseUrl, badgeParams);
   
   // Extract path from URL for the generator functions
   const url = new URL(badgeUrl);
   const badgePath = `${url.pathname}${url.search}`;
   
-  let code;
-  
-  switch (format.toLowerCase()) {
-    case 'html':
-      code = generateHTMLBadge(baseUrl, badgePath, linkUrl, altText);
-      break;
-    case 'markdown':
-    default:
-      code = generateMarkdownBadge(baseUrl, badgePath, linkUrl, altText);
-      break;
-  }
+  const code = EMBED_FORMATS[formatValidation.format](baseUrl, badgePath, linkValidation.url, altText);
   
   return {
-    format: format.toLowerCase(),
+    format: formatValidation.format,
     code,
     badgeUrl,
-    linkUrl,
+    linkUrl: linkValidation.url,
+    altText
+  };
+}
+
+/**
+ * Generates embed code for a server-rendered payment QR code
+ * @param {Object} options - QR code embed options
+ * @param {string} options.baseUrl - Base URL for the badge service
+ * @param {Object} options.qrParams - QR parameters (ticker, recipient_address, amount, size, ...)
+ * @param {string} options.linkUrl - URL to link to (defaults to the payment page for the same coin)
+ * @param {string} options.altText - Alt text for the QR code image
+ * @param {string} options.format - Output format (one of SUPPORTED_FORMATS, default: markdown)
+ * @returns {Object} - Generated code with metadata
+ */
+export function generateQRCodeEmbed(options) {
+  const { baseUrl, qrParams = {}, altText = 'Scan to pay', format = 'markdown' } = options;
+  const qrUrl = `${baseUrl}/qr.svg${buildQueryString(qrParams)}`;
+  const linkUrl =
+    options.linkUrl ||
+    `${baseUrl}/${buildQueryString({
+      ticker: qrParams.ticker,
+      recipient_address: qrParams.recipient_address
+    })}`;
+
+  const formatValidation = validateFormat(format);
+  if (!formatValidation.isValid) {
+    throw new Error(formatValidation.error);
+  }
+
+  const linkValidation = validateLinkUrl(linkUrl);
+  if (!linkValidation.isValid) {
+    throw new Error(linkValidation.error);
+  }
+
+  return {
+    format: formatValidation.format,
+    code: EMBED_FORMATS[formatValidation.format](baseUrl, qrUrl, linkValidation.url, altText),
+    qrUrl,
+    linkUrl: linkValidation.url,
     altText
   };
 }
 
 /**
- * Generates both markdown and HTML versions of badge code
+ * Generates badge code in every supported format, plus a light/dark <picture> snippet
  * @param {Object} options - Badge generation options
- * @returns {Object} - Both markdown and HTML versions
+ * @returns {Object} - One result per format, keyed by format name
  */
 export function generateAllBadgeFormats(options) {
-  const markdownResult = generateBadgeCode({ ...options, format: 'markdown' });
-  const htmlResult = generateBadgeCode({ ...options, format: 'html' });
+  const results = SUPPORTED_FORMATS.reduce((acc, format) => {
+    acc[format] = generateBadgeCode({ ...options, format });
+    return acc;
+  }, {});
+
+  // Every format was validated with the same link, so they all share its trimmed form
+  const { linkUrl } = results.markdown;
+
+  // Light and dark variants of the same badge for the <picture> snippet
+  const lightParams = { ...options.badgeParams };
+  delete lightParams.theme;
+  const lightUrl = buildBadgeUrl(options.baseUrl, lightParams);
+  const darkUrl = buildBadgeUrl(options.baseUrl, { ...lightParams, theme: 'dark' });
   
   return {
-    markdown: markdownResult,
-    html: htmlResult,
-    badgeUrl: markdownResult.badgeUrl,
-    linkUrl: options.linkUrl,
+    ...results,
+    picture: {
+      format: 'picture',
+      code: generatePictureBadge(options.baseUrl, lightUrl, darkUrl, linkUrl, options.altText),
+      lightUrl,
+      darkUrl
+    },
+    badgeUrl: results.markdown.badgeUrl,
+    linkUrl,
     altText: options.altText
   };
 }
@@ -155,11 +496,34 @@ export function generateAllBadgeFormats(options) {
  * Generates badge code for common cryptocurrency configurations
  * @param {string} baseUrl - Base URL for the badge service
  * @param {Array<string>} cryptos - Array of cryptocurrency codes
- * @param {Object} addresses - Optional custom addresses
- * @param {string} format - Output format ('markdown' or 'html')
+ * @param {Object} addresses - Optional custom addresses (validated; invalid ones throw)
+ * @param {string} format - Output format (one of SUPPORTED_FORMATS)
+ * @param {Object} payment - Optional wallet link for a single coin: { amount, network, label, message, memo }.
+ *   When given, the badge links to the coin's payment URI instead of the payment page.
  * @returns {Object} - Generated badge code
  */
-export function generateCryptoBadge(baseUrl, cryptos = ['btc', 'eth'], addresses = {}, format = 'markdown') {
+export function generateCryptoBadge(
+  baseUrl,
+  cryptos = ['btc', 'eth'],
+  addresses = {},
+  format = 'markdown',
+  payment = null
+) {
+  // A typo in a recipient address would send donations nowhere, so refuse to generate code
+  cryptos
+    .filter((crypto) => addresses[crypto])
+    .forEach((crypto) => {
+      const validation = validateRecipientAddress({
+        ticker: crypto,
+        network: cryptos.length === 1 ? payment?.network : undefined,
+        address: addresses[crypto]
+      });
+
+      if (!validation.isValid) {
+        throw new Error(validation.error);
+      }
+    });
+
   const badgeParams = {};
   
   // Handle single vs multiple cryptocurrencies
@@ -184,8 +548,11 @@ export function generateCryptoBadge(baseUrl, cryptos = ['btc', 'eth'], addresses
     }
   }
   
-  // Build payment URL with same parameters
-  const paymentUrl = `${baseUrl}/${buildQueryString(badgeParams)}`;
+  // Link to the wallet directly when asked (one coin only), otherwise to the payment page
+  const paymentUrl =
+    payment && cryptos.length === 1
+      ? buildPaymentUri({ ...payment, ticker: cryptos[0], address: addresses[cryptos[0]] })
+      : `${baseUrl}/${buildQueryString(badgeParams)}`;
   
   return generateBadgeCode({
     baseUrl,
@@ -227,6 +594,21 @@ export const BADGE_PRESETS = {
   support: {
     badgeParams: { leftText: 'support', rightText: 'project', rightColor: '#17a2b8' },
     altText: 'Support this Project'
+  },
+  segments: {
+    badgeParams: {
+      segments: [
+        { text: 'donate' },
+        { text: 'BTC', color: 'bitcoin', icon: 'btc' },
+        { text: 'ETH', color: 'ethereum', icon: 'eth' },
+        { text: 'SOL', color: 'solana', icon: 'sol' }
+      ]
+    },
+    altText: 'Donate with Crypto'
+  },
+  goal: {
+    badgeParams: { label: 'goal', raised: 0, goal: 1000, currency: 'USD' },
+    altText: 'Donation Goal'
   }
 };
 
@@ -235,25 +617,221 @@ export const BADGE_PRESETS = {
  * @param {string} baseUrl - Base URL for the badge service
  * @param {string} presetName - Name of the preset to use
  * @param {string} linkUrl - URL to link to when badge is clicked
- * @param {string} format - Output format ('markdown' or 'html')
+ * @param {string} format - Output format (one of SUPPORTED_FORMATS)
  * @param {Object} overrides - Optional parameter overrides
+ * @param {Object} options - Generation options
+ * @param {Object} options.presets - Presets to look the name up in (default: BADGE_PRESETS)
+ * @param {boolean} options.shortUrl - Link the badge as /preset/{name}.svg with only the overrides
+ *   in the query, so the badge follows later changes to the preset
  * @returns {Object} - Generated badge code
  */
-export function generatePresetBadge(baseUrl, presetName, linkUrl, format = 'markdown', overrides = {}) {
-  const preset = BADGE_PRESETS[presetName];
+export function generatePresetBadge(
+  baseUrl,
+  presetName,
+  linkUrl,
+  format = 'markdown',
+  overrides = {},
+  { presets = BADGE_PRESETS, shortUrl = false } = {}
+) {
+  const preset = Object.hasOwn(presets, presetName) ? presets[presetName] : null;
   
   if (!preset) {
-    throw new Error(`Unknown preset: ${presetName}. Available presets: ${Object.keys(BADGE_PRESETS).join(', ')}`);
+    throw new Error(`Unknown preset: ${presetName}. Available presets: ${Object.keys(presets).join(', ')}`);
   }
   
   const badgeParams = { ...preset.badgeParams, ...overrides };
   const altText = overrides.altText || preset.altText;
+  // altText belongs to the embed code, not to the image URL
+  delete badgeParams.altText;
   
   return generateBadgeCode({
     baseUrl,
     badgeParams,
+    badgeUrl: shortUrl ? buildPresetBadgeUrl(baseUrl, presetName, badgeParams.format, overrides) : undefined,
     linkUrl,
     altText,
     format
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Builds the short URL of a preset badge, which the server renders from the preset itself
+ * @param {string} baseUrl - Base URL for the badge service
+ * @param {string} presetName - Name of the preset
+ * @param {string} imageFormat - 'svg' or 'png'
+ * @param {Object} overrides - Parameters that differ from the preset
+ * @returns {string} - Preset badge URL, e.g. https://host/preset/bitcoin.svg
+ */
+function buildPresetBadgeUrl(baseUrl, presetName, imageFormat, overrides) {
+  const query = { ...overrides };
+  delete query.altText;
+  delete query.format;
+
+  const extension = IMAGE_FORMATS.includes(imageFormat) ? imageFormat : 'svg';
+  return `${baseUrl}/preset/${encodeURIComponent(presetName)}.${extension}${buildQueryString(query)}`;
+}
+
+/**
+ * Most badges a single batch may generate
+ */
+export const MAX_BATCH_SIZE = 50;
+
+/**
+ * Ways a batch can be assembled into one block, with the embed format each one needs
+ * (null: markdown or html, as requested). GitHub does not render markdown inside HTML blocks,
+ * so the centered layout always uses HTML.
+ */
+const BATCH_LAYOUT_FORMATS = {
+  inline: null,
+  center: 'html',
+  table: 'markdown'
+};
+
+export const BATCH_LAYOUTS = Object.keys(BATCH_LAYOUT_FORMATS);
+
+/**
+ * Validates the batch-wide options of a badge batch
+ * @param {Object} options - Batch options ({ badges, format, layout })
+ * @returns {Object} - { isValid, format, layout, error } with the embed format the badges will use
+ */
+export function validateBatchOptions({ badges, format = 'markdown', layout } = {}) {
+  const invalid = (error) => ({ isValid: false, format: null, layout: null, error });
+
+  if (!Array.isArray(badges) || badges.length === 0) {
+    return invalid('badges must be a non-empty array of badge specs.');
+  }
+
+  if (badges.length > MAX_BATCH_SIZE) {
+    return invalid(`Too many badges: ${badges.length}. A batch may contain at most ${MAX_BATCH_SIZE}.`);
+  }
+
+  if (layout !== undefined && !BATCH_LAYOUTS.includes(layout)) {
+    return invalid(`Unsupported layout: ${layout}. Supported layouts: ${BATCH_LAYOUTS.join(', ')}`);
+  }
+
+  const formatValidation = validateFormat(BATCH_LAYOUT_FORMATS[layout] || format);
+  if (!formatValidation.isValid) {
+    return invalid(formatValidation.error);
+  }
+
+  if (layout && !['markdown', 'html'].includes(formatValidation.format)) {
+    return invalid(`The ${layout} layout supports markdown and html only.`);
+  }
+
+  return { isValid: true, format: formatValidation.format, layout: layout || null, error: null };
+}
+
+/**
+ * Generates the code of one badge in a batch
+ * @param {Object} spec - Badge spec: { preset, badgeParams, linkUrl, altText, short }
+ * @param {Object} options - { baseUrl, format, presets }
+ * @returns {Object} - { isValid, ...generated code, error } (plus coin for address errors)
+ */
+function generateBatchItem(spec, { baseUrl, format, presets }) {
+  const invalid = (error, details = {}) => ({ isValid: false, ...details, error });
+
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return invalid('Badge spec must be an object.');
+  }
+
+  const { preset, badgeParams = {}, linkUrl, altText, short = false } = spec;
+
+  if (!linkUrl) {
+    return invalid('Missing required parameter: linkUrl');
+  }
+
+  const addressValidation = validateRecipientAddresses(badgeParams);
+  if (!addressValidation.isValid) {
+    return invalid(addressValidation.error, { coin: addressValidation.coin });
+  }
+
+  try {
+    const result = preset
+      ? generatePresetBadge(
+          baseUrl,
+          preset,
+          linkUrl,
+          format,
+          altText ? { ...badgeParams, altText } : badgeParams,
+          { presets, shortUrl: Boolean(short) }
+        )
+      : generateBadgeCode({
+          baseUrl,
+          badgeParams,
+          linkUrl,
+          altText: altText || 'Crypto Payment',
+          format
+        });
+
+    return { isValid: true, ...(preset ? { preset } : {}), ...result, error: null };
+  } catch (error) {
+    return invalid(error.message);
+  }
+}
+
+/**
+ * Escapes text for a markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string} - Text with pipes escaped
+ */
+function escapeTableCell(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+/**
+ * Assembles generated badges into one block
+ * @param {Array<Object>} results - Generated badges
+ * @param {string} layout - One of BATCH_LAYOUTS
+ * @returns {string} - Block of embed code
+ */
+function assembleBadgeBlock(results, layout) {
+  if (layout === 'center') {
+    return `<p align="center">\n${results.map(({ code }) => code.replace(/^/gm, '  ')).join('\n')}\n</p>`;
+  }
+
+  if (layout === 'table') {
+    const rows = results.map(
+      ({ altText, code }) => `| ${escapeTableCell(altText)} | ${escapeTableCell(code)} |`
+    );
+    return ['| Name | Badge |', '| --- | --- |', ...rows].join('\n');
+  }
+
+  return results.map(({ code }) => code).join(' ');
+}
+
+/**
+ * Generates code for many badges at once, mixing presets and custom parameters. Each badge is
+ * validated on its own, so one bad spec does not fail the others.
+ * @param {Object} options - Batch options
+ * @param {string} options.baseUrl - Base URL for the badge service
+ * @param {Array<Object>} options.badges - Badge specs: { preset, badgeParams, linkUrl, altText, short }.
+ *   With a preset, badgeParams are overrides and short links the badge as /preset/{name}.svg.
+ * @param {string} options.format - Output format (one of SUPPORTED_FORMATS, default: markdown)
+ * @param {string} options.layout - Optional block layout (one of BATCH_LAYOUTS)
+ * @param {Object} options.presets - Presets to look names up in (default: BADGE_PRESETS)
+ * @returns {Object} - { format, layout, badges, block, errors } where badges holds one result per
+ *   spec ({ index, isValid, ..., error }) and block is assembled from the valid ones
+ */
+export function generateBadgeBatch(options) {
+  const { baseUrl, badges, presets = BADGE_PRESETS } = options;
+
+  const batchValidation = validateBatchOptions(options);
+  if (!batchValidation.isValid) {
+    throw new Error(batchValidation.error);
+  }
+
+  const { format, layout } = batchValidation;
+  const results = badges.map((spec, index) => ({
+    index,
+    ...generateBatchItem(spec, { baseUrl, format, presets })
+  }));
+  const generated = results.filter((result) => result.isValid);
+
+  return {
+    format,
+    layout,
+    badges: results,
+    block: layout && generated.length > 0 ? assembleBadgeBlock(generated, layout) : null,
+    errors: results.length - generated.length
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Supported Coins
+ * The cryptocurrencies the payment page accepts, shared by badges and code generation
+ */
+
+/**
+ * Coin definitions keyed by ticker
+ */
+export const COINS = {
+  btc: {
+    ticker: 'btc',
+    symbol: 'BTC',
+    name: 'Bitcoin',
+    icon: 'bitcoin',
+    color: '#f7931a',
+    defaultAddress: 'bc1q254klmlgtanf8xez28gy7r0enpyhk88r2499pt'
+  },
+  eth: {
+    ticker: 'eth',
+    symbol: 'ETH',
+    name: 'Ethereum',
+    icon: 'ethereum',
+    color: '#627eea',
+    defaultAddress: '0x402282c72a2f2b9f059C3b39Fa63932D6AA09f11'
+  },
+  sol: {
+    ticker: 'sol',
+    symbol: 'SOL',
+    name: 'Solana',
+    icon: 'solana',
+    color: '#00ffa3',
+    defaultAddress: 'CsTWZTbDryjcb229RQ9b7wny5qytH9jwoJy6Lu98xpeF'
+  },
+  usdc: {
+    ticker: 'usdc',
+    symbol: 'USDC',
+    name: 'USD Coin',
+    icon: 'usdc',
+    color: '#2775ca',
+    defaultAddress: '0x402282c72a2f2b9f059C3b39Fa63932D6AA09f11'
+  }
+};
+
+/**
+ * Tickers of all supported coins
+ */
+export const SUPPORTED_TICKERS = Object.keys(COINS);
+
+/**
+ * Looks up a coin by ticker
+ * @param {string} ticker - Coin ticker (case-insensitive)
+ * @returns {Object|null} - Coin definition, or null if unsupported
+ */
+export function getCoin(ticker) {
+  if (typeof ticker !== 'string') {
+    return null;
+  }
+
+  return COINS[ticker.trim().toLowerCase()] || null;
+}
+
+/**
+ * Parses a comma-separated tickers list, preserving order and dropping duplicates
+ * @param {string|Array<string>} value - e.g. "btc,eth,sol" or ['btc', 'eth']
+ * @returns {Object} - { isValid, tickers, error }
+ */
+export function parseTickers(value) {
+  const entries = (Array.isArray(value) ? value : String(value).split(','))
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = entries.filter((entry) => !COINS[entry]);
+  if (unknown.length > 0) {
+    return {
+      isValid: false,
+      tickers: null,
+      error: `Unknown ticker: ${unknown.join(', ')}. Supported tickers: ${SUPPORTED_TICKERS.join(', ')}`
+    };
+  }
+
+  if (entries.length === 0) {
+    return { isValid: false, tickers: null, error: 'At least one ticker is required' };
+  }
+
+  return { isValid: true, tickers: [...new Set(entries)], error: null };
+}
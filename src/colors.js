@@ -0,0 +1,191 @@
+/**
+ * Color Parsing and Contrast
+ * Normalizes user-supplied badge colors and picks readable text colors for them
+ */
+
+/**
+ * Named colors accepted in color parameters: the shields.io palette plus coin brand colors
+ */
+export const NAMED_COLORS = {
+  brightgreen: '#4c1',
+  green: '#97ca00',
+  yellowgreen: '#a4a61d',
+  yellow: '#dfb317',
+  orange: '#fe7d37',
+  red: '#e05d44',
+  blue: '#007ec6',
+  lightgrey: '#9f9f9f',
+  lightgray: '#9f9f9f',
+  grey: '#555',
+  gray: '#555',
+  black: '#000',
+  white: '#fff',
+  success: '#4c1',
+  important: '#fe7d37',
+  critical: '#e05d44',
+  informational: '#007ec6',
+  inactive: '#9f9f9f',
+  bitcoin: '#f7931a',
+  ethereum: '#627eea',
+  solana: '#00ffa3',
+  usdc: '#2775ca'
+};
+
+/**
+ * Text and shadow colors used on dark and light backgrounds
+ */
+const TEXT_COLORS = {
+  light: { text: '#fff', shadow: '#010101' },
+  dark: { text: '#333', shadow: '#ccc' }
+};
+
+/**
+ * Perceived brightness above which a background counts as light (same cut-off as shields.io)
+ */
+const LIGHT_BACKGROUND_THRESHOLD = 0.69;
+
+const HEX_PATTERN = /^#?([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const RGB_PATTERN =
+  /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+%?)\s*)?\)$/i;
+const HSL_PATTERN =
+  /^hsla?\(\s*(-?[\d.]+)(?:deg)?\s*,\s*([\d.]+)%\s*,\s*([\d.]+)%\s*(?:,\s*([\d.]+%?)\s*)?\)$/i;
+
+/**
+ * Parses an alpha component, accepting 0-1 or a percentage
+ * @param {string} value - Alpha component
+ * @returns {number|null} - Alpha between 0 and 1, or null if out of range
+ */
+function parseAlpha(value) {
+  if (value === undefined) {
+    return 1;
+  }
+
+  const alpha = value.endsWith('%') ? parseFloat(value) / 100 : parseFloat(value);
+  return alpha >= 0 && alpha <= 1 ? alpha : null;
+}
+
+/**
+ * Converts HSL components to RGB channels
+ * @param {number} h - Hue in degrees
+ * @param {number} s - Saturation (0-1)
+ * @param {number} l - Lightness (0-1)
+ * @returns {Array<number>} - [r, g, b] channels (0-255)
+ */
+function hslToRgb(h, s, l) {
+  const hue = (((h % 360) + 360) % 360) / 30;
+  const a = s * Math.min(l, 1 - l);
+  const channel = (n) => {
+    const k = (n + hue) % 12;
+    return Math.round((l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255);
+  };
+
+  return [channel(0), channel(8), channel(4)];
+}
+
+/**
+ * Parses a color in any supported notation
+ * @param {string} input - Color name, hex (with or without #), rgb()/rgba() or hsl()/hsla()
+ * @returns {Object|null} - { css, r, g, b, a } with a normalized CSS value, or null if invalid
+ */
+export function parseColor(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const value = input.trim().toLowerCase();
+
+  if (NAMED_COLORS[value]) {
+    return parseColor(NAMED_COLORS[value]);
+  }
+
+  const hexMatch = value.match(HEX_PATTERN);
+  if (hexMatch) {
+    const [, digits] = hexMatch;
+    const full = digits.length <= 4 ? digits.replace(/./g, '$&$&') : digits;
+    const channels = full.match(/../g).map((pair) => parseInt(pair, 16));
+
+    return {
+      css: `#${digits}`,
+      r: channels[0],
+      g: channels[1],
+      b: channels[2],
+      a: channels.length === 4 ? channels[3] / 255 : 1
+    };
+  }
+
+  const rgbMatch = value.match(RGB_PATTERN);
+  if (rgbMatch) {
+    const channels = rgbMatch.slice(1, 4).map(Number);
+    const alpha = parseAlpha(rgbMatch[4]);
+
+    if (channels.some((channel) => !(channel <= 255)) || alpha === null) {
+      return null;
+    }
+
+    const [r, g, b] = channels;
+    return {
+      css: alpha === 1 ? `rgb(${r},${g},${b})` : `rgba(${r},${g},${b},${alpha})`,
+      r,
+      g,
+      b,
+      a: alpha
+    };
+  }
+
+  const hslMatch = value.match(HSL_PATTERN);
+  if (hslMatch) {
+    const [h, s, l] = hslMatch.slice(1, 4).map(Number);
+    const alpha = parseAlpha(hslMatch[4]);
+
+    if ([h, s, l].some(Number.isNaN) || s > 100 || l > 100 || alpha === null) {
+      return null;
+    }
+
+    const [r, g, b] = hslToRgb(h, s / 100, l / 100);
+    return {
+      css: alpha === 1 ? `hsl(${h},${s}%,${l}%)` : `hsla(${h},${s}%,${l}%,${alpha})`,
+      r,
+      g,
+      b,
+      a: alpha
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Normalizes a color to a CSS value usable in SVG fill attributes
+ * @param {string} input - Color in any supported notation
+ * @returns {string|null} - Normalized CSS color, or null if invalid
+ */
+export function normalizeColor(input) {
+  const color = parseColor(input);
+  return color ? color.css : null;
+}
+
+/**
+ * Calculates the perceived brightness of a color
+ * @param {string} input - Color in any supported notation
+ * @returns {number} - Brightness between 0 (black) and 1 (white)
+ */
+export function getBrightness(input) {
+  const color = parseColor(input);
+
+  if (!color) {
+    return 0;
+  }
+
+  return (color.r * 299 + color.g * 587 + color.b * 114) / 1000 / 255;
+}
+
+/**
+ * Picks text and shadow colors that stay readable on a background
+ * @param {string} background - Background color in any supported notation
+ * @returns {Object} - { text, shadow } colors
+ */
+export function getContrastColors(background) {
+  return getBrightness(background) >= LIGHT_BACKGROUND_THRESHOLD
+    ? TEXT_COLORS.dark
+    : TEXT_COLORS.light;
+}
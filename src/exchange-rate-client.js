@@ -8,12 +8,18 @@
  */
 const EXCHANGE_RATE_API_BASE = 'https://api.profullstack.com/api/exchange-rates';
 
+/**
+ * How long to wait for a rate before giving up, so a hung API cannot hang badge requests
+ */
+export const RATE_TIMEOUT_MS = 5000;
+
 /**
  * Fetches current exchange rate for a cryptocurrency
  * @param {string} fromCurrency - Source currency (e.g., 'BTC', 'ETH')
  * @param {string} toCurrency - Target currency (e.g., 'USD', 'EUR')
  * @param {Object} options - Optional parameters
  * @param {boolean} options.includeMetadata - Whether to return full response with metadata
+ * @param {number} options.timeout - Milliseconds to wait for the API (default: RATE_TIMEOUT_MS)
  * @returns {Promise<number|Object>} Exchange rate or full response object
  */
 export async function getCurrentRate(fromCurrency, toCurrency = 'USD', options = {}) {
@@ -25,7 +31,8 @@ export async function getCurrentRate(fromCurrency, toCurrency = 'USD', options =
       headers: {
         'Content-Type': 'application/json',
         'Accept': 'application/json'
-      }
+      },
+      signal: AbortSignal.timeout(options.timeout || RATE_TIMEOUT_MS)
     });
     
     if (!response.ok) {
@@ -0,0 +1,157 @@
+/**
+ * Font Metrics for Badge Text
+ * Per-glyph advance widths used to size badge segments the way shields.io does
+ */
+
+import { splitGraphemes } from './text.js';
+
+/**
+ * Units per em of the reference font (Verdana)
+ */
+export const UNITS_PER_EM = 2048;
+
+/**
+ * Advance width used for glyphs we have no metrics for (Verdana digit width)
+ */
+const FALLBACK_ADVANCE = 1303;
+
+/**
+ * Advance width used for wide glyphs (CJK, Hangul, full-width forms, emoji)
+ */
+const WIDE_ADVANCE = UNITS_PER_EM;
+
+/**
+ * Verdana advance widths for printable ASCII, starting at U+0020 (space).
+ * DejaVu Sans, the usual fallback in the badge font stack, has near-identical widths.
+ */
+// prettier-ignore
+const ASCII_ADVANCES = [
+  720, 823, 1037, 1716, 1303, 2220, 1493, 559, 1033, 1033, 1303, 1716, 745, 861, 745, 1098,
+  1303, 1303, 1303, 1303, 1303, 1303, 1303, 1303, 1303, 1303, 872, 872, 1716, 1716, 1716, 1110,
+  2048, 1401, 1405, 1430, 1577, 1294, 1178, 1587, 1540, 862, 945, 1424, 1155, 1726, 1532, 1612,
+  1265, 1612, 1424, 1400, 1268, 1505, 1401, 2025, 1403, 1260, 1402, 1033, 1098, 1033, 1716, 1303,
+  1303, 1229, 1276, 1067, 1276, 1220, 720, 1276, 1296, 562, 705, 1207, 562, 1992, 1296, 1243,
+  1276, 1276, 871, 1065, 807, 1296, 1207, 1663, 1207, 1207, 1067, 1300, 1033, 1300, 1716
+];
+
+/**
+ * Verdana advance widths for Latin-1 glyphs that do not decompose to an ASCII base letter.
+ * Accented letters (é, Ñ, ü...) are measured through their NFD base instead.
+ */
+const LATIN1_ADVANCES = {
+  '\u00a0': 720,
+  '\u00a1': 823,
+  '\u00a2': 1303,
+  '\u00a3': 1303,
+  '\u00a4': 1303,
+  '\u00a5': 1303,
+  '\u00a6': 1033,
+  '\u00a7': 1303,
+  '\u00a8': 1303,
+  '\u00a9': 2048,
+  '\u00aa': 1094,
+  '\u00ab': 1520,
+  '\u00ac': 1716,
+  '\u00ad': 861,
+  '\u00ae': 2048,
+  '\u00af': 1303,
+  '\u00b0': 1100,
+  '\u00b1': 1716,
+  '\u00b2': 1094,
+  '\u00b3': 1094,
+  '\u00b4': 1303,
+  '\u00b5': 1311,
+  '\u00b6': 1303,
+  '\u00b7': 745,
+  '\u00b8': 1303,
+  '\u00b9': 1094,
+  '\u00ba': 1094,
+  '\u00bb': 1520,
+  '\u00bc': 2275,
+  '\u00bd': 2275,
+  '\u00be': 2275,
+  '\u00bf': 1110,
+  '\u00c6': 2181,
+  '\u00d0': 1577,
+  '\u00d7': 1716,
+  '\u00d8': 1612,
+  '\u00de': 1265,
+  '\u00df': 1276,
+  '\u00e6': 1954,
+  '\u00f0': 1243,
+  '\u00f7': 1716,
+  '\u00f8': 1243,
+  '\u00fe': 1276,
+  '\u20ac': 1303
+};
+
+/**
+ * Glyphs that take no horizontal space (combining marks, joiners, variation selectors)
+ */
+const ZERO_WIDTH_PATTERN = /^[\p{M}\u200b-\u200f\u2060\ufe00-\ufe0f]$/u;
+
+/**
+ * Glyphs rendered a full em wide by the fallback fonts
+ */
+const WIDE_PATTERN =
+  /^[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6\p{Extended_Pictographic}]$/u;
+
+/**
+ * Looks up the advance width of a single code point
+ * @param {string} char - Single code point
+ * @returns {number} - Advance width in font units
+ */
+export function getCharAdvance(char) {
+  const code = char.codePointAt(0);
+
+  if (code >= 0x20 && code <= 0x7e) {
+    return ASCII_ADVANCES[code - 0x20];
+  }
+
+  if (LATIN1_ADVANCES[char] !== undefined) {
+    return LATIN1_ADVANCES[char];
+  }
+
+  if (ZERO_WIDTH_PATTERN.test(char)) {
+    return 0;
+  }
+
+  if (WIDE_PATTERN.test(char)) {
+    return WIDE_ADVANCE;
+  }
+
+  // Accented Latin letters are as wide as their base letter
+  const [base] = char.normalize('NFD');
+  if (base !== char) {
+    return getCharAdvance(base);
+  }
+
+  return FALLBACK_ADVANCE;
+}
+
+/**
+ * Grapheme clusters drawn as a single emoji glyph (ZWJ sequences, skin tones, flags)
+ */
+const EMOJI_CLUSTER_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+
+/**
+ * Measures the advance width of a string in font units
+ * @param {string} text - Text to measure
+ * @returns {number} - Total advance width in font units
+ */
+export function measureTextUnits(text) {
+  let units = 0;
+
+  for (const cluster of splitGraphemes(text)) {
+    if (EMOJI_CLUSTER_PATTERN.test(cluster)) {
+      units += WIDE_ADVANCE;
+      continue;
+    }
+
+    for (const char of cluster) {
+      units += getCharAdvance(char);
+    }
+  }
+
+  return units;
+}
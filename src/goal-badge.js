@@ -0,0 +1,176 @@
+/**
+ * Donation Goal Badge
+ * Renders "goal | $420 / $1,000 (42%)" badges with a progress bar behind the amounts
+ */
+
+import { generateBadgeSVG, validateBadgeParams } from './badge-generator.js';
+
+/**
+ * Progress bar colors, picked by the first threshold the percentage stays below
+ */
+export const GOAL_THRESHOLDS = [
+  { below: 34, color: '#e05d44' },
+  { below: 67, color: '#dfb317' },
+  { below: Infinity, color: '#4c1' }
+];
+
+/**
+ * Defaults for the goal-specific parameters
+ */
+const GOAL_DEFAULTS = {
+  label: 'goal',
+  currency: 'USD',
+  trackColor: '#9f9f9f'
+};
+
+/**
+ * Parameters consumed by the goal badge itself rather than passed on to the badge generator
+ */
+const GOAL_PARAM_NAMES = ['raised', 'goal', 'currency', 'label'];
+
+/**
+ * Largest amount accepted for raised and goal
+ */
+const MAX_AMOUNT = 1e12;
+
+/**
+ * Parses an amount parameter
+ * @param {string|number} value - Raw amount
+ * @returns {number} - Parsed amount, or NaN if it is not a usable number
+ */
+function parseAmount(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return NaN;
+  }
+
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 && amount <= MAX_AMOUNT ? amount : NaN;
+}
+
+/**
+ * Gets the progress bar color for a percentage
+ * @param {number} percent - Percentage of the goal raised
+ * @returns {string} - Hex color
+ */
+export function getGoalColor(percent) {
+  return GOAL_THRESHOLDS.find((threshold) => percent < threshold.below).color;
+}
+
+/**
+ * Formats an amount, showing cents only when the amount has them
+ * @param {number} value - Amount to format
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} - Formatted amount (e.g. "$1,000")
+ */
+export function formatAmount(value, currency) {
+  const fractionDigits = Number.isInteger(value) ? 0 : 2;
+
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: fractionDigits,
+    maximumFractionDigits: fractionDigits
+  }).format(value);
+}
+
+/**
+ * Validates goal badge parameters
+ * @param {Object} params - Raw parameters from request
+ * @returns {Object} - Validation result with raised, goal, currency, label and percent
+ */
+export function validateGoalParams(params = {}) {
+  const goal = parseAmount(params.goal);
+
+  if (Number.isNaN(goal) || goal === 0) {
+    return {
+      isValid: false,
+      error: 'Invalid goal. Must be a positive number.',
+      params: null
+    };
+  }
+
+  const raised =
+    params.raised === undefined || params.raised === '' ? 0 : parseAmount(params.raised);
+
+  if (Number.isNaN(raised)) {
+    return {
+      isValid: false,
+      error: 'Invalid raised amount. Must be a number of 0 or more.',
+      params: null
+    };
+  }
+
+  const currency = String(params.currency || GOAL_DEFAULTS.currency)
+    .trim()
+    .toUpperCase();
+
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    return {
+      isValid: false,
+      error: 'Invalid currency. Use a 3-letter ISO 4217 currency code.',
+      params: null
+    };
+  }
+
+  return {
+    isValid: true,
+    params: {
+      raised,
+      goal,
+      currency,
+      label: params.label || GOAL_DEFAULTS.label,
+      percent: Math.floor((raised / goal) * 100)
+    },
+    error: null
+  };
+}
+
+/**
+ * Builds the badge parameters for a goal badge: the label on the left and the amounts on the right
+ * @param {Object} params - Raw parameters from request
+ * @returns {Object} - Validation result with badge params and the progress bar
+ */
+export function buildGoalBadge(params = {}) {
+  const goalValidation = validateGoalParams(params);
+
+  if (!goalValidation.isValid) {
+    return goalValidation;
+  }
+
+  const { raised, goal, currency, label, percent } = goalValidation.params;
+  const styleParams = { ...params };
+  GOAL_PARAM_NAMES.forEach((name) => delete styleParams[name]);
+
+  const validation = validateBadgeParams({
+    ...styleParams,
+    leftText: label,
+    rightText: `${formatAmount(raised, currency)} / ${formatAmount(goal, currency)} (${percent}%)`,
+    rightColor: params.rightColor || GOAL_DEFAULTS.trackColor
+  });
+
+  if (!validation.isValid) {
+    return validation;
+  }
+
+  return {
+    isValid: true,
+    params: validation.params,
+    progress: { ratio: Math.min(raised / goal, 1), color: getGoalColor(percent) },
+    error: null
+  };
+}
+
+/**
+ * Generates a donation goal badge
+ * @param {Object} params - Goal parameters (raised, goal, currency, label) plus badge parameters
+ * @returns {string} - Complete SVG markup
+ */
+export function generateGoalBadgeSVG(params = {}) {
+  const badge = buildGoalBadge(params);
+
+  if (!badge.isValid) {
+    throw new Error(badge.error);
+  }
+
+  return generateBadgeSVG(badge.params, { progress: badge.progress });
+}
@@ -0,0 +1,212 @@
+/**
+ * Hash Functions
+ * Pure-JS SHA-256 and Keccak-256 for address checksums, usable on the server and in the browser
+ */
+
+/**
+ * SHA-256 round constants
+ */
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * SHA-256 initial hash values
+ */
+const SHA256_INIT = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+];
+
+/**
+ * Rotates a 32-bit word right
+ * @param {number} word - 32-bit word
+ * @param {number} bits - Rotation distance
+ * @returns {number} - Rotated word
+ */
+function rotr32(word, bits) {
+  return (word >>> bits) | (word << (32 - bits));
+}
+
+/**
+ * Computes a SHA-256 digest
+ * @param {Uint8Array} data - Input bytes
+ * @returns {Uint8Array} - 32-byte digest
+ */
+export function sha256(data) {
+  const blockCount = Math.ceil((data.length + 9) / 64);
+  const padded = new Uint8Array(blockCount * 64);
+  const view = new DataView(padded.buffer);
+
+  padded.set(data);
+  padded[data.length] = 0x80;
+  // Message length in bits as a 64-bit big-endian integer
+  view.setUint32(padded.length - 8, Math.floor(data.length / 0x20000000));
+  view.setUint32(padded.length - 4, (data.length * 8) >>> 0);
+
+  const hash = Uint32Array.from(SHA256_INIT);
+  const words = new Uint32Array(64);
+
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      words[i] = view.getUint32(offset + i * 4);
+    }
+
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr32(words[i - 15], 7) ^ rotr32(words[i - 15], 18) ^ (words[i - 15] >>> 3);
+      const s1 = rotr32(words[i - 2], 17) ^ rotr32(words[i - 2], 19) ^ (words[i - 2] >>> 10);
+      words[i] = words[i - 16] + s0 + words[i - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+
+    for (let i = 0; i < 64; i++) {
+      const s1 = rotr32(e, 6) ^ rotr32(e, 11) ^ rotr32(e, 25);
+      const choice = (e & f) ^ (~e & g);
+      const temp1 = (h + s1 + choice + SHA256_K[i] + words[i]) >>> 0;
+      const s0 = rotr32(a, 2) ^ rotr32(a, 13) ^ rotr32(a, 22);
+      const majority = (a & b) ^ (a & c) ^ (b & c);
+      const temp2 = (s0 + majority) >>> 0;
+
+      h = g;
+      g = f;
+      f = e;
+      e = (d + temp1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (temp1 + temp2) >>> 0;
+    }
+
+    [a, b, c, d, e, f, g, h].forEach((value, i) => {
+      hash[i] += value;
+    });
+  }
+
+  const digest = new Uint8Array(32);
+  const digestView = new DataView(digest.buffer);
+  hash.forEach((value, i) => digestView.setUint32(i * 4, value));
+  return digest;
+}
+
+/**
+ * Keccak-f[1600] lane rotation offsets, indexed by x + 5y
+ */
+const KECCAK_ROTATIONS = [
+  0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14
+];
+
+const MASK_64 = (1n << 64n) - 1n;
+
+/**
+ * Keccak-f[1600] round constants, generated by the LFSR from the Keccak reference
+ */
+const KECCAK_ROUND_CONSTANTS = Array.from({ length: 24 }, (_, round) => {
+  let constant = 0n;
+
+  for (let j = 0; j < 7; j++) {
+    let register = 1;
+    for (let step = 0; step < (j + 7 * round) % 255; step++) {
+      register <<= 1;
+      if (register & 0x100) {
+        register ^= 0x171;
+      }
+    }
+
+    if (register & 1) {
+      constant |= 1n << BigInt(2 ** j - 1);
+    }
+  }
+
+  return constant;
+});
+
+/**
+ * Rotates a 64-bit lane left
+ * @param {bigint} lane - 64-bit lane
+ * @param {number} bits - Rotation distance (0-63)
+ * @returns {bigint} - Rotated lane
+ */
+function rotl64(lane, bits) {
+  const distance = BigInt(bits);
+  return ((lane << distance) | (lane >> (64n - distance))) & MASK_64;
+}
+
+/**
+ * Applies the Keccak-f[1600] permutation in place
+ * @param {Array<bigint>} state - 25 lanes, indexed by x + 5y
+ */
+function keccakPermute(state) {
+  for (const roundConstant of KECCAK_ROUND_CONSTANTS) {
+    // Theta
+    const columns = [0, 1, 2, 3, 4].map(
+      (x) => state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20]
+    );
+    for (let x = 0; x < 5; x++) {
+      const parity = columns[(x + 4) % 5] ^ rotl64(columns[(x + 1) % 5], 1);
+      for (let y = 0; y < 25; y += 5) {
+        state[x + y] ^= parity;
+      }
+    }
+
+    // Rho and pi
+    const rotated = new Array(25);
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        rotated[y + 5 * ((2 * x + 3 * y) % 5)] = rotl64(
+          state[x + 5 * y],
+          KECCAK_ROTATIONS[x + 5 * y]
+        );
+      }
+    }
+
+    // Chi
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 25; y += 5) {
+        state[x + y] =
+          rotated[x + y] ^ (~rotated[((x + 1) % 5) + y] & MASK_64 & rotated[((x + 2) % 5) + y]);
+      }
+    }
+
+    // Iota
+    state[0] ^= roundConstant;
+  }
+}
+
+/**
+ * Computes a Keccak-256 digest (the original Keccak padding used by Ethereum, not SHA3-256)
+ * @param {Uint8Array} data - Input bytes
+ * @returns {Uint8Array} - 32-byte digest
+ */
+export function keccak256(data) {
+  const rate = 136;
+  const padded = new Uint8Array(Math.floor(data.length / rate + 1) * rate);
+  padded.set(data);
+  padded[data.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const state = new Array(25).fill(0n);
+
+  for (let offset = 0; offset < padded.length; offset += rate) {
+    for (let lane = 0; lane < rate / 8; lane++) {
+      let value = 0n;
+      for (let byte = 7; byte >= 0; byte--) {
+        value = (value << 8n) | BigInt(padded[offset + lane * 8 + byte]);
+      }
+      state[lane] ^= value;
+    }
+    keccakPermute(state);
+  }
+
+  const digest = new Uint8Array(32);
+  for (let i = 0; i < 32; i++) {
+    digest[i] = Number((state[Math.floor(i / 8)] >> BigInt((i % 8) * 8)) & 0xffn);
+  }
+  return digest;
+}
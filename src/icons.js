@@ -0,0 +1,217 @@
+/**
+ * Icon Registry
+ * Coin logos, generic icons and sanitized custom logos for badges
+ */
+
+import { COINS } from './coins.js';
+
+/**
+ * Maximum decoded size of a custom logo, in bytes
+ */
+export const MAX_LOGO_BYTES = 8192;
+
+/**
+ * Default rendered icon size in pixels
+ */
+export const DEFAULT_LOGO_WIDTH = 12;
+
+/**
+ * Allowed range for the logoWidth parameter
+ */
+export const LOGO_WIDTH_RANGE = { min: 8, max: 40 };
+
+/**
+ * Coin icons draw a brand-colored disk with a glyph on top; `color` replaces the disk color.
+ * Generic icons are a single shape drawn in `color`. All icons use a 12x12 coordinate box.
+ */
+const ICONS = {
+  bitcoin: {
+    color: COINS.btc.color,
+    render: (color) => `<circle cx="6" cy="6" r="6" fill="${color}"/>
+      <path d="M8.5 4.5c.1-.8-.5-1.2-1.3-1.5l.3-1.1-.7-.2-.3 1.1c-.2 0-.3-.1-.5-.1l.3-1.1-.7-.2-.3 1.1c-.1 0-.3-.1-.4-.1l-.9-.2-.2.7s.5.1.5.1c.3.1.3.2.3.4l-.3 1.3c0 0 0 0 .1 0l-.1 0-.7 1.7c-.1.1-.2.3-.5.2 0 0-.5-.1-.5-.1l-.3.8.9.2.5.1-.3 1.1.7.2.3-1.1c.2 0 .4.1.5.1l-.3 1.1.7.2.3-1.1c1.1.2 2-.1 2.3-.9.3-.8 0-1.3-.6-1.6.4-.1.8-.4.8-1zm-1.5 2.1c-.2.8-1.6.4-2 .3l.4-1.5c.4.1 1.9.3 1.6 1.2zm.2-2.2c-.2.7-1.3.4-1.7.3l.3-1.3c.4.1 1.6.3 1.4 1z" fill="white"/>`
+  },
+  ethereum: {
+    color: COINS.eth.color,
+    render: (color) => `<circle cx="6" cy="6" r="6" fill="${color}"/>
+      <path d="M6 1.6 3.3 6.1 6 7.7l2.7-1.6z" fill="white"/>
+      <path d="M6 8.3 3.3 6.7 6 10.4l2.7-3.7z" fill="white" fill-opacity=".8"/>`
+  },
+  solana: {
+    color: COINS.sol.color,
+    render: (color) => `<circle cx="6" cy="6" r="6" fill="${color}"/>
+      <path d="M4 3.4h5.5l-1.1 1.2H2.9zm-1.1 2h5.5l1.1 1.2H4zm1.1 2h5.5l-1.1 1.2H2.9z" fill="#000"/>`
+  },
+  usdc: {
+    color: COINS.usdc.color,
+    render: (color) => `<circle cx="6" cy="6" r="6" fill="${color}"/>
+      <circle cx="6" cy="6" r="4.2" fill="none" stroke="white" stroke-width=".7"/>
+      <path d="M7.3 4.7c-.2-.5-.7-.8-1.3-.8-.8 0-1.3.4-1.3 1s.5.9 1.3 1.1 1.4.5 1.4 1.1-.6 1.1-1.4 1.1c-.7 0-1.2-.3-1.4-.9M6 3.2v5.6" fill="none" stroke="white" stroke-width=".8"/>`
+  },
+  heart: {
+    color: '#fff',
+    render: (color) =>
+      `<path d="M6 10.6 1.9 6.5A2.6 2.6 0 0 1 6 3.3a2.6 2.6 0 0 1 4.1 3.2z" fill="${color}"/>`
+  },
+  coffee: {
+    color: '#fff',
+    render: (
+      color
+    ) => `<path d="M1.8 4.2h6.8v3.3A2.5 2.5 0 0 1 6.1 10H4.3a2.5 2.5 0 0 1-2.5-2.5z" fill="${color}"/>
+      <path d="M8.6 5.2h.7a1.4 1.4 0 0 1 0 2.8h-.9M3.8 1.5v1.6M5.2 1.5v1.6M6.6 1.5v1.6" fill="none" stroke="${color}" stroke-width=".9"/>`
+  },
+  gift: {
+    color: '#fff',
+    render: (color) =>
+      `<path d="M1.8 4.6h3.6v2.2H1.8zm4.8 0h3.6v2.2H6.6zM2.4 7.4h3v3.7h-3zm4.2 0h3v3.7h-3zM6 4.2C5.1 2 3.1 2.2 3.4 3.4 3.7 4.1 6 4.2 6 4.2zm0 0c.9-2.2 2.9-2 2.6-.8C8.3 4.1 6 4.2 6 4.2z" fill="${color}"/>`
+  }
+};
+
+/**
+ * Alternative names for registered icons (tickers and legacy names)
+ */
+const ICON_ALIASES = {
+  crypto: 'bitcoin',
+  btc: 'bitcoin',
+  eth: 'ethereum',
+  sol: 'solana',
+  donate: 'heart',
+  tip: 'coffee'
+};
+
+/**
+ * Names of all icons accepted by the icon and logo parameters
+ */
+export const ICON_NAMES = [...Object.keys(ICONS), ...Object.keys(ICON_ALIASES)];
+
+/**
+ * Elements that must never appear in an embedded logo, with and without their content
+ */
+const FORBIDDEN_ELEMENT_BLOCKS =
+  /<\s*(script|style|foreignObject|iframe|object|embed)\b[^>]*>[\s\S]*?<\/\s*\1\s*>/gi;
+const FORBIDDEN_ELEMENT_TAGS =
+  /<\/?\s*(script|style|foreignObject|iframe|object|embed|use|image|a)\b[^>]*>/gi;
+
+/**
+ * Resolves an icon name or alias to a registered icon name
+ * @param {string} name - Icon name, ticker or alias
+ * @returns {string|null} - Registered icon name, or null if unknown
+ */
+export function resolveIconName(name) {
+  if (typeof name !== 'string') {
+    return null;
+  }
+
+  const normalized = name.trim().toLowerCase();
+
+  if (ICONS[normalized]) {
+    return normalized;
+  }
+
+  return ICON_ALIASES[normalized] || null;
+}
+
+/**
+ * Gets the brand color of a registered icon
+ * @param {string} name - Icon name or alias
+ * @returns {string|null} - Icon's default color, or null if unknown
+ */
+export function getIconColor(name) {
+  const resolved = resolveIconName(name);
+  return resolved ? ICONS[resolved].color : null;
+}
+
+/**
+ * Strips active content from an SVG document so it can be embedded as a logo
+ * @param {string} svg - SVG markup
+ * @returns {string} - Sanitized SVG markup
+ */
+function sanitizeSvgLogo(svg) {
+  return svg
+    .replace(/<!DOCTYPE[\s\S]*?>/gi, '')
+    .replace(/<!ENTITY[\s\S]*?>/gi, '')
+    .replace(/<\?[\s\S]*?\?>/g, '')
+    .replace(FORBIDDEN_ELEMENT_BLOCKS, '')
+    .replace(FORBIDDEN_ELEMENT_TAGS, '')
+    .replace(/\s(on\w+|style)\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, '')
+    .replace(/\s(?:xlink:)?href\s*=\s*("(?!#)[^"]*"|'(?!#)[^']*')/gi, '')
+    .replace(/url\(\s*(?!['"]?#)[^)]*\)/gi, 'none');
+}
+
+/**
+ * Validates and sanitizes a custom logo given as a base64 data URI
+ * @param {string} dataUri - data:image/svg+xml;base64,... or data:image/png;base64,...
+ * @returns {Object} - { isValid, logo, error } where logo is a safe data URI
+ */
+export function validateCustomLogo(dataUri) {
+  // Query strings may turn '+' into spaces
+  const normalized = dataUri.trimStart().replace(/ /g, '+');
+  const match = /^data:image\/(svg\+xml|png);base64,([A-Za-z0-9+/]+={0,2})$/.exec(normalized);
+
+  if (!match) {
+    return {
+      isValid: false,
+      logo: null,
+      error: 'Invalid logo. Expected data:image/svg+xml;base64,... or data:image/png;base64,...'
+    };
+  }
+
+  const [, type, payload] = match;
+  const bytes = Buffer.from(payload, 'base64');
+
+  if (bytes.length > MAX_LOGO_BYTES) {
+    return {
+      isValid: false,
+      logo: null,
+      error: `Logo too large. Maximum ${MAX_LOGO_BYTES} bytes allowed.`
+    };
+  }
+
+  if (type === 'png') {
+    return {
+      isValid: true,
+      logo: `data:image/png;base64,${bytes.toString('base64')}`,
+      error: null
+    };
+  }
+
+  const svg = bytes.toString('utf8');
+
+  if (!/<svg[\s>]/i.test(svg)) {
+    return {
+      isValid: false,
+      logo: null,
+      error: 'Invalid logo. SVG data does not contain an <svg> element.'
+    };
+  }
+
+  const sanitized = Buffer.from(sanitizeSvgLogo(svg), 'utf8').toString('base64');
+  return { isValid: true, logo: `data:image/svg+xml;base64,${sanitized}`, error: null };
+}
+
+/**
+ * Renders a registered icon or custom logo as an SVG element
+ * @param {Object} options - Icon options
+ * @param {string} options.icon - Registered icon name or alias
+ * @param {string} options.logo - Sanitized custom logo data URI (takes precedence over icon)
+ * @param {string} options.color - Icon color override
+ * @param {number} options.x - Left edge
+ * @param {number} options.y - Top edge
+ * @param {number} options.size - Rendered width and height
+ * @returns {string} - SVG markup, or an empty string if there is no icon
+ */
+export function renderIcon({ icon, logo, color, x, y, size }) {
+  if (logo) {
+    return `<image x="${x}" y="${y}" width="${size}" height="${size}" href="${logo}"/>`;
+  }
+
+  const resolved = resolveIconName(icon);
+
+  if (!resolved) {
+    return '';
+  }
+
+  const definition = ICONS[resolved];
+  return `<svg x="${x}" y="${y}" width="${size}" height="${size}" viewBox="0 0 12 12">
+      ${definition.render(color || definition.color)}
+    </svg>`;
+}
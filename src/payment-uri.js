@@ -0,0 +1,365 @@
+/**
+ * Payment URIs
+ * Builds the wallet URIs encoded in payment QR codes and links
+ */
+
+import { getCoin, SUPPORTED_TICKERS } from './coins.js';
+import { validateAddress } from './address-validator.js';
+
+/**
+ * How each coin is paid on each network it lives on, keyed by ticker and then by network.
+ * The first network is the default; tokens carry their contract (ERC-20) or mint (SPL).
+ */
+const PAYMENT_METHODS = {
+  btc: { bitcoin: { decimals: 8 } },
+  eth: { ethereum: { decimals: 18 } },
+  sol: { solana: { decimals: 9 } },
+  usdc: {
+    ethereum: { decimals: 6, contract: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48' },
+    solana: { decimals: 6, splToken: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v' }
+  }
+};
+
+/**
+ * Native coin of each network, whose default address receives tokens on that network
+ */
+const NETWORK_COINS = {
+  bitcoin: 'btc',
+  ethereum: 'eth',
+  solana: 'sol'
+};
+
+/**
+ * URI schemes of all supported payment networks (each network's scheme is its name)
+ */
+export const PAYMENT_SCHEMES = Object.keys(NETWORK_COINS);
+
+/**
+ * Longest label, message or memo accepted in a payment URI
+ */
+const MAX_TEXT_LENGTH = 200;
+
+/**
+ * Converts a decimal amount to integer base units (e.g. ETH to wei) without float rounding
+ * @param {string} amount - Decimal amount (e.g. "0.05")
+ * @param {number} decimals - Number of decimals of the currency
+ * @returns {string} - Amount in base units
+ */
+export function toBaseUnits(amount, decimals) {
+  const [whole, fraction = ''] = amount.split('.');
+
+  if (fraction.length > decimals) {
+    throw new Error(`Amount has more than ${decimals} decimal places`);
+  }
+
+  const units = BigInt(whole + fraction.padEnd(decimals, '0'));
+  return units.toString();
+}
+
+/**
+ * Validates an amount parameter
+ * @param {string|number} amount - Raw amount
+ * @returns {Object} - { isValid, amount, error } with the amount as a plain decimal string
+ */
+export function validateAmount(amount) {
+  const value = String(amount).trim();
+
+  if (!/^\d+(\.\d+)?$/.test(value) || Number(value) <= 0) {
+    return {
+      isValid: false,
+      amount: null,
+      error: 'Invalid amount. Must be a positive decimal number.'
+    };
+  }
+
+  return { isValid: true, amount: value, error: null };
+}
+
+/**
+ * Builds a query string with every value percent-encoded, as BIP21 and Solana Pay require
+ * (URLSearchParams would write spaces as "+", which wallets show literally)
+ * @param {Array<Array<string>>} entries - [key, value] pairs; pairs with empty values are skipped
+ * @returns {string} - Query string with a leading "?", or empty string
+ */
+function buildUriQuery(entries) {
+  const query = entries
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Builds a BIP21 bitcoin URI
+ * @param {Object} payment - Resolved payment (recipient, amount, label, message)
+ * @returns {string} - bitcoin: URI
+ */
+function buildBip21Uri({ recipient, amount, label, message }) {
+  return `bitcoin:${recipient}${buildUriQuery([
+    ['amount', amount],
+    ['label', label],
+    ['message', message]
+  ])}`;
+}
+
+/**
+ * Builds an EIP-681 ethereum URI; ERC-20 tokens are paid by calling transfer on the token
+ * contract. Amounts are in base units (wei), and EIP-681 has no label or message.
+ * @param {Object} payment - Resolved payment (method, recipient, amount)
+ * @returns {string} - ethereum: URI
+ */
+function buildEip681Uri({ method, recipient, amount }) {
+  const value = amount && toBaseUnits(amount, method.decimals);
+
+  if (method.contract) {
+    return `ethereum:${method.contract}/transfer${buildUriQuery([
+      ['address', recipient],
+      ['uint256', value]
+    ])}`;
+  }
+
+  return `ethereum:${recipient}${buildUriQuery([['value', value]])}`;
+}
+
+/**
+ * Builds a Solana Pay transfer request URI; SPL tokens add their mint as spl-token
+ * @param {Object} payment - Resolved payment (method, recipient, amount, label, message, memo)
+ * @returns {string} - solana: URI
+ */
+function buildSolanaPayUri({ method, recipient, amount, label, message, memo }) {
+  return `solana:${recipient}${buildUriQuery([
+    ['amount', amount],
+    ['spl-token', method.splToken],
+    ['label', label],
+    ['message', message],
+    ['memo', memo]
+  ])}`;
+}
+
+/**
+ * URI builder of each payment network
+ */
+const URI_BUILDERS = {
+  bitcoin: buildBip21Uri,
+  ethereum: buildEip681Uri,
+  solana: buildSolanaPayUri
+};
+
+/**
+ * Looks up how a coin is paid on a network
+ * @param {string} ticker - Coin ticker
+ * @param {string} network - Network name (defaults to the coin's first network)
+ * @returns {Object} - { coin, network, method }
+ */
+function resolvePaymentMethod(ticker, network) {
+  const coin = getCoin(ticker);
+
+  if (!coin) {
+    throw new Error(`Unknown ticker: ${ticker}`);
+  }
+
+  const networks = Object.keys(PAYMENT_METHODS[coin.ticker]);
+  const name = network ? String(network).trim().toLowerCase() : networks[0];
+
+  if (!networks.includes(name)) {
+    throw new Error(
+      `Invalid network for ${coin.symbol}: ${network}. Supported networks: ${networks.join(', ')}`
+    );
+  }
+
+  return { coin, network: name, method: PAYMENT_METHODS[coin.ticker][name] };
+}
+
+/**
+ * Lists the networks a coin can be paid on
+ * @param {string} ticker - Coin ticker
+ * @returns {Array<string>} - Network names, default first (empty for unknown tickers)
+ */
+export function getPaymentNetworks(ticker) {
+  const coin = getCoin(ticker);
+  return coin ? Object.keys(PAYMENT_METHODS[coin.ticker]) : [];
+}
+
+/**
+ * Rounds a computed amount (e.g. a fiat price divided by an exchange rate) to a decimal string
+ * a wallet accepts: at most 8 decimals, or fewer when the currency has fewer
+ * @param {number} value - Amount in whole coins
+ * @param {Object} options - { ticker, network }
+ * @returns {string} - Decimal amount without trailing zeros
+ */
+export function formatPaymentAmount(value, { ticker, network } = {}) {
+  const { method } = resolvePaymentMethod(ticker, network);
+  const amount = Number(value).toFixed(Math.min(method.decimals, 8));
+
+  return amount.includes('.') ? amount.replace(/\.?0+$/, '') : amount;
+}
+
+/**
+ * Builds a payment URI for a coin
+ * @param {Object} options - Payment options
+ * @param {string} options.ticker - Coin ticker (btc, eth, sol, usdc)
+ * @param {string} options.network - Network to pay on (e.g. "solana" for USDC; defaults to the coin's first network)
+ * @param {string} options.address - Recipient address (defaults to the coin's default address)
+ * @param {string} options.amount - Optional amount in whole coins
+ * @param {string} options.label - Optional payee name (BIP21 and Solana Pay)
+ * @param {string} options.message - Optional payment description (BIP21 and Solana Pay)
+ * @param {string} options.memo - Optional on-chain memo (Solana Pay)
+ * @returns {string} - BIP21, EIP-681 or Solana Pay URI
+ */
+export function buildPaymentUri({ ticker, network, address, amount, label, message, memo }) {
+  const payment = resolvePaymentMethod(ticker, network);
+  const isDefaultNetwork = payment.network === getPaymentNetworks(ticker)[0];
+  const recipient =
+    address ||
+    (isDefaultNetwork ? payment.coin : getCoin(NETWORK_COINS[payment.network])).defaultAddress;
+
+  // Amounts more precise than the currency are rejected rather than silently rounded
+  if (amount) {
+    toBaseUnits(amount, payment.method.decimals);
+  }
+
+  return URI_BUILDERS[payment.network]({
+    method: payment.method,
+    recipient,
+    amount,
+    label,
+    message,
+    memo
+  });
+}
+
+/**
+ * Validates payment URI request parameters and builds the URI
+ * @param {Object} params - Raw parameters (ticker, network, recipient_address, amount, label, message, memo)
+ * @returns {Object} - { isValid, params, uri, error } with the cleaned payment options
+ */
+export function validatePaymentParams(params = {}) {
+  const invalid = (error) => ({ isValid: false, params: null, uri: null, error });
+  const coin = getCoin(params.ticker || 'btc');
+
+  if (!coin) {
+    return invalid(
+      `Unknown ticker: ${params.ticker}. Supported tickers: ${SUPPORTED_TICKERS.join(', ')}`
+    );
+  }
+
+  let network;
+  try {
+    ({ network } = resolvePaymentMethod(coin.ticker, params.network));
+  } catch (error) {
+    return invalid(error.message);
+  }
+
+  const address = params.recipient_address ? String(params.recipient_address).trim() : '';
+  if (address) {
+    const addressValidation = validateRecipientAddress({ ticker: coin.ticker, network, address });
+
+    if (!addressValidation.isValid) {
+      return invalid(addressValidation.error);
+    }
+  }
+
+  let amount = null;
+  if (params.amount !== undefined && params.amount !== '') {
+    const amountValidation = validateAmount(params.amount);
+
+    if (!amountValidation.isValid) {
+      return invalid(amountValidation.error);
+    }
+
+    ({ amount } = amountValidation);
+  }
+
+  const payment = { ticker: coin.ticker, network, address: address || null, amount };
+
+  for (const field of ['label', 'message', 'memo']) {
+    const text = params[field] === undefined ? '' : String(params[field]).trim();
+
+    if (text.length > MAX_TEXT_LENGTH) {
+      return invalid(`Invalid ${field}. Must be at most ${MAX_TEXT_LENGTH} characters.`);
+    }
+
+    payment[field] = text || null;
+  }
+
+  try {
+    return { isValid: true, params: payment, uri: buildPaymentUri(payment), error: null };
+  } catch (error) {
+    return invalid(error.message);
+  }
+}
+
+/**
+ * Validates the address a coin is paid to. Only mainnet addresses can receive payments.
+ * @param {Object} options - { ticker, network, address }; network defaults to the coin's first network
+ * @returns {Object} - { isValid, ticker, network, error, ... } plus the address validator's details
+ */
+export function validateRecipientAddress({ ticker, network, address }) {
+  let payment;
+  try {
+    payment = resolvePaymentMethod(ticker, network);
+  } catch (error) {
+    return { isValid: false, ticker, network: network || null, error: error.message };
+  }
+
+  const validation = validateAddress(payment.network, address);
+  const result = { ...validation, ticker: payment.coin.ticker };
+  const invalid = (error) => ({
+    ...result,
+    isValid: false,
+    error: `Invalid ${payment.coin.symbol} address: ${error}`
+  });
+
+  if (!validation.isValid) {
+    return invalid(validation.error);
+  }
+
+  if (validation.chain && validation.chain !== 'mainnet') {
+    return invalid(`This is a ${validation.chain} address; payments need a mainnet address.`);
+  }
+
+  return result;
+}
+
+/**
+ * Validates the recipient addresses in badge or payment page parameters: recipient_address
+ * (for ticker, default btc) and recipient_addresses ("btc:bc1...,eth:0x...")
+ * @param {Object} params - Raw parameters
+ * @returns {Object} - { isValid, coin, error } naming the first coin whose address is invalid
+ */
+export function validateRecipientAddresses(params = {}) {
+  const entries = [];
+
+  if (params.recipient_address) {
+    entries.push({
+      ticker: params.ticker || String(params.tickers || 'btc').split(',')[0],
+      network: params.network,
+      address: params.recipient_address
+    });
+  }
+
+  if (params.recipient_addresses) {
+    String(params.recipient_addresses)
+      .split(',')
+      .filter((pair) => pair.trim())
+      .forEach((pair) => {
+        const [ticker, ...rest] = pair.split(':');
+        entries.push({ ticker: ticker.trim(), address: rest.join(':').trim() });
+      });
+  }
+
+  for (const entry of entries) {
+    const validation = validateRecipientAddress(entry);
+
+    if (!validation.isValid) {
+      return {
+        isValid: false,
+        coin: String(entry.ticker).trim().toLowerCase(),
+        error: validation.error
+      };
+    }
+  }
+
+  return { isValid: true, coin: null, error: null };
+}
@@ -0,0 +1,77 @@
+/**
+ * PNG Renderer
+ * Rasterizes badge SVGs to PNG with the resvg WebAssembly build and bundled DejaVu fonts
+ */
+
+import { readFile } from 'fs/promises';
+import { createRequire } from 'module';
+import { initWasm, Resvg } from '@resvg/resvg-wasm';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Fonts loaded into the rasterizer. Badge text uses textLength, so the fallback font
+ * keeps the same widths as the Verdana metrics the layout is computed with.
+ */
+const FONT_FILES = [
+  'dejavu-fonts-ttf/ttf/DejaVuSans.ttf',
+  'dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf'
+];
+
+/**
+ * Pending or completed rasterizer initialization, shared by all requests
+ */
+let initialization = null;
+
+/**
+ * Loads the WebAssembly module and fonts once
+ * @returns {Promise<Array<Uint8Array>>} - Font buffers for the rasterizer
+ */
+function initialize() {
+  if (!initialization) {
+    initialization = (async () => {
+      const [wasm, ...fonts] = await Promise.all([
+        readFile(require.resolve('@resvg/resvg-wasm/index_bg.wasm')),
+        ...FONT_FILES.map((file) => readFile(require.resolve(file)))
+      ]);
+
+      await initWasm(wasm);
+      return fonts.map((font) => new Uint8Array(font));
+    })();
+
+    // Allow a later request to retry if loading failed
+    initialization.catch(() => {
+      initialization = null;
+    });
+  }
+
+  return initialization;
+}
+
+/**
+ * Rasterizes an SVG document to PNG
+ * @param {string} svg - SVG markup
+ * @param {Object} options - Rendering options
+ * @param {number} options.scale - Zoom factor (default: 1)
+ * @returns {Promise<Buffer>} - PNG image data
+ */
+export async function renderPNG(svg, { scale = 1 } = {}) {
+  const fontBuffers = await initialize();
+
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'zoom', value: scale },
+    font: {
+      fontBuffers,
+      defaultFontFamily: 'DejaVu Sans',
+      sansSerifFamily: 'DejaVu Sans'
+    }
+  });
+
+  const image = resvg.render();
+  const png = Buffer.from(image.asPng());
+
+  image.free();
+  resvg.free();
+
+  return png;
+}
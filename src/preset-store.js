@@ -0,0 +1,287 @@
+/**
+ * Preset Store
+ * Keeps user-defined badge presets alongside the built-in ones, in a JSON file or in memory
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { BADGE_PRESETS } from './code-generator.js';
+import { validateBadgeParams } from './badge-generator.js';
+import { validateGoalParams } from './goal-badge.js';
+import { parseColor } from './colors.js';
+import { validateRecipientAddresses } from './payment-uri.js';
+
+/**
+ * File the default store keeps presets in, relative to the working directory
+ */
+export const DEFAULT_PRESETS_FILE = 'presets.json';
+
+/**
+ * Preset names are used in URLs, so they are limited to letters, digits, "-" and "_"
+ */
+const PRESET_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,39}$/;
+
+const MAX_ALT_TEXT_LENGTH = 100;
+
+/**
+ * Most custom presets a store keeps; replacing an existing preset is always allowed
+ */
+export const MAX_CUSTOM_PRESETS = 100;
+
+/**
+ * Parameters a preset's badgeParams may set: badge, goal and payment page parameters
+ */
+const PRESET_PARAMS = [
+  'leftText',
+  'rightText',
+  'leftColor',
+  'rightColor',
+  'style',
+  'icon',
+  'logo',
+  'logoColor',
+  'logoWidth',
+  'iconPosition',
+  'tickers',
+  'segments',
+  'theme',
+  'darkLeftColor',
+  'darkRightColor',
+  'size',
+  'scale',
+  'inline',
+  'format',
+  'raised',
+  'goal',
+  'currency',
+  'label',
+  'ticker',
+  'network',
+  'recipient_address',
+  'recipient_addresses'
+];
+
+const COLOR_PARAMS = ['leftColor', 'rightColor', 'logoColor', 'darkLeftColor', 'darkRightColor'];
+
+/**
+ * Checks whether a name belongs to a built-in preset (case-insensitive, so "Bitcoin" is taken too)
+ * @param {string} name - Preset name
+ * @returns {boolean} - Whether the name is reserved
+ */
+export function isBuiltInPreset(name) {
+  const lower = String(name).toLowerCase();
+  return Object.keys(BADGE_PRESETS).some((builtIn) => builtIn.toLowerCase() === lower);
+}
+
+/**
+ * Validates a preset name
+ * @param {string} name - Preset name
+ * @returns {Object} - { isValid, name, error }
+ */
+export function validatePresetName(name) {
+  if (typeof name !== 'string' || !PRESET_NAME_PATTERN.test(name)) {
+    return {
+      isValid: false,
+      name: null,
+      error:
+        'Invalid preset name. Use 1-40 letters, digits, "-" or "_", starting with a letter or digit.'
+    };
+  }
+
+  return { isValid: true, name, error: null };
+}
+
+/**
+ * Checks the keys and value types of a preset's badgeParams
+ * @param {Object} badgeParams - Raw badge parameters
+ * @returns {string|null} - Error message, or null if the shape is valid
+ */
+function checkParamsShape(badgeParams) {
+  if (!badgeParams || typeof badgeParams !== 'object' || Array.isArray(badgeParams)) {
+    return 'badgeParams must be an object.';
+  }
+
+  for (const [key, value] of Object.entries(badgeParams)) {
+    if (!PRESET_PARAMS.includes(key)) {
+      return `Unknown badge parameter: ${key}. Supported parameters: ${PRESET_PARAMS.join(', ')}`;
+    }
+
+    const isScalar = ['string', 'number', 'boolean'].includes(typeof value);
+    if (!isScalar && !(key === 'segments' && Array.isArray(value))) {
+      return `Invalid ${key}. Expected a string, number or boolean.`;
+    }
+
+    if (COLOR_PARAMS.includes(key) && !parseColor(String(value))) {
+      return `Invalid ${key}: ${value}. Use a color name, hex, rgb() or hsl().`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validates a preset definition: its badgeParams must render, and its addresses must be valid
+ * @param {Object} preset - Raw preset ({ badgeParams, altText })
+ * @returns {Object} - { isValid, preset, error } with only the known preset fields
+ */
+export function validatePreset(preset) {
+  const invalid = (error) => ({ isValid: false, preset: null, error });
+
+  if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+    return invalid('Preset must be an object with badgeParams and an optional altText.');
+  }
+
+  const unknown = Object.keys(preset).filter((key) => !['badgeParams', 'altText'].includes(key));
+  if (unknown.length > 0) {
+    return invalid(
+      `Unknown preset field: ${unknown.join(', ')}. Expected badgeParams and altText.`
+    );
+  }
+
+  const shapeError = checkParamsShape(preset.badgeParams);
+  if (shapeError) {
+    return invalid(shapeError);
+  }
+
+  const { badgeParams } = preset;
+  const isGoal = badgeParams.goal !== undefined;
+  const paramsValidation = isGoal
+    ? validateGoalParams(badgeParams)
+    : validateBadgeParams(badgeParams);
+  if (!paramsValidation.isValid) {
+    return invalid(paramsValidation.error);
+  }
+
+  const addressValidation = validateRecipientAddresses(badgeParams);
+  if (!addressValidation.isValid) {
+    return invalid(addressValidation.error);
+  }
+
+  if (
+    preset.altText !== undefined &&
+    (typeof preset.altText !== 'string' || preset.altText.length > MAX_ALT_TEXT_LENGTH)
+  ) {
+    return invalid(
+      `Invalid altText. Must be a string of at most ${MAX_ALT_TEXT_LENGTH} characters.`
+    );
+  }
+
+  return {
+    isValid: true,
+    preset: { badgeParams, altText: preset.altText || 'Crypto Payment' },
+    error: null
+  };
+}
+
+/**
+ * Creates a preset store that lives in memory (for tests and throwaway servers)
+ * @param {Object} initial - Presets to start with, keyed by name
+ * @param {Object} options - Store options
+ * @param {number} options.maxPresets - Most presets the store keeps (default: MAX_CUSTOM_PRESETS)
+ * @returns {Object} - Store with async list, get, set and delete; set resolves to false when full
+ */
+export function createMemoryPresetStore(initial = {}, { maxPresets = MAX_CUSTOM_PRESETS } = {}) {
+  const presets = new Map(Object.entries(initial));
+
+  return {
+    async list() {
+      return Object.fromEntries(presets);
+    },
+    async get(name) {
+      return presets.get(name) || null;
+    },
+    async set(name, preset) {
+      if (!presets.has(name) && presets.size >= maxPresets) {
+        return false;
+      }
+      presets.set(name, preset);
+      return true;
+    },
+    async delete(name) {
+      return presets.delete(name);
+    }
+  };
+}
+
+/**
+ * Creates a preset store backed by a JSON file. The file is read on every call, so edits made
+ * by hand are picked up, and written atomically one change at a time.
+ * @param {string} filePath - JSON file path (created on the first write)
+ * @param {Object} options - Store options
+ * @param {number} options.maxPresets - Most presets the store keeps (default: MAX_CUSTOM_PRESETS)
+ * @returns {Object} - Store with async list, get, set and delete; set resolves to false when full
+ */
+export function createFilePresetStore(
+  filePath = DEFAULT_PRESETS_FILE,
+  { maxPresets = MAX_CUSTOM_PRESETS } = {}
+) {
+  let pendingWrite = Promise.resolve();
+
+  async function read() {
+    try {
+      return JSON.parse(await readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw new Error(`Failed to read presets from ${filePath}: ${error.message}`);
+    }
+  }
+
+  // Changes are chained so concurrent requests cannot overwrite each other's edits
+  function update(change) {
+    const result = pendingWrite.then(async () => {
+      const presets = await read();
+      const changed = change(presets);
+      if (changed === false) {
+        return false;
+      }
+
+      await mkdir(dirname(filePath), { recursive: true });
+      await writeFile(`${filePath}.tmp`, `${JSON.stringify(presets, null, 2)}\n`);
+      await rename(`${filePath}.tmp`, filePath);
+      return changed;
+    });
+
+    pendingWrite = result.catch(() => {});
+    return result;
+  }
+
+  return {
+    async list() {
+      return read();
+    },
+    async get(name) {
+      const presets = await read();
+      return Object.hasOwn(presets, name) ? presets[name] : null;
+    },
+    async set(name, preset) {
+      // Checked inside the update so concurrent requests cannot push the store past its limit
+      return update((presets) => {
+        if (!Object.hasOwn(presets, name) && Object.keys(presets).length >= maxPresets) {
+          return false;
+        }
+        presets[name] = preset;
+        return true;
+      });
+    },
+    async delete(name) {
+      return update((presets) => {
+        if (!Object.hasOwn(presets, name)) {
+          return false;
+        }
+        delete presets[name];
+        return true;
+      });
+    }
+  };
+}
+
+/**
+ * Lists the built-in presets merged with a store's custom ones (built-ins win on conflict)
+ * @param {Object} store - Preset store
+ * @returns {Promise<Object>} - Presets keyed by name
+ */
+export async function getAllPresets(store) {
+  return { ...(await store.list()), ...BADGE_PRESETS };
+}
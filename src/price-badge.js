@@ -0,0 +1,101 @@
+/**
+ * Live Price Badge
+ * Renders "BTC | $104,684" style badges from the exchange rate API
+ */
+
+import { generateBadgeSVG } from './badge-generator.js';
+import { getCurrentRate } from './exchange-rate-client.js';
+import { getCoin } from './coins.js';
+
+/**
+ * Color used when the price cannot be fetched
+ */
+const UNAVAILABLE_COLOR = '#9f9f9f';
+
+/**
+ * Validates the crypto and fiat codes of a price badge request
+ * @param {string} crypto - Cryptocurrency code (e.g. 'btc')
+ * @param {string} fiat - Fiat currency code (e.g. 'usd')
+ * @returns {Object} - Validation result with normalized codes
+ */
+export function validatePriceParams(crypto, fiat) {
+  if (typeof crypto !== 'string' || !/^[a-z0-9]{2,10}$/i.test(crypto)) {
+    return { isValid: false, error: 'Invalid crypto code. Use 2-10 letters or digits.' };
+  }
+
+  if (typeof fiat !== 'string' || !/^[a-z]{3}$/i.test(fiat)) {
+    return { isValid: false, error: 'Invalid fiat code. Use a 3-letter ISO 4217 currency code.' };
+  }
+
+  return {
+    isValid: true,
+    crypto: crypto.toUpperCase(),
+    fiat: fiat.toUpperCase(),
+    error: null
+  };
+}
+
+/**
+ * Formats a price for display, with fewer decimals for larger values
+ * @param {number} value - Price to format
+ * @param {string} fiat - ISO 4217 currency code
+ * @param {string} locale - Locale used for grouping and symbols
+ * @returns {string} - Formatted price (e.g. "$104,684")
+ */
+export function formatPrice(value, fiat, locale = 'en-US') {
+  if (value < 1) {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: fiat,
+      maximumSignificantDigits: 4
+    }).format(value);
+  }
+
+  const fractionDigits = value >= 1000 ? 0 : 2;
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: fiat,
+    minimumFractionDigits: fractionDigits,
+    maximumFractionDigits: fractionDigits
+  }).format(value);
+}
+
+/**
+ * Generates a price badge for a crypto/fiat pair, falling back to an "unavailable" badge
+ * @param {Object} options - Price badge options
+ * @param {string} options.crypto - Cryptocurrency code
+ * @param {string} options.fiat - Fiat currency code
+ * @param {Object} options.badgeParams - Additional badge parameters (style, colors, ...)
+ * @param {number} options.timeout - Milliseconds to wait for the rate (default: RATE_TIMEOUT_MS)
+ * @returns {Promise<Object>} - { available, rate, svg }
+ */
+export async function generatePriceBadge({ crypto, fiat = 'USD', badgeParams = {}, timeout }) {
+  const coin = getCoin(crypto);
+  const baseParams = {
+    leftText: coin ? coin.symbol : crypto.toUpperCase(),
+    icon: coin ? coin.icon : null,
+    ...badgeParams
+  };
+
+  try {
+    const rate = await getCurrentRate(crypto, fiat, { timeout });
+
+    return {
+      available: true,
+      rate,
+      svg: generateBadgeSVG({ ...baseParams, rightText: formatPrice(rate, fiat.toUpperCase()) })
+    };
+  } catch (error) {
+    console.warn(`Price badge unavailable for ${crypto}/${fiat}:`, error.message);
+
+    return {
+      available: false,
+      rate: null,
+      svg: generateBadgeSVG({
+        ...baseParams,
+        rightText: 'unavailable',
+        rightColor: UNAVAILABLE_COLOR
+      })
+    };
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * Payment QR Codes
+ * Renders payment URIs as scannable SVG QR codes using a pure-JS encoder
+ */
+
+import QRCode from 'qrcode';
+import { parseColor } from './colors.js';
+import { validatePaymentParams } from './payment-uri.js';
+
+/**
+ * Default QR code options
+ */
+export const QR_DEFAULTS = {
+  errorCorrectionLevel: 'M',
+  margin: 4,
+  size: 200,
+  color: '#000000',
+  background: '#ffffff'
+};
+
+/**
+ * Supported error-correction levels, from lowest (L, 7%) to highest (H, 30%)
+ */
+export const QR_ERROR_LEVELS = ['L', 'M', 'Q', 'H'];
+
+/**
+ * Allowed ranges for the size (pixels) and margin (modules) options
+ */
+export const QR_SIZE_RANGE = { min: 64, max: 1024 };
+export const QR_MARGIN_RANGE = { min: 0, max: 16 };
+
+/**
+ * Converts a color in any supported notation to the hex form the QR encoder expects
+ * @param {string} input - Color name, hex, rgb() or hsl()
+ * @returns {string|null} - #rrggbb or #rrggbbaa hex color, or null if invalid
+ */
+function toHexColor(input) {
+  const color = parseColor(input);
+
+  if (!color) {
+    return null;
+  }
+
+  const channels = [color.r, color.g, color.b];
+  if (color.a < 1) {
+    channels.push(color.a * 255);
+  }
+
+  return `#${channels.map((channel) => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Parses an integer option within a range
+ * @param {string|number} value - Raw value
+ * @param {Object} range - { min, max }
+ * @returns {number|null} - Parsed integer, or null if invalid or out of range
+ */
+function parseIntegerOption(value, range) {
+  const number = Number(value);
+  return Number.isInteger(number) && number >= range.min && number <= range.max ? number : null;
+}
+
+/**
+ * Validates QR code request parameters
+ * @param {Object} params - Raw payment parameters (see validatePaymentParams) and QR options
+ * @returns {Object} - Validation result with the payment URI and QR options
+ */
+export function validateQRParams(params = {}) {
+  const payment = validatePaymentParams(params);
+
+  if (!payment.isValid) {
+    return { isValid: false, error: payment.error, params: null };
+  }
+
+  const errorCorrectionLevel = String(
+    params.errorCorrectionLevel || QR_DEFAULTS.errorCorrectionLevel
+  ).toUpperCase();
+  if (!QR_ERROR_LEVELS.includes(errorCorrectionLevel)) {
+    return {
+      isValid: false,
+      error: `Invalid errorCorrectionLevel. Must be one of: ${QR_ERROR_LEVELS.join(', ')}`,
+      params: null
+    };
+  }
+
+  const margin = parseIntegerOption(params.margin ?? QR_DEFAULTS.margin, QR_MARGIN_RANGE);
+  if (margin === null) {
+    return {
+      isValid: false,
+      error: `Invalid margin. Must be an integer between ${QR_MARGIN_RANGE.min} and ${QR_MARGIN_RANGE.max}.`,
+      params: null
+    };
+  }
+
+  const size = parseIntegerOption(params.size ?? QR_DEFAULTS.size, QR_SIZE_RANGE);
+  if (size === null) {
+    return {
+      isValid: false,
+      error: `Invalid size. Must be an integer between ${QR_SIZE_RANGE.min} and ${QR_SIZE_RANGE.max}.`,
+      params: null
+    };
+  }
+
+  const color = toHexColor(params.color || QR_DEFAULTS.color);
+  const background = toHexColor(params.background || QR_DEFAULTS.background);
+  if (!color || !background) {
+    return {
+      isValid: false,
+      error: 'Invalid color. Use a color name, hex, rgb() or hsl().',
+      params: null
+    };
+  }
+
+  return {
+    isValid: true,
+    params: {
+      text: payment.uri,
+      errorCorrectionLevel,
+      margin,
+      size,
+      color,
+      background
+    },
+    error: null
+  };
+}
+
+/**
+ * Renders text as an SVG QR code
+ * @param {string} text - Text to encode (usually a payment URI)
+ * @param {Object} options - QR options (errorCorrectionLevel, margin, size, color, background)
+ * @returns {Promise<string>} - SVG markup
+ */
+export async function generateQRCodeSVG(text, options = {}) {
+  const { errorCorrectionLevel, margin, size, color, background } = { ...QR_DEFAULTS, ...options };
+
+  return QRCode.toString(text, {
+    type: 'svg',
+    errorCorrectionLevel,
+    margin,
+    width: size,
+    color: { dark: color, light: background }
+  });
+}
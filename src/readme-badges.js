@@ -0,0 +1,148 @@
+/**
+ * README Badges
+ * Keeps a block of badges between paybadge markers in a README in sync with a paybadge.json config
+ */
+
+import { generateBadgeBatch, validateBatchOptions } from './code-generator.js';
+
+export const README_START_MARKER = '<!-- paybadge:start -->';
+export const README_END_MARKER = '<!-- paybadge:end -->';
+
+/**
+ * Config file read by `paybadge readme`, relative to the working directory
+ */
+export const DEFAULT_CONFIG_FILE = 'paybadge.json';
+
+/**
+ * Badge service the generated code points at unless the config sets baseUrl
+ */
+export const DEFAULT_BASE_URL = 'https://paybadge.profullstack.com';
+
+/**
+ * Longest README text the server accepts, in characters
+ */
+export const MAX_README_LENGTH = 500000;
+
+const CONFIG_FIELDS = ['baseUrl', 'format', 'layout', 'badges'];
+
+// Markers may be written with or without spaces inside the comment
+const START_PATTERN = /<!--\s*paybadge:start\s*-->/g;
+const END_PATTERN = /<!--\s*paybadge:end\s*-->/g;
+const BLOCK_PATTERN = /(<!--\s*paybadge:start\s*-->)[\s\S]*?(<!--\s*paybadge:end\s*-->)/g;
+
+/**
+ * Validates a paybadge.json config
+ * @param {Object} config - Parsed config ({ baseUrl, format, layout, badges })
+ * @returns {Object} - { isValid, config, error } with defaults applied (layout: inline)
+ */
+export function validateReadmeConfig(config) {
+  const invalid = (error) => ({ isValid: false, config: null, error });
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return invalid('Config must be an object with a badges array.');
+  }
+
+  const unknown = Object.keys(config).filter((key) => !CONFIG_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    return invalid(
+      `Unknown config field: ${unknown.join(', ')}. Expected ${CONFIG_FIELDS.join(', ')}.`
+    );
+  }
+
+  if (config.baseUrl !== undefined && !/^https?:\/\/[^/\s]+/i.test(String(config.baseUrl))) {
+    return invalid(`Invalid baseUrl: ${config.baseUrl}. Expected an http or https URL.`);
+  }
+
+  const { badges, format = 'markdown', layout = 'inline' } = config;
+  const batchValidation = validateBatchOptions({ badges, format, layout });
+  if (!batchValidation.isValid) {
+    return invalid(batchValidation.error);
+  }
+
+  return {
+    isValid: true,
+    config: {
+      baseUrl: config.baseUrl ? String(config.baseUrl).replace(/\/+$/, '') : undefined,
+      format,
+      layout,
+      badges
+    },
+    error: null
+  };
+}
+
+/**
+ * Generates the badge block for a config. Unlike a batch, a README block is all or nothing:
+ * any invalid badge fails the whole block.
+ * @param {Object} config - paybadge.json config
+ * @param {Object} options - Generation options
+ * @param {string} options.baseUrl - Badge service URL when the config has none (default: DEFAULT_BASE_URL)
+ * @param {Object} options.presets - Presets badges may use (default: BADGE_PRESETS)
+ * @returns {string} - Badge block, without markers
+ */
+export function buildReadmeBlock(config, { baseUrl = DEFAULT_BASE_URL, presets } = {}) {
+  const configValidation = validateReadmeConfig(config);
+  if (!configValidation.isValid) {
+    throw new Error(configValidation.error);
+  }
+
+  const { config: validConfig } = configValidation;
+  const result = generateBadgeBatch({
+    ...validConfig,
+    baseUrl: validConfig.baseUrl || baseUrl,
+    presets
+  });
+
+  const failures = result.badges.filter((badge) => !badge.isValid);
+  if (failures.length > 0) {
+    throw new Error(failures.map(({ index, error }) => `Badge ${index + 1}: ${error}`).join('; '));
+  }
+
+  return result.block;
+}
+
+/**
+ * Replaces the content between every pair of paybadge markers with a badge block. Running it
+ * again with the same block leaves the README unchanged.
+ * @param {string} readme - README text
+ * @param {string} block - Badge block
+ * @returns {Object} - { content, changed, markers } where markers counts the replaced blocks
+ */
+export function injectReadmeBlock(readme, block) {
+  const starts = readme.match(START_PATTERN)?.length || 0;
+  const ends = readme.match(END_PATTERN)?.length || 0;
+  const blocks = readme.match(BLOCK_PATTERN)?.length || 0;
+
+  if (starts === 0) {
+    throw new Error(
+      `No ${README_START_MARKER} marker found. Add ${README_START_MARKER} and ${README_END_MARKER} where the badges should go.`
+    );
+  }
+
+  if (starts !== ends || blocks !== starts) {
+    throw new Error(
+      `Unbalanced markers: every ${README_START_MARKER} needs its own ${README_END_MARKER}.`
+    );
+  }
+
+  // Keep Windows line endings in READMEs that use them
+  const newline = readme.includes('\r\n') ? '\r\n' : '\n';
+  const lines = block.split('\n').join(newline);
+  const content = readme.replace(
+    BLOCK_PATTERN,
+    (_match, start, end) => `${start}${newline}${lines}${newline}${end}`
+  );
+
+  return { content, changed: content !== readme, markers: blocks };
+}
+
+/**
+ * Brings the badges in a README up to date with a config
+ * @param {string} readme - README text
+ * @param {Object} config - paybadge.json config
+ * @param {Object} options - Same options as buildReadmeBlock
+ * @returns {Object} - { content, changed, markers }
+ */
+export function updateReadme(readme, config, options = {}) {
+  return injectReadmeBlock(readme, buildReadmeBlock(config, options));
+}
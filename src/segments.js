@@ -0,0 +1,105 @@
+/**
+ * Badge Segments
+ * Parses and formats the segments parameter of multi-part badges ("donate | BTC | ETH")
+ */
+
+/**
+ * Maximum number of segments in one badge
+ */
+export const MAX_SEGMENTS = 8;
+
+/**
+ * Segment properties accepted in the JSON form
+ */
+const SEGMENT_KEYS = ['text', 'color', 'darkColor', 'icon'];
+
+/**
+ * Parses one entry of the compact form: text[:color[:icon]]
+ * @param {string} entry - Compact segment entry
+ * @returns {Object} - Raw segment
+ */
+function parseCompactSegment(entry) {
+  const [text = '', color = '', icon = ''] = entry.split(':');
+  return { text: text.trim(), color: color.trim(), icon: icon.trim() };
+}
+
+/**
+ * Parses the segments parameter. Accepts a JSON array of { text, color, darkColor, icon }
+ * objects, or comma-separated text[:color[:icon]] entries such as "donate:555,BTC:bitcoin:btc".
+ * Texts and colors are returned raw, for the badge generator to sanitize.
+ * @param {string|Array<Object>} value - Segments parameter
+ * @returns {Object} - { isValid, segments, error }
+ */
+export function parseSegments(value) {
+  let segments;
+
+  if (Array.isArray(value)) {
+    segments = value;
+  } else if (String(value).trim().startsWith('[')) {
+    try {
+      segments = JSON.parse(value);
+    } catch {
+      return { isValid: false, segments: null, error: 'Invalid segments. Malformed JSON.' };
+    }
+  } else {
+    segments = String(value).split(',').map(parseCompactSegment);
+  }
+
+  if (
+    !Array.isArray(segments) ||
+    segments.some((segment) => !segment || typeof segment !== 'object')
+  ) {
+    return {
+      isValid: false,
+      segments: null,
+      error: 'Invalid segments. Expected an array of { text, color, icon } objects.'
+    };
+  }
+
+  if (segments.length < 2 || segments.length > MAX_SEGMENTS) {
+    return {
+      isValid: false,
+      segments: null,
+      error: `Invalid segments. A badge needs between 2 and ${MAX_SEGMENTS} segments.`
+    };
+  }
+
+  return {
+    isValid: true,
+    segments: segments.map((segment) =>
+      SEGMENT_KEYS.reduce((acc, key) => {
+        acc[key] = segment[key] === undefined || segment[key] === null ? '' : String(segment[key]);
+        return acc;
+      }, {})
+    ),
+    error: null
+  };
+}
+
+/**
+ * Formats segments for a URL, using the compact form when every segment fits it
+ * @param {string|Array<Object>} segments - Segments as objects (or an already formatted string)
+ * @returns {string} - segments parameter value
+ */
+export function formatSegments(segments) {
+  if (!Array.isArray(segments)) {
+    return String(segments);
+  }
+
+  const isCompact = segments.every(
+    (segment) =>
+      !segment.darkColor &&
+      SEGMENT_KEYS.every((key) => !/[:,]/.test(segment[key] || '')) &&
+      !String(segment.text || '').startsWith('[')
+  );
+
+  if (!isCompact) {
+    return JSON.stringify(segments);
+  }
+
+  return segments
+    .map((segment) =>
+      [segment.text, segment.color || '', segment.icon || ''].join(':').replace(/:+$/, '')
+    )
+    .join(',');
+}
@@ -1,22 +1,119 @@
+import crypto from 'crypto';
 import { Hono } from 'hono';
 import { serve } from '@hono/node-server';
 import { cors } from 'hono/cors';
 import { etag } from 'hono/etag';
 import { generateBadgeSVG, generateEnhancedBadge, validateBadgeParams } from './badge-generator.js';
-import { generateBadgeCode, generateAllBadgeFormats, generatePresetBadge, BADGE_PRESETS } from './code-generator.js';
+import {
+  generateBadgeCode,
+  generateAllBadgeFormats,
+  generateBadgeBatch,
+  generatePresetBadge,
+  generateQRCodeEmbed,
+  validateBatchOptions,
+  validateFormat,
+  validateLinkUrl,
+  SUPPORTED_FORMATS,
+  ALLOWED_LINK_SCHEMES,
+  BADGE_PRESETS,
+  BATCH_LAYOUTS,
+  MAX_BATCH_SIZE
+} from './code-generator.js';
+import { generatePriceBadge, validatePriceParams } from './price-badge.js';
+import { buildGoalBadge } from './goal-badge.js';
+import { generateQRCodeSVG, validateQRParams } from './qr-code.js';
+import {
+  validatePaymentParams,
+  validateRecipientAddress,
+  validateRecipientAddresses
+} from './payment-uri.js';
+import { renderPNG } from './png-renderer.js';
+import {
+  createFilePresetStore,
+  getAllPresets,
+  isBuiltInPreset,
+  validatePreset,
+  validatePresetName
+} from './preset-store.js';
+import { injectReadmeBlock, buildReadmeBlock, MAX_README_LENGTH } from './readme-badges.js';
+import {
+  parseShieldsPath,
+  applyShieldsQuery,
+  validateEndpointUrl,
+  resolveEndpointBadge,
+  toEndpointDocument
+} from './shields.js';
+
+/**
+ * Sends a badge as SVG, or rasterized to PNG
+ * @param {Context} c - Hono context
+ * @param {string} svgContent - Badge SVG markup
+ * @param {Object} options - Response options
+ * @param {string} options.format - 'svg' or 'png'
+ * @param {string} options.cacheControl - Cache-Control header value
+ * @returns {Promise<Response>} - Image response
+ */
+async function sendBadge(c, svgContent, {
+  format = 'svg',
+  cacheControl = 'public, max-age=3600, s-maxage=3600'
+} = {}) {
+  c.header('Cache-Control', cacheControl);
+  c.header('Vary', 'Accept-Encoding');
+
+  if (format === 'png') {
+    c.header('Content-Type', 'image/png');
+    return c.body(await renderPNG(svgContent));
+  }
+
+  c.header('Content-Type', 'image/svg+xml');
+  return c.body(svgContent);
+}
+
+/**
+ * Adapts validated badge parameters to the output format
+ * @param {Object} params - Validated badge parameters
+ * @param {string} format - 'svg' or 'png'
+ * @returns {Object} - Parameters to render with
+ */
+function paramsForFormat(params, format) {
+  // Inline SVG has no namespace and is meant for HTML pages, so PNGs always render a full document
+  return format === 'png' ? { ...params, inline: false } : params;
+}
+
+/**
+ * Compares a bearer token with the admin token without leaking how much of it matched
+ * @param {string} header - Authorization header value
+ * @param {string} adminToken - Configured admin token
+ * @returns {boolean} - Whether the header carries the admin token
+ */
+function isAdminToken(header, adminToken) {
+  const [, token = ''] = /^Bearer\s+(.+)$/i.exec(header || '') || [];
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(adminToken));
+}
 
 /**
  * Creates and configures the Hono application
+ * @param {Object} options - App options
+ * @param {Object} options.presetStore - Store for custom presets (default: PRESETS_FILE or presets.json)
+ * @param {boolean} options.allowPrivateNetworks - Let endpoint badges fetch from private network
+ *   addresses (default: false)
+ * @param {string} options.adminToken - Bearer token that unlocks creating, replacing and deleting
+ *   custom presets; without one they are disabled (default: PRESETS_ADMIN_TOKEN)
  * @returns {Hono} - Configured Hono app
  */
-export function createApp() {
+export function createApp({
+  presetStore = createFilePresetStore(process.env.PRESETS_FILE),
+  allowPrivateNetworks = false,
+  adminToken = process.env.PRESETS_ADMIN_TOKEN
+} = {}) {
   const app = new Hono();
 
   // CORS middleware - essential for README badge display
   app.use('*', cors({
     origin: '*',
-    allowMethods: ['GET', 'POST', 'OPTIONS'],
-    allowHeaders: ['Content-Type'],
+    allowMethods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowHeaders: ['Content-Type', 'Authorization'],
     exposeHeaders: ['ETag', 'Cache-Control']
   }));
 
@@ -33,8 +130,8 @@ export function createApp() {
     });
   });
 
-  // Standard badge endpoint
-  app.get('/badge.svg', (c) => {
+  // Standard badge endpoint (SVG, or PNG for tools that cannot display SVG)
+  const standardBadge = (format) => async (c) => {
     try {
       const query = c.req.query();
       const validation = validateBadgeParams(query);
@@ -46,14 +143,9 @@ export function createApp() {
         }, 400);
       }
 
-      const svgContent = generateBadgeSVG(validation.params);
-      
-      // Set proper headers for SVG
-      c.header('Content-Type', 'image/svg+xml');
-      c.header('Cache-Control', 'public, max-age=3600, s-maxage=3600');
-      c.header('Vary', 'Accept-Encoding');
+      const svgContent = generateBadgeSVG(paramsForFormat(validation.params, format));
       
-      return c.body(svgContent);
+      return sendBadge(c, svgContent, { format });
     } catch (error) {
       console.error('Error generating badge:', error);
       return c.json({
@@ -61,13 +153,16 @@ export function createApp() {
         message: 'Failed to generate badge'
       }, 500);
     }
-  });
+  };
+
+  app.get('/badge.svg', standardBadge('svg'));
+  app.get('/badge.png', standardBadge('png'));
 
   // Enhanced crypto badge endpoint
-  app.get('/badge-crypto.svg', (c) => {
+  const enhancedBadge = (format) => async (c) => {
     try {
       const query = c.req.query();
-      const enhancedQuery = { ...query, style: 'enhanced' };
+      const enhancedQuery = { style: 'enhanced', ...query };
       const validation = validateBadgeParams(enhancedQuery);
       
       if (!validation.isValid) {
@@ -77,23 +172,261 @@ export function createApp() {
         }, 400);
       }
 
-      const svgContent = generateEnhancedBadge(validation.params);
+      const svgContent = generateEnhancedBadge(paramsForFormat(validation.params, format));
       
-      // Set proper headers for SVG
+      return sendBadge(c, svgContent, { format });
+    } catch (error) {
+      console.error('Error generating enhanced badge:', error);
+      return c.json({
+        error: 'Internal server error',
+        message: 'Failed to generate enhanced badge'
+      }, 500);
+    }
+  };
+
+  app.get('/badge-crypto.svg', enhancedBadge('svg'));
+  app.get('/badge-crypto.png', enhancedBadge('png'));
+
+  // Donation goal progress badge endpoint
+  const goalBadge = (format) => async (c) => {
+    try {
+      const query = c.req.query();
+      const badge = buildGoalBadge(query);
+
+      if (!badge.isValid) {
+        return c.json({
+          error: badge.error,
+          message: 'Invalid goal badge parameters'
+        }, 400);
+      }
+
+      const svgContent = generateBadgeSVG(paramsForFormat(badge.params, format), {
+        progress: badge.progress
+      });
+
+      // Amounts change as donations come in, so cache for less time than static badges
+      return sendBadge(c, svgContent, {
+        format,
+        cacheControl: 'public, max-age=600, s-maxage=600'
+      });
+    } catch (error) {
+      console.error('Error generating goal badge:', error);
+      return c.json({
+        error: 'Internal server error',
+        message: 'Failed to generate goal badge'
+      }, 500);
+    }
+  };
+
+  app.get('/badge/goal.svg', goalBadge('svg'));
+  app.get('/badge/goal.png', goalBadge('png'));
+
+  // Live price badge endpoint
+  app.get('/badge/price/:crypto/:fiat{.+\\.svg}', async (c) => {
+    try {
+      const crypto = c.req.param('crypto');
+      const fiat = c.req.param('fiat').replace(/\.svg$/, '');
+      const priceValidation = validatePriceParams(crypto, fiat);
+
+      if (!priceValidation.isValid) {
+        return c.json({
+          error: priceValidation.error,
+          message: 'Invalid price badge parameters'
+        }, 400);
+      }
+
+      const query = c.req.query();
+      const validation = validateBadgeParams(query);
+
+      if (!validation.isValid) {
+        return c.json({
+          error: validation.error,
+          message: 'Invalid badge parameters'
+        }, 400);
+      }
+
+      const result = await generatePriceBadge({
+        crypto: priceValidation.crypto,
+        fiat: priceValidation.fiat,
+        badgeParams: query
+      });
+
+      // Prices move quickly, so keep caches short (and shorter still when unavailable)
+      c.header('Content-Type', 'image/svg+xml');
+      c.header('Cache-Control', result.available
+        ? 'public, max-age=300, s-maxage=300'
+        : 'public, max-age=60, s-maxage=60');
+      c.header('Vary', 'Accept-Encoding');
+
+      return c.body(result.svg);
+    } catch (error) {
+      console.error('Error generating price badge:', error);
+      return c.json({
+        error: 'Internal server error',
+        message: 'Failed to generate price badge'
+      }, 500);
+    }
+  });
+
+  // Shields.io-style path badges: /badge/{label}-{message}-{color}.svg or /badge/{message}-{color}.svg
+  const shieldsBadge = (format) => async (c) => {
+    try {
+      const content = c.req.param('content').replace(/\.(svg|png)$/, '');
+      const path = parseShieldsPath(content);
+
+      if (!path.isValid) {
+        return c.json({
+          error: path.error,
+          message: 'Invalid badge path'
+        }, 400);
+      }
+
+      const validation = validateBadgeParams(applyShieldsQuery(path.params, c.req.query()));
+
+      if (!validation.isValid) {
+        return c.json({
+          error: validation.error,
+          message: 'Invalid badge parameters'
+        }, 400);
+      }
+
+      const svgContent = generateBadgeSVG(paramsForFormat(validation.params, format));
+
+      return sendBadge(c, svgContent, { format });
+    } catch (error) {
+      console.error('Error generating path badge:', error);
+      return c.json({
+        error: 'Internal server error',
+        message: 'Failed to generate badge'
+      }, 500);
+    }
+  };
+
+  // Registered after the goal and price badges, which live under /badge/ too
+  app.get('/badge/:content{[^/]+\\.svg}', shieldsBadge('svg'));
+  app.get('/badge/:content{[^/]+\\.png}', shieldsBadge('png'));
+
+  // Shields.io endpoint badges rendered from a JSON document at ?url=
+  const endpointBadge = (format) => async (c) => {
+    try {
+      const { url, ...query } = c.req.query();
+      const urlValidation = validateEndpointUrl(url, { allowPrivateNetworks });
+
+      if (!urlValidation.isValid) {
+        return c.json({
+          error: urlValidation.error,
+          message: 'Invalid endpoint badge parameters'
+        }, 400);
+      }
+
+      const queryValidation = validateBadgeParams(applyShieldsQuery({}, query));
+
+      if (!queryValidation.isValid) {
+        return c.json({
+          error: queryValidation.error,
+          message: 'Invalid badge parameters'
+        }, 400);
+      }
+
+      const badge = await resolveEndpointBadge(urlValidation.url, query, { allowPrivateNetworks });
+      const svgContent = generateBadgeSVG(paramsForFormat(badge.params, format));
+
+      return sendBadge(c, svgContent, {
+        format,
+        cacheControl: `public, max-age=${badge.cacheSeconds}, s-maxage=${badge.cacheSeconds}`
+      });
+    } catch (error) {
+      console.error('Error generating endpoint badge:', error);
+      return c.json({
+        error: 'Internal server error',
+        message: 'Failed to generate endpoint badge'
+      }, 500);
+    }
+  };
+
+  app.get('/endpoint.svg', endpointBadge('svg'));
+  app.get('/endpoint.png', endpointBadge('png'));
+
+  // Badge parameters in the shields.io endpoint schema, for tools that consume it
+  app.get('/badge.json', (c) => {
+    try {
+      const validation = validateBadgeParams(c.req.query());
+
+      if (!validation.isValid) {
+        return c.json({
+          error: validation.error,
+          message: 'Invalid badge parameters'
+        }, 400);
+      }
+
+      c.header('Cache-Control', 'public, max-age=3600, s-maxage=3600');
+      return c.json(toEndpointDocument(validation.params));
+    } catch (error) {
+      console.error('Error generating badge JSON:', error);
+      return c.json({
+        error: 'Internal server error',
+        message: 'Failed to generate badge JSON'
+      }, 500);
+    }
+  });
+
+  // Payment QR code endpoint
+  app.get('/qr.svg', async (c) => {
+    try {
+      const validation = validateQRParams(c.req.query());
+
+      if (!validation.isValid) {
+        return c.json({
+          error: validation.error,
+          message: 'Invalid QR code parameters'
+        }, 400);
+      }
+
+      const { text, ...options } = validation.params;
+      const svgContent = await generateQRCodeSVG(text, options);
+
       c.header('Content-Type', 'image/svg+xml');
       c.header('Cache-Control', 'public, max-age=3600, s-maxage=3600');
       c.header('Vary', 'Accept-Encoding');
-      
+
       return c.body(svgContent);
     } catch (error) {
-      console.error('Error generating enhanced badge:', error);
+      console.error('Error generating QR code:', error);
       return c.json({
         error: 'Internal server error',
-        message: 'Failed to generate enhanced badge'
+        message: 'Failed to generate QR code'
       }, 500);
     }
   });
 
+  // Payment URI endpoint (BIP21, EIP-681 or Solana Pay)
+  app.get('/payment-uri', (c) => {
+    const validation = validatePaymentParams(c.req.query());
+
+    if (!validation.isValid) {
+      return c.json({
+        error: validation.error,
+        message: 'Invalid payment parameters'
+      }, 400);
+    }
+
+    return c.json({ uri: validation.uri, ...validation.params });
+  });
+
+  // Recipient address validation
+  app.get('/validate-address', (c) => {
+    const { ticker = 'btc', network, address } = c.req.query();
+
+    if (!address) {
+      return c.json({
+        error: 'Missing required parameter: address',
+        message: 'address is required for validation'
+      }, 400);
+    }
+
+    return c.json(validateRecipientAddress({ ticker, network, address }));
+  });
+
   // Code generation endpoint
   app.post('/generate-code', async (c) => {
     try {
@@ -113,10 +446,39 @@ export function createApp() {
         }, 400);
       }
 
+      const linkValidation = validateLinkUrl(linkUrl);
+
+      if (!linkValidation.isValid) {
+        return c.json({
+          error: linkValidation.error,
+          message: 'Rejected linkUrl'
+        }, 400);
+      }
+
+      const addressValidation = validateRecipientAddresses(badgeParams);
+
+      if (!addressValidation.isValid) {
+        return c.json({
+          error: addressValidation.error,
+          message: 'Invalid recipient address',
+          coin: addressValidation.coin
+        }, 400);
+      }
+
+      const formatValidation = validateFormat(format);
+
+      if (!formatValidation.isValid) {
+        return c.json({
+          error: formatValidation.error,
+          message: 'Unsupported code format',
+          supportedFormats: SUPPORTED_FORMATS
+        }, 400);
+      }
+
       const result = generateBadgeCode({
         baseUrl,
         badgeParams,
-        linkUrl,
+        linkUrl: linkValidation.url,
         altText,
         format
       });
@@ -131,7 +493,7 @@ export function createApp() {
     }
   });
 
-  // Generate both markdown and HTML formats
+  // Generate code in every supported format
   app.post('/generate-all-formats', async (c) => {
     try {
       const body = await c.req.json();
@@ -149,10 +511,29 @@ export function createApp() {
         }, 400);
       }
 
+      const linkValidation = validateLinkUrl(linkUrl);
+
+      if (!linkValidation.isValid) {
+        return c.json({
+          error: linkValidation.error,
+          message: 'Rejected linkUrl'
+        }, 400);
+      }
+
+      const addressValidation = validateRecipientAddresses(badgeParams);
+
+      if (!addressValidation.isValid) {
+        return c.json({
+          error: addressValidation.error,
+          message: 'Invalid recipient address',
+          coin: addressValidation.coin
+        }, 400);
+      }
+
       const result = generateAllBadgeFormats({
         baseUrl,
         badgeParams,
-        linkUrl,
+        linkUrl: linkValidation.url,
         altText
       });
 
@@ -166,20 +547,271 @@ export function createApp() {
     }
   });
 
+  // Generate code for many badges at once, optionally assembled into one block
+  app.post('/generate-batch', async (c) => {
+    try {
+      let body;
+      try {
+        body = await c.req.json();
+      } catch {
+        return c.json({
+          error: 'Request body must be JSON',
+          message: 'Invalid batch request'
+        }, 400);
+      }
+
+      const {
+        baseUrl = `${c.req.header('x-forwarded-proto') || 'http'}://${c.req.header('host')}`,
+        badges,
+        format = 'markdown',
+        layout
+      } = body || {};
+
+      const batchValidation = validateBatchOptions({ badges, format, layout });
+
+      if (!batchValidation.isValid) {
+        return c.json({
+          error: batchValidation.error,
+          message: 'Invalid batch request',
+          supportedLayouts: BATCH_LAYOUTS
+        }, 400);
+      }
+
+      const presets = await getAllPresets(presetStore);
+      const result = generateBadgeBatch({ baseUrl, badges, format, layout, presets });
+
+      return c.json(result);
+    } catch (error) {
+      console.error('Error generating badge batch:', error);
+      return c.json({
+        error: 'Internal server error',
+        message: 'Failed to generate badge batch'
+      }, 500);
+    }
+  });
+
+  // Replace the badges between the paybadge markers of a README
+  app.post('/readme/inject', async (c) => {
+    try {
+      let body;
+      try {
+        body = await c.req.json();
+      } catch {
+        return c.json({
+          error: 'Request body must be JSON',
+          message: 'Invalid README request'
+        }, 400);
+      }
+
+      const { readme, config } = body || {};
+
+      if (typeof readme !== 'string') {
+        return c.json({
+          error: 'Missing required parameter: readme',
+          message: 'readme must be the README text'
+        }, 400);
+      }
+
+      if (readme.length > MAX_README_LENGTH) {
+        return c.json({
+          error: `README too large. Maximum length: ${MAX_README_LENGTH} characters`,
+          message: 'Invalid README'
+        }, 400);
+      }
+
+      let block;
+      try {
+        block = buildReadmeBlock(config, {
+          baseUrl: `${c.req.header('x-forwarded-proto') || 'http'}://${c.req.header('host')}`,
+          presets: await getAllPresets(presetStore)
+        });
+      } catch (error) {
+        return c.json({ error: error.message, message: 'Invalid paybadge config' }, 400);
+      }
+
+      try {
+        return c.json(injectReadmeBlock(readme, block));
+      } catch (error) {
+        return c.json({ error: error.message, message: 'Invalid README markers' }, 400);
+      }
+    } catch (error) {
+      console.error('Error injecting README badges:', error);
+      return c.json({
+        error: 'Internal server error',
+        message: 'Failed to update README'
+      }, 500);
+    }
+  });
+
+  // QR code embed generation
+  app.post('/generate-qr-code', async (c) => {
+    try {
+      let body;
+      try {
+        body = await c.req.json();
+      } catch {
+        return c.json({
+          error: 'Request body must be JSON',
+          message: 'Invalid QR code request'
+        }, 400);
+      }
+
+      const {
+        baseUrl = `${c.req.header('x-forwarded-proto') || 'http'}://${c.req.header('host')}`,
+        qrParams = {},
+        linkUrl,
+        altText = 'Scan to pay',
+        format = 'markdown'
+      } = body || {};
+
+      const addressValidation = validateRecipientAddresses(qrParams);
+
+      if (!addressValidation.isValid) {
+        return c.json({
+          error: addressValidation.error,
+          message: 'Invalid recipient address',
+          coin: addressValidation.coin
+        }, 400);
+      }
+
+      const validation = validateQRParams(qrParams);
+
+      if (!validation.isValid) {
+        return c.json({
+          error: validation.error,
+          message: 'Invalid QR code parameters'
+        }, 400);
+      }
+
+      const formatValidation = validateFormat(format);
+
+      if (!formatValidation.isValid) {
+        return c.json({
+          error: formatValidation.error,
+          message: 'Unsupported code format',
+          supportedFormats: SUPPORTED_FORMATS
+        }, 400);
+      }
+
+      // The link defaults to the payment page, so only a given one needs checking
+      const linkValidation = linkUrl ? validateLinkUrl(linkUrl) : { isValid: true, url: undefined };
+
+      if (!linkValidation.isValid) {
+        return c.json({
+          error: linkValidation.error,
+          message: 'Rejected linkUrl'
+        }, 400);
+      }
+
+      const result = generateQRCodeEmbed({
+        baseUrl,
+        qrParams,
+        linkUrl: linkValidation.url,
+        altText,
+        format
+      });
+
+      return c.json(result);
+    } catch (error) {
+      console.error('Error generating QR code embed:', error);
+      return c.json({
+        error: 'Internal server error',
+        message: 'Failed to generate QR code embed'
+      }, 500);
+    }
+  });
+
+  // Preset badges rendered from the stored preset, so editing a preset updates every badge using it
+  const presetBadge = (format, { enhanced = false } = {}) => async (c) => {
+    try {
+      const name = c.req.param('name').replace(/\.(svg|png)$/, '');
+      const presets = await getAllPresets(presetStore);
+
+      if (!Object.hasOwn(presets, name)) {
+        return c.json({
+          error: `Unknown preset: ${name}. Available presets: ${Object.keys(presets).join(', ')}`,
+          message: 'Preset not found'
+        }, 404);
+      }
+
+      const params = { ...presets[name].badgeParams, ...c.req.query() };
+      // Presets can change at any time, so cache for less time than static badges
+      const cacheControl = 'public, max-age=300, s-maxage=300';
+
+      if (params.goal !== undefined) {
+        const badge = buildGoalBadge(params);
+
+        if (!badge.isValid) {
+          return c.json({
+            error: badge.error,
+            message: 'Invalid goal badge parameters'
+          }, 400);
+        }
+
+        const svgContent = generateBadgeSVG(paramsForFormat(badge.params, format), {
+          progress: badge.progress
+        });
+        return sendBadge(c, svgContent, { format, cacheControl });
+      }
+
+      const isEnhanced = enhanced || params.style === 'enhanced';
+      const validation = validateBadgeParams(isEnhanced ? { style: 'enhanced', ...params } : params);
+
+      if (!validation.isValid) {
+        return c.json({
+          error: validation.error,
+          message: 'Invalid badge parameters'
+        }, 400);
+      }
+
+      const render = isEnhanced ? generateEnhancedBadge : generateBadgeSVG;
+      const svgContent = render(paramsForFormat(validation.params, format));
+
+      return sendBadge(c, svgContent, { format, cacheControl });
+    } catch (error) {
+      console.error('Error generating preset badge image:', error);
+      return c.json({
+        error: 'Internal server error',
+        message: 'Failed to generate preset badge'
+      }, 500);
+    }
+  };
+
+  // Registered before /preset/:presetName, which returns embed code; preset names never contain dots
+  app.get('/preset/:name{[^/]+\\.svg}', presetBadge('svg'));
+  app.get('/preset/:name{[^/]+\\.png}', presetBadge('png'));
+  app.get('/preset-crypto/:name{[^/]+\\.svg}', presetBadge('svg', { enhanced: true }));
+  app.get('/preset-crypto/:name{[^/]+\\.png}', presetBadge('png', { enhanced: true }));
+
   // Preset badge generation
-  app.get('/preset/:presetName', (c) => {
+  app.get('/preset/:presetName', async (c) => {
     try {
       const presetName = c.req.param('presetName');
       const query = c.req.query();
       const {
         linkUrl = `${c.req.header('x-forwarded-proto') || 'http'}://${c.req.header('host')}/`,
         format = 'markdown',
+        short,
         ...overrides
       } = query;
 
+      const addressValidation = validateRecipientAddresses(overrides);
+
+      if (!addressValidation.isValid) {
+        return c.json({
+          error: addressValidation.error,
+          message: 'Invalid recipient address',
+          coin: addressValidation.coin
+        }, 400);
+      }
+
       const baseUrl = `${c.req.header('x-forwarded-proto') || 'http'}://${c.req.header('host')}`;
       
-      const result = generatePresetBadge(baseUrl, presetName, linkUrl, format, overrides);
+      const presets = await getAllPresets(presetStore);
+      const result = generatePresetBadge(baseUrl, presetName, linkUrl, format, overrides, {
+        presets,
+        shortUrl: ['true', '1'].includes(String(short).toLowerCase())
+      });
       
       return c.json(result);
     } catch (error) {
@@ -191,18 +823,159 @@ export function createApp() {
     }
   });
 
-  // List available presets
-  app.get('/presets', (c) => {
-    return c.json({
-      presets: Object.keys(BADGE_PRESETS),
-      descriptions: Object.entries(BADGE_PRESETS).reduce((acc, [key, preset]) => {
-        acc[key] = {
-          altText: preset.altText,
-          badgeParams: preset.badgeParams
-        };
-        return acc;
-      }, {})
-    });
+  // List available presets (built-in and custom)
+  app.get('/presets', async (c) => {
+    try {
+      const presets = await getAllPresets(presetStore);
+
+      return c.json({
+        presets: Object.keys(presets),
+        descriptions: Object.entries(presets).reduce((acc, [key, preset]) => {
+          acc[key] = {
+            altText: preset.altText,
+            badgeParams: preset.badgeParams,
+            builtIn: Object.hasOwn(BADGE_PRESETS, key)
+          };
+          return acc;
+        }, {})
+      });
+    } catch (error) {
+      console.error('Error listing presets:', error);
+      return c.json({
+        error: 'Internal server error',
+        message: 'Failed to list presets'
+      }, 500);
+    }
+  });
+
+  /**
+   * Creates or replaces a custom preset
+   * @param {Context} c - Hono context
+   * @param {Object} options - { replace } whether an existing custom preset may be overwritten
+   * @returns {Promise<Response>} - The saved preset, or an error
+   */
+  async function savePreset(c, { replace }) {
+    try {
+      const nameValidation = validatePresetName(c.req.param('name'));
+
+      if (!nameValidation.isValid) {
+        return c.json({
+          error: nameValidation.error,
+          message: 'Invalid preset name'
+        }, 400);
+      }
+
+      const { name } = nameValidation;
+
+      if (isBuiltInPreset(name)) {
+        return c.json({
+          error: `${name} is a built-in preset name and cannot be changed`,
+          message: 'Preset name is reserved'
+        }, 403);
+      }
+
+      let body;
+      try {
+        body = await c.req.json();
+      } catch {
+        return c.json({
+          error: 'Request body must be JSON',
+          message: 'Invalid preset'
+        }, 400);
+      }
+
+      const validation = validatePreset(body);
+
+      if (!validation.isValid) {
+        return c.json({
+          error: validation.error,
+          message: 'Invalid preset'
+        }, 400);
+      }
+
+      const existing = await presetStore.get(name);
+
+      if (existing && !replace) {
+        return c.json({
+          error: `Preset ${name} already exists. Use PUT to replace it.`,
+          message: 'Preset already exists'
+        }, 409);
+      }
+
+      // Stores resolve to false when they are full; other stores may not resolve to anything
+      if ((await presetStore.set(name, validation.preset)) === false) {
+        return c.json({
+          error: 'The preset store is full. Delete a preset or replace an existing one.',
+          message: 'Preset limit reached'
+        }, 409);
+      }
+
+      return c.json({ name, ...validation.preset }, existing ? 200 : 201);
+    } catch (error) {
+      console.error('Error saving preset:', error);
+      return c.json({
+        error: 'Internal server error',
+        message: 'Failed to save preset'
+      }, 500);
+    }
+  }
+
+  /**
+   * Lets preset changes through only with the admin token. Without a configured token nobody
+   * can change presets, so a public server cannot be filled or rewritten by anyone.
+   * @param {Context} c - Hono context
+   * @param {Function} next - Next handler
+   * @returns {Promise<Response|void>} - An error response, or nothing when authorized
+   */
+  async function requireAdminToken(c, next) {
+    if (!adminToken) {
+      return c.json({
+        error: 'Preset changes are disabled. Set PRESETS_ADMIN_TOKEN to enable them.',
+        message: 'Preset changes disabled'
+      }, 403);
+    }
+
+    if (!isAdminToken(c.req.header('authorization'), adminToken)) {
+      c.header('WWW-Authenticate', 'Bearer');
+      return c.json({
+        error: 'Send the admin token as "Authorization: Bearer <token>".',
+        message: 'Unauthorized'
+      }, 401);
+    }
+
+    await next();
+  }
+
+  // Custom preset management
+  app.post('/presets/:name', requireAdminToken, (c) => savePreset(c, { replace: false }));
+  app.put('/presets/:name', requireAdminToken, (c) => savePreset(c, { replace: true }));
+
+  app.delete('/presets/:name', requireAdminToken, async (c) => {
+    try {
+      const name = c.req.param('name');
+
+      if (isBuiltInPreset(name)) {
+        return c.json({
+          error: `${name} is a built-in preset and cannot be deleted`,
+          message: 'Preset name is reserved'
+        }, 403);
+      }
+
+      if (!(await presetStore.delete(name))) {
+        return c.json({
+          error: `Unknown preset: ${name}`,
+          message: 'Preset not found'
+        }, 404);
+      }
+
+      return c.json({ name, deleted: true });
+    } catch (error) {
+      console.error('Error deleting preset:', error);
+      return c.json({
+        error: 'Internal server error',
+        message: 'Failed to delete preset'
+      }, 500);
+    }
   });
 
   // API info endpoint
@@ -214,33 +987,127 @@ export function createApp() {
       endpoints: {
         '/badge.svg': 'Standard crypto payment badge',
         '/badge-crypto.svg': 'Enhanced crypto payment badge with icon',
-        '/generate-code': 'POST - Generate markdown/HTML code for badges',
-        '/generate-all-formats': 'POST - Generate both markdown and HTML formats',
-        '/preset/{name}': 'GET - Generate code using preset configurations',
-        '/presets': 'GET - List available preset configurations',
+        '/badge.png': 'Standard badge as PNG (size and scale set the pixel size)',
+        '/badge-crypto.png': 'Enhanced badge as PNG (size and scale set the pixel size)',
+        '/badge/price/{crypto}/{fiat}.svg': 'Live exchange rate badge (e.g. BTC | $104,684)',
+        '/badge/goal.svg': 'Donation goal progress badge (raised, goal, currency, label; also .png)',
+        '/badge/{label}-{message}-{color}.svg': 'Shields.io-style path badge; {message}-{color} has no label ("--" is a dash, "__" an underscore, "_" a space; also .png)',
+        '/endpoint.svg': 'Badge rendered from a shields.io endpoint JSON document at ?url= (also .png)',
+        '/badge.json': 'Badge parameters as a shields.io endpoint JSON document',
+        '/qr.svg': 'Payment QR code for a coin, recipient address and amount',
+        '/payment-uri': 'Wallet payment URI (BIP21, EIP-681 or Solana Pay) as JSON',
+        '/validate-address': 'Check a recipient address for a coin (ticker, address, network)',
+        '/generate-code': 'POST - Generate embed code for badges in one format',
+        '/generate-all-formats': 'POST - Generate embed code in every format plus a light/dark <picture>',
+        '/generate-batch': `POST - Generate embed code for up to ${MAX_BATCH_SIZE} badges, optionally assembled into one block`,
+        '/generate-qr-code': 'POST - Generate embed code for a payment QR code',
+        '/readme/inject': 'POST - Replace the badges between <!-- paybadge:start --> and <!-- paybadge:end --> in README text',
+        '/preset/{name}': 'GET - Generate code using preset configurations (short=true links the badge as /preset/{name}.svg)',
+        '/preset/{name}.svg': 'Badge rendered from a preset, with query parameters as overrides (also .png)',
+        '/preset-crypto/{name}.svg': 'Enhanced badge rendered from a preset (also .png)',
+        '/presets': 'GET - List available preset configurations (built-in and custom)',
+        '/presets/{name}': 'POST (create), PUT (create or replace) or DELETE a custom preset (needs the PRESETS_ADMIN_TOKEN bearer token)',
         '/health': 'Health check endpoint',
         '/api': 'API information'
       },
       badgeParameters: {
-        leftText: 'Left side text (default: paybadge)',
+        leftText: 'Left side text (default: paybadge; empty for a badge without a label)',
         rightText: 'Right side text (default: crypto)',
-        leftColor: 'Left side color (default: #555)',
-        rightColor: 'Right side color (default: #4c1)',
-        style: 'Badge style (standard|enhanced)'
+        leftColor: 'Left side color: name, hex (# optional), rgb() or hsl() (default: #555)',
+        rightColor: 'Right side color: name, hex (# optional), rgb() or hsl() (default: #4c1)',
+        style: 'Badge style (flat|flat-square|plastic|for-the-badge|social, default: flat)',
+        icon: 'Icon name: bitcoin|btc, ethereum|eth, solana|sol, usdc, heart, coffee, gift',
+        logo: 'Icon name or custom logo as data:image/svg+xml;base64,... (max 8KB, sanitized)',
+        logoColor: 'Icon color override (same formats as leftColor)',
+        logoWidth: 'Icon size in pixels (8-40, default: 12), shrunk to fit the badge height',
+        iconPosition: 'Segment that holds the icon (left|right, default: left)',
+        tickers: 'Comma-separated coins shown as icons in the right segment (btc,eth,sol,usdc)',
+        segments: 'Three or more parts: text[:color[:icon]] entries separated by commas, or a JSON array of { text, color, darkColor, icon }',
+        theme: 'Color theme (light|dark|auto, default: light); auto follows prefers-color-scheme',
+        darkLeftColor: 'Left side color for dark themes (default: #6e7681)',
+        darkRightColor: 'Right side color for dark themes (default: rightColor)',
+        size: 'Badge size (small|medium|large|xl, default: medium)',
+        scale: 'Explicit scale factor (0.5-4), overrides size; use 2 or 3 for high-density PNGs',
+        inline: 'SVG for embedding in HTML: omits the XML namespace (true|false, default: false)'
+      },
+      goalParameters: {
+        raised: 'Amount raised so far (default: 0)',
+        goal: 'Target amount (required, greater than 0)',
+        currency: 'ISO 4217 currency code (default: USD)',
+        label: 'Left side text (default: goal)'
+      },
+      paymentParameters: {
+        ticker: 'Coin to pay with (btc|eth|sol|usdc, default: btc)',
+        network: 'Network to pay on (usdc: ethereum|solana, default: the first one)',
+        recipient_address: 'Recipient address, checked for its chain and checksum (default: the project address for the coin)',
+        amount: 'Optional amount in whole coins (e.g. 0.001)',
+        label: 'Optional payee name (bitcoin and solana URIs, max 200 characters)',
+        message: 'Optional payment description (bitcoin and solana URIs, max 200 characters)',
+        memo: 'Optional on-chain memo (solana URIs, max 200 characters)'
+      },
+      qrParameters: {
+        payment: 'All paymentParameters, encoded as the payment URI',
+        errorCorrectionLevel: 'Error correction level (L|M|Q|H, default: M)',
+        margin: 'Quiet zone in modules (0-16, default: 4)',
+        size: 'Width and height in pixels (64-1024, default: 200)',
+        color: 'Module color (same formats as leftColor, default: #000000)',
+        background: 'Background color (same formats as leftColor, default: #ffffff)'
       },
       codeGenerationParameters: {
         baseUrl: 'Base URL for badge service (auto-detected)',
-        badgeParams: 'Badge customization parameters',
-        linkUrl: 'URL to link to when badge is clicked (required)',
+        badgeParams: 'Badge customization parameters (format: svg or png selects the image type; recipient_address and recipient_addresses are validated)',
+        linkUrl: `URL to link to when badge is clicked (required; schemes: ${ALLOWED_LINK_SCHEMES.join(', ')})`,
         altText: 'Alt text for the badge (default: Crypto Payment)',
-        format: 'Output format: markdown or html (default: markdown)'
+        format: `Output format: ${SUPPORTED_FORMATS.join(', ')} (default: markdown)`
+      },
+      batchParameters: {
+        badges: 'Array of badge specs: { preset, badgeParams, linkUrl, altText, short }; with a preset, badgeParams are overrides',
+        format: 'Output format of every badge (default: markdown)',
+        layout: `Optional block layout: ${BATCH_LAYOUTS.join(', ')} (center uses html, table uses markdown)`
+      },
+      readmeParameters: {
+        readme: 'README text with paybadge markers',
+        config: 'paybadge.json contents: { baseUrl, format, layout (default: inline), badges } as for /generate-batch'
+      },
+      presetFields: {
+        badgeParams: 'Badge, goal or payment page parameters, validated like the badge endpoints',
+        altText: 'Alt text for generated code (default: Crypto Payment)'
+      },
+      codeFormats: {
+        markdown: 'Markdown image link (GitHub, GitLab, most READMEs); alias: md',
+        html: 'HTML <a> and <img> tags',
+        rst: 'reStructuredText image directive (Sphinx docs); alias: restructuredtext',
+        asciidoc: 'AsciiDoc image macro; alias: adoc',
+        bbcode: 'BBCode [url][img] tags for forums (no alt text)',
+        org: 'Org-mode link with the badge as its description; alias: org-mode',
+        react: 'React function component (JSX); alias: jsx',
+        vue: 'Vue single-file component template',
+        svelte: 'Svelte component markup'
       },
       examples: [
         '/badge.svg',
         '/badge.svg?leftText=donate&rightText=bitcoin',
         '/badge.svg?leftColor=%23333&rightColor=%23007bff',
+        '/badge.svg?leftColor=333&rightColor=bitcoin',
         '/badge-crypto.svg?rightText=BTC',
+        '/badge.png?leftText=donate&rightText=bitcoin&scale=2',
+        '/badge.svg?theme=auto&darkLeftColor=333',
+        '/badge.svg?segments=donate,BTC:bitcoin:btc,ETH:ethereum:eth',
+        '/badge-crypto.svg?icon=eth&rightText=ethereum&rightColor=ethereum',
+        '/badge.svg?leftText=donate&tickers=btc,eth,sol,usdc',
+        '/badge/price/btc/usd.svg',
+        '/badge/goal.svg?raised=420&goal=1000&currency=USD',
+        '/badge/donate-bitcoin-f7931a.svg',
+        '/endpoint.svg?url=https://example.com/badge.json',
+        '/badge.json?leftText=donate&rightText=bitcoin',
+        '/qr.svg?ticker=btc&amount=0.001',
+        '/payment-uri?ticker=usdc&network=solana&amount=5&label=PayBadge',
+        '/validate-address?ticker=eth&address=0x402282c72a2f2b9f059C3b39Fa63932D6AA09f11',
+        '/badge.svg?style=for-the-badge&leftText=donate&rightText=bitcoin',
+        '/badge.svg?size=large&leftText=donate',
         '/preset/bitcoin?linkUrl=https://example.com&format=html',
+        '/preset/bitcoin.svg',
+        '/preset/bitcoin?linkUrl=https://example.com&short=true',
         '/presets'
       ]
     });
@@ -314,6 +1181,7 @@ export function createApp() {
           <ul>
             <li><code>POST /generate-code</code> - Generate markdown or HTML code</li>
             <li><code>POST /generate-all-formats</code> - Generate both formats</li>
+            <li><code>POST /generate-qr-code</code> - Generate code for a payment QR code</li>
             <li><code>GET /preset/{name}</code> - Use preset configurations</li>
             <li><code>GET /presets</code> - List available presets</li>
           </ul>
@@ -360,10 +1228,26 @@ export function createApp() {
       availableEndpoints: [
         '/badge.svg', 
         '/badge-crypto.svg', 
+        '/badge.png',
+        '/badge-crypto.png',
+        '/badge/price/{crypto}/{fiat}.svg',
+        '/badge/goal.svg',
+        '/badge/{label}-{message}-{color}.svg',
+        '/endpoint.svg',
+        '/badge.json',
+        '/qr.svg',
+        '/payment-uri',
+        '/validate-address',
         '/generate-code', 
         '/generate-all-formats',
+        '/generate-batch',
+        '/generate-qr-code',
+        '/readme/inject',
         '/preset/{name}',
+        '/preset/{name}.svg',
+        '/preset-crypto/{name}.svg',
         '/presets',
+        '/presets/{name}',
         '/health', 
         '/api'
       ]
@@ -384,15 +1268,20 @@ export function createApp() {
 
 /**
  * Starts the server
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on (default: PORT or 3000)
  */
-export function startServer() {
+export function startServer({ port = parseInt(process.env.PORT || '3000', 10) } = {}) {
   const app = createApp();
-  const port = parseInt(process.env.PORT || '3000', 10);
   
   console.log(`🚀 PayBadge server starting on port ${port}`);
   console.log(`📊 Health check: http://localhost:${port}/health`);
   console.log(`🎯 Badge endpoint: http://localhost:${port}/badge.svg`);
   console.log(`✨ Enhanced badge: http://localhost:${port}/badge-crypto.svg`);
+  console.log(`💹 Price badge: http://localhost:${port}/badge/price/btc/usd.svg`);
+  console.log(`🔳 Payment QR code: http://localhost:${port}/qr.svg?ticker=btc`);
+  console.log(`🎯 Goal badge: http://localhost:${port}/badge/goal.svg?raised=420&goal=1000`);
+  console.log(`🛡️  Shields-style badge: http://localhost:${port}/badge/donate-bitcoin-f7931a.svg`);
   console.log(`🔧 Code generator: POST http://localhost:${port}/generate-code`);
   console.log(`📋 Presets: http://localhost:${port}/presets`);
   console.log(`📖 API docs: http://localhost:${port}/api`);
@@ -0,0 +1,439 @@
+/**
+ * Shields.io Compatibility
+ * Translates shields-style badge paths and "endpoint" JSON documents to and from badge parameters
+ */
+
+import { lookup } from 'dns/promises';
+import http from 'http';
+import https from 'https';
+import { BlockList, isIP } from 'net';
+import { resolveIconName } from './icons.js';
+import { validateBadgeParams } from './badge-generator.js';
+
+/**
+ * Version of the shields endpoint schema we read and write
+ */
+export const ENDPOINT_SCHEMA_VERSION = 1;
+
+/**
+ * Shortest and default cache lifetime of endpoint badges, in seconds (matches shields.io)
+ */
+export const ENDPOINT_CACHE_SECONDS = 300;
+
+/**
+ * Longest cache lifetime an endpoint document may ask for, in seconds (one day)
+ */
+export const ENDPOINT_MAX_CACHE_SECONDS = 86400;
+
+/**
+ * Largest endpoint document we read, in bytes
+ */
+export const ENDPOINT_MAX_BYTES = 64 * 1024;
+
+/**
+ * Cache lifetime of the error badge shown when an endpoint cannot be used, in seconds
+ */
+export const ENDPOINT_ERROR_CACHE_SECONDS = 60;
+
+/**
+ * How long to wait for an endpoint document before giving up
+ */
+const ENDPOINT_TIMEOUT_MS = 5000;
+
+/**
+ * Networks endpoint URLs may not point into: this host, private and shared ranges, link-local
+ * (which includes cloud metadata services at 169.254.169.254), multicast and reserved ranges.
+ * IPv4-mapped IPv6 addresses are checked against the IPv4 rules; NAT64 addresses, which reach
+ * any IPv4 address through a gateway, are refused outright.
+ */
+const PRIVATE_NETWORKS = new BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127],
+  ['64:ff9b::', 96],
+  ['64:ff9b:1::', 48],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Label and color of the error badge shown when an endpoint cannot be used
+ */
+const ENDPOINT_ERROR_LABEL = 'custom badge';
+const ENDPOINT_ERROR_COLOR = 'lightgrey';
+
+/**
+ * Shields query parameters and the badge parameters they set
+ */
+const SHIELDS_QUERY_ALIASES = {
+  label: 'leftText',
+  labelColor: 'leftColor',
+  color: 'rightColor'
+};
+
+/**
+ * Placeholder for escaped dashes while the path is split on single dashes
+ */
+const DASH_PLACEHOLDER = '\u0000';
+
+/**
+ * Decodes the shields escaping of one path part: "__" is an underscore, "_" a space
+ * @param {string} text - Escaped text
+ * @returns {string} - Decoded text
+ */
+function decodeUnderscores(text) {
+  return text.replace(/__|_/g, (match) => (match === '__' ? '_' : ' '));
+}
+
+/**
+ * Parses a shields-style badge path such as "donate-bitcoin-f7931a", or "bitcoin-f7931a" for a
+ * badge without a label. Parts are separated by single dashes; "--" stands for a dash, "__" for
+ * an underscore and "_" for a space. An empty label stays empty.
+ * @param {string} content - Path content without the extension
+ * @returns {Object} - { isValid, params, error } with leftText, rightText and rightColor
+ */
+export function parseShieldsPath(content) {
+  const parts = String(content)
+    .replaceAll('--', DASH_PLACEHOLDER)
+    .split('-')
+    .map((part) => decodeUnderscores(part.replaceAll(DASH_PLACEHOLDER, '-')));
+
+  // The two-part form has no label
+  const [leftText, rightText, rightColor] = parts.length === 2 ? ['', ...parts] : parts;
+
+  if (parts.length < 2 || parts.length > 3 || !rightText) {
+    return {
+      isValid: false,
+      params: null,
+      error:
+        'Invalid badge path. Expected label-message-color or message-color (write "-" as "--", "_" as "__" and spaces as "_").'
+    };
+  }
+
+  return { isValid: true, params: { leftText, rightText, rightColor }, error: null };
+}
+
+/**
+ * Applies shields query parameters (label, labelColor, color) on top of badge parameters
+ * @param {Object} params - Badge parameters (e.g. from the path)
+ * @param {Object} query - Request query, which may mix shields and badge parameter names
+ * @returns {Object} - Combined badge parameters
+ */
+export function applyShieldsQuery(params, query = {}) {
+  const combined = { ...query, ...params };
+
+  Object.entries(SHIELDS_QUERY_ALIASES).forEach(([alias, name]) => {
+    if (query[alias]) {
+      combined[name] = query[alias];
+    }
+    delete combined[alias];
+  });
+
+  return combined;
+}
+
+/**
+ * Validates a shields endpoint document and converts it to badge parameters
+ * @param {Object} document - Parsed JSON document
+ * @returns {Object} - { isValid, params, cacheSeconds, error }
+ */
+export function parseEndpointDocument(document) {
+  const invalid = (error) => ({ isValid: false, params: null, cacheSeconds: null, error });
+
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return invalid('Endpoint response must be a JSON object.');
+  }
+
+  if (document.schemaVersion !== ENDPOINT_SCHEMA_VERSION) {
+    return invalid(`Unsupported schemaVersion. Expected ${ENDPOINT_SCHEMA_VERSION}.`);
+  }
+
+  if (typeof document.label !== 'string' || typeof document.message !== 'string') {
+    return invalid('Endpoint response needs string label and message fields.');
+  }
+
+  const params = {
+    leftText: document.label,
+    rightText: document.message,
+    // Like shields.io, error responses default to red and everything else to grey
+    rightColor: document.color || (document.isError ? 'red' : 'lightgrey')
+  };
+
+  if (document.labelColor) {
+    params.leftColor = document.labelColor;
+  }
+
+  // Shields knows thousands of logos; ours are only used when the name matches one of them
+  if (resolveIconName(document.namedLogo)) {
+    params.icon = document.namedLogo;
+  }
+
+  if (document.logoColor) {
+    params.logoColor = document.logoColor;
+  }
+
+  if (document.style) {
+    params.style = document.style;
+  }
+
+  const cacheSeconds = Math.min(
+    Math.max(Number(document.cacheSeconds) || 0, ENDPOINT_CACHE_SECONDS),
+    ENDPOINT_MAX_CACHE_SECONDS
+  );
+
+  return { isValid: true, params, cacheSeconds, error: null };
+}
+
+/**
+ * Checks whether an IP address is on this host or a private, link-local or reserved network
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - Whether endpoint requests must not go there
+ */
+export function isPrivateAddress(address) {
+  const version = isIP(address);
+  return version !== 0 && PRIVATE_NETWORKS.check(address, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Resolves an endpoint URL's host to the address the request connects to, refusing the host if
+ * any of its addresses is private
+ * @param {URL} url - Endpoint URL
+ * @param {Object} options - { allowPrivateNetworks, lookup } as for fetchEndpointDocument
+ * @returns {Promise<Object>} - { address, family } of the first address
+ */
+async function resolveEndpointHost(url, { allowPrivateNetworks, lookup: resolveHost }) {
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  const version = isIP(host);
+  const addresses = version
+    ? [{ address: host, family: version }]
+    : await resolveHost(host, { all: true });
+
+  if (addresses.length === 0) {
+    throw new Error(`Endpoint host ${host} has no addresses`);
+  }
+
+  if (!allowPrivateNetworks && addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(`Endpoint host ${host} resolves to a private address`);
+  }
+
+  return addresses[0];
+}
+
+/**
+ * Sends a GET request that connects to an already resolved address. Resolving the host again
+ * would let a host that changes its DNS answer in between (DNS rebinding) reach another address.
+ * @param {URL} url - Endpoint URL
+ * @param {Object} address - { address, family } to connect to
+ * @returns {Promise<IncomingMessage>} - Response with a 2xx status
+ */
+function requestPinned(url, { address, family }) {
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(
+      url,
+      {
+        headers: { Accept: 'application/json' },
+        lookup: (_hostname, options, callback) =>
+          options.all ? callback(null, [{ address, family }]) : callback(null, address, family),
+        signal: AbortSignal.timeout(ENDPOINT_TIMEOUT_MS)
+      },
+      (response) => {
+        // Redirects are not followed either: they could lead anywhere
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+          response.resume();
+          reject(new Error(`Endpoint error: ${response.statusCode} ${response.statusMessage}`));
+          return;
+        }
+
+        resolve(response);
+      }
+    );
+
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Reads a response body as text, giving up once it exceeds a size limit
+ * @param {IncomingMessage} response - HTTP response
+ * @param {number} maxBytes - Largest body to read
+ * @returns {Promise<string>} - Body text
+ */
+async function readLimitedText(response, maxBytes) {
+  if (Number(response.headers['content-length']) > maxBytes) {
+    response.destroy();
+    throw new Error(`Endpoint response is larger than ${maxBytes} bytes`);
+  }
+
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      response.destroy();
+      throw new Error(`Endpoint response is larger than ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Fetches a shields endpoint document. The host is resolved once and the request connects to
+ * the checked address; hosts on private networks are refused, redirects are not followed (they
+ * could lead there) and the body is read up to ENDPOINT_MAX_BYTES.
+ * @param {string} url - http(s) URL of the JSON document
+ * @param {Object} options - Fetch options
+ * @param {boolean} options.allowPrivateNetworks - Allow hosts on private networks (for tests and
+ *   self-hosted setups)
+ * @param {Function} options.lookup - Resolves a host name like dns.promises.lookup with
+ *   { all: true } (default: the system resolver)
+ * @returns {Promise<Object>} - Parsed JSON document
+ */
+export async function fetchEndpointDocument(
+  url,
+  { allowPrivateNetworks = false, lookup: resolveHost = lookup } = {}
+) {
+  const endpoint = new URL(url);
+  const address = await resolveEndpointHost(endpoint, {
+    allowPrivateNetworks,
+    lookup: resolveHost
+  });
+  const response = await requestPinned(endpoint, address);
+
+  return JSON.parse(await readLimitedText(response, ENDPOINT_MAX_BYTES));
+}
+
+/**
+ * Resolves the badge parameters of an endpoint badge, falling back to an error badge
+ * ("inaccessible" or "invalid") when the document cannot be fetched or used
+ * @param {string} url - Validated endpoint URL
+ * @param {Object} query - Request query, applied on top of the document
+ * @param {Object} options - Fetch options (see fetchEndpointDocument)
+ * @returns {Promise<Object>} - { available, params, cacheSeconds } with validated parameters
+ */
+export async function resolveEndpointBadge(url, query = {}, options = {}) {
+  let document;
+
+  try {
+    document = await fetchEndpointDocument(url, options);
+  } catch (error) {
+    console.warn(`Endpoint badge unavailable for ${url}:`, error.message);
+    return endpointErrorBadge('inaccessible', query);
+  }
+
+  const endpoint = parseEndpointDocument(document);
+  const validation = endpoint.isValid
+    ? validateBadgeParams(applyShieldsQuery(endpoint.params, query))
+    : endpoint;
+
+  if (!validation.isValid) {
+    console.warn(`Endpoint badge invalid for ${url}:`, validation.error);
+    return endpointErrorBadge('invalid', query);
+  }
+
+  return { available: true, params: validation.params, cacheSeconds: endpoint.cacheSeconds };
+}
+
+/**
+ * Builds the error badge of an endpoint that cannot be used
+ * @param {string} message - Error message shown on the right
+ * @param {Object} query - Request query, applied on top of the error badge
+ * @returns {Object} - { available, params, cacheSeconds }
+ */
+function endpointErrorBadge(message, query) {
+  const validation = validateBadgeParams(
+    applyShieldsQuery(
+      { leftText: ENDPOINT_ERROR_LABEL, rightText: message, rightColor: ENDPOINT_ERROR_COLOR },
+      query
+    )
+  );
+
+  return {
+    available: false,
+    params: validation.params,
+    cacheSeconds: ENDPOINT_ERROR_CACHE_SECONDS
+  };
+}
+
+/**
+ * Validates the url parameter of an endpoint badge. Hosts given as private IP addresses are
+ * rejected here; host names are resolved and checked when the document is fetched.
+ * @param {string} value - Raw url parameter
+ * @param {Object} options - Validation options
+ * @param {boolean} options.allowPrivateNetworks - Allow private IP addresses
+ * @returns {Object} - { isValid, url, error }
+ */
+export function validateEndpointUrl(value, { allowPrivateNetworks = false } = {}) {
+  let url;
+
+  try {
+    url = new URL(String(value || ''));
+  } catch {
+    return { isValid: false, url: null, error: 'Invalid url. Expected an absolute http(s) URL.' };
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { isValid: false, url: null, error: 'Invalid url. Only http and https are supported.' };
+  }
+
+  if (!allowPrivateNetworks && isPrivateAddress(url.hostname.replace(/^\[|\]$/g, ''))) {
+    return {
+      isValid: false,
+      url: null,
+      error: 'Invalid url. Private network addresses are not allowed.'
+    };
+  }
+
+  return { isValid: true, url: url.href, error: null };
+}
+
+/**
+ * Describes validated badge parameters as a shields endpoint document
+ * @param {Object} params - Validated badge parameters
+ * @returns {Object} - Endpoint document (schemaVersion, label, message, color, ...)
+ */
+export function toEndpointDocument(params) {
+  const segments = params.segments || [
+    { text: params.leftText, color: params.leftColor },
+    { text: params.rightText, color: params.rightColor }
+  ];
+  const [label, ...rest] = segments;
+
+  const document = {
+    schemaVersion: ENDPOINT_SCHEMA_VERSION,
+    label: label.text,
+    message: rest
+      .map((segment) => segment.text)
+      .filter(Boolean)
+      .join(' | '),
+    color: rest.at(-1).color,
+    labelColor: label.color,
+    style: params.style
+  };
+
+  if (params.icon) {
+    document.namedLogo = params.icon;
+  }
+
+  if (params.logoColor) {
+    document.logoColor = params.logoColor;
+  }
+
+  return document;
+}
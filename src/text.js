@@ -0,0 +1,72 @@
+/**
+ * Badge Text
+ * Grapheme-aware length handling and XML escaping for text rendered into SVG
+ */
+
+/**
+ * Splits text into user-perceived characters
+ */
+const graphemeSegmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+/**
+ * Control characters and unpaired surrogates, which XML documents cannot (or should not) contain
+ */
+const INVALID_XML_CHARS =
+  /[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f\ufffe\uffff]|[\ud800-\udbff](?![\udc00-\udfff])|(?<![\ud800-\udbff])[\udc00-\udfff]/g;
+
+/**
+ * XML entities for the characters that are significant in text and attribute values
+ */
+const XML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;'
+};
+
+/**
+ * Splits text into grapheme clusters, so "é", "🇺🇸" and "👍🏽" each count as one character
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Grapheme clusters
+ */
+export function splitGraphemes(text) {
+  return Array.from(graphemeSegmenter.segment(text), ({ segment }) => segment);
+}
+
+/**
+ * Counts the grapheme clusters in text
+ * @param {string} text - Text to count
+ * @returns {number} - Number of user-perceived characters
+ */
+export function countGraphemes(text) {
+  return splitGraphemes(text).length;
+}
+
+/**
+ * Shortens text to a number of grapheme clusters without splitting any of them
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum number of grapheme clusters
+ * @returns {string} - Shortened text
+ */
+export function truncateGraphemes(text, maxLength) {
+  return splitGraphemes(text).slice(0, maxLength).join('');
+}
+
+/**
+ * Removes characters that cannot appear in an XML document
+ * @param {string} text - Text to clean
+ * @returns {string} - Text safe to escape into SVG
+ */
+export function stripInvalidXmlChars(text) {
+  return text.replace(INVALID_XML_CHARS, '');
+}
+
+/**
+ * Escapes text for use in SVG element content and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+export function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => XML_ENTITIES[char]);
+}
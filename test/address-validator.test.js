@@ -0,0 +1,156 @@
+import { expect } from 'chai';
+import {
+  validateBitcoinAddress,
+  validateEthereumAddress,
+  validateSolanaAddress,
+  validateAddress,
+  toChecksumAddress
+} from '../src/address-validator.js';
+
+describe('Address Validation', () => {
+  describe('validateBitcoinAddress', () => {
+    it('should accept base58check addresses and detect their type', () => {
+      expect(validateBitcoinAddress('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa')).to.deep.equal({
+        isValid: true,
+        chain: 'mainnet',
+        type: 'p2pkh',
+        error: null
+      });
+      expect(validateBitcoinAddress('3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy').type).to.equal('p2sh');
+    });
+
+    it('should accept bech32 and bech32m addresses', () => {
+      expect(validateBitcoinAddress('bc1q254klmlgtanf8xez28gy7r0enpyhk88r2499pt').type).to.equal(
+        'p2wpkh'
+      );
+      expect(validateBitcoinAddress('BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4').isValid).to.equal(
+        true
+      );
+      expect(
+        validateBitcoinAddress('bc1p5d7rjq7g6rdk2yhzks9smlaqtedr4dekq08ge8ztwac72sfr9rusxg3297')
+          .type
+      ).to.equal('p2tr');
+    });
+
+    it('should detect testnet and regtest addresses', () => {
+      expect(validateBitcoinAddress('tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx').chain).to.equal(
+        'testnet'
+      );
+      expect(validateBitcoinAddress('mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn').chain).to.equal(
+        'testnet'
+      );
+    });
+
+    it('should reject checksum typos', () => {
+      expect(validateBitcoinAddress('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb').error).to.include(
+        'Checksum mismatch'
+      );
+      expect(validateBitcoinAddress('bc1q254klmlgtanf8xez28gy7r0enpyhk88r2499pu').isValid).to.equal(
+        false
+      );
+    });
+
+    it('should report bech32 checksum typos as such', () => {
+      // BIP173 vector with its last character changed, and a bech32m address with one typo
+      expect(validateBitcoinAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5').error).to.equal(
+        'Bech32 checksum mismatch. Check the address for typos.'
+      );
+      expect(
+        validateBitcoinAddress('bc1p5d7rjq7g6rdk2yhzks9smlaqtedr4dekq08ge8ztwac72sfr9rusxg3298')
+          .error
+      ).to.include('Bech32 checksum mismatch');
+      expect(validateBitcoinAddress('tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsy').error).to.include(
+        'Bech32 checksum mismatch'
+      );
+    });
+
+    it('should reject segwit addresses with the wrong checksum variant', () => {
+      // Version 0 program with a bech32m checksum (BIP350 test vector)
+      expect(validateBitcoinAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kemeawh').error).to.include(
+        'must use bech32'
+      );
+    });
+
+    it('should reject mixed case and other garbage', () => {
+      expect(validateBitcoinAddress('bc1Q254klmlgtanf8xez28gy7r0enpyhk88r2499pt').isValid).to.equal(
+        false
+      );
+      expect(validateBitcoinAddress('0OIl').isValid).to.equal(false);
+      expect(validateBitcoinAddress(undefined).isValid).to.equal(false);
+    });
+  });
+
+  describe('validateEthereumAddress', () => {
+    it('should accept addresses with a valid EIP-55 checksum', () => {
+      expect(validateEthereumAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed')).to.deep.equal({
+        isValid: true,
+        address: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+        checksummed: true,
+        error: null
+      });
+    });
+
+    it('should accept single-case addresses and return their checksummed form', () => {
+      const result = validateEthereumAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed');
+
+      expect(result.isValid).to.equal(true);
+      expect(result.checksummed).to.equal(false);
+      expect(result.address).to.equal('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed');
+    });
+
+    it('should reject checksum typos', () => {
+      expect(
+        validateEthereumAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD').error
+      ).to.include('EIP-55');
+    });
+
+    it('should reject malformed addresses', () => {
+      expect(validateEthereumAddress('0x1234').isValid).to.equal(false);
+      expect(validateEthereumAddress('5aaeb6053f3e94c9b9a09f33669435e7ef1beaed').isValid).to.equal(
+        false
+      );
+    });
+  });
+
+  describe('toChecksumAddress', () => {
+    it('should match the EIP-55 examples', () => {
+      expect(toChecksumAddress('fb6916095ca1df60bb79ce92ce3ea74c37c5d359')).to.equal(
+        '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359'
+      );
+      expect(toChecksumAddress('DBF03B407C01E7CD3CBEA99509D93F8DDDC8C6FB')).to.equal(
+        '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB'
+      );
+    });
+  });
+
+  describe('validateSolanaAddress', () => {
+    it('should accept 32-byte base58 public keys', () => {
+      expect(
+        validateSolanaAddress('CsTWZTbDryjcb229RQ9b7wny5qytH9jwoJy6Lu98xpeF').isValid
+      ).to.equal(true);
+    });
+
+    it('should reject keys of the wrong length or alphabet', () => {
+      expect(validateSolanaAddress('So1anaAddress').error).to.include('32-byte');
+      expect(
+        validateSolanaAddress('CsTWZTbDryjcb229RQ9b7wny5qytH9jwoJy6Lu98xpe0').isValid
+      ).to.equal(false);
+    });
+  });
+
+  describe('validateAddress', () => {
+    it('should dispatch by network and normalize the address', () => {
+      const result = validateAddress('ethereum', ' 0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed ');
+
+      expect(result.network).to.equal('ethereum');
+      expect(result.address).to.equal('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed');
+      expect(validateAddress('bitcoin', ' 3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy').address).to.equal(
+        '3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy'
+      );
+    });
+
+    it('should reject unknown networks', () => {
+      expect(validateAddress('dogecoin', 'D123').error).to.include('Unknown network');
+    });
+  });
+});
@@ -1,5 +1,10 @@
 import { expect } from 'chai';
-import { generateBadgeSVG, validateBadgeParams, createSVGResponse } from '../src/badge-generator.js';
+import {
+  generateBadgeSVG,
+  validateBadgeParams,
+  createSVGResponse,
+  calculateTextWidth
+} from '../src/badge-generator.js';
 
 describe('Badge Generator', () => {
   describe('generateBadgeSVG', () => {
@@ -29,6 +34,13 @@ describe('Badge Generator', () => {
       expect(svg).to.include('#007bff');
     });
 
+    it('should leave out an explicitly empty label', () => {
+      const svg = generateBadgeSVG({ leftText: '', rightText: 'bitcoin' });
+
+      expect(svg).to.include('<title>bitcoin</title>');
+      expect(svg).to.not.include('paybadge');
+    });
+
     it('should handle enhanced badge style with icon', () => {
       const svg = generateBadgeSVG({ 
         style: 'enhanced',
@@ -70,6 +82,109 @@ describe('Badge Generator', () => {
       expect(result.params.leftText).to.not.include('<script>');
     });
 
+    it('should preserve legitimate text exactly', () => {
+      ['description', 'Tom & Jerry', "don't", 'evaluate', 'prompt "pay"', 'café ☕', '支持 🚀'].forEach(
+        (text) => {
+          const result = validateBadgeParams({ leftText: text });
+
+          expect(result.params.leftText).to.equal(text);
+        }
+      );
+    });
+
+    it('should drop script blocks and control characters', () => {
+      const result = validateBadgeParams({ leftText: 'pay<script>alert(1)</script>\u0007 now' });
+
+      expect(result.params.leftText).to.equal('pay now');
+    });
+
+    it('should measure the length limit in grapheme clusters', () => {
+      const family = '👨‍👩‍👧';
+
+      expect(validateBadgeParams({ leftText: family.repeat(50) }).isValid).to.be.true;
+      expect(validateBadgeParams({ leftText: family.repeat(51) }).isValid).to.be.false;
+    });
+
+    it('should accept supported styles', () => {
+      const result = validateBadgeParams({ style: 'plastic' });
+
+      expect(result.isValid).to.be.true;
+      expect(result.params.style).to.equal('plastic');
+    });
+
+    it('should normalize legacy styles to flat', () => {
+      expect(validateBadgeParams({}).params.style).to.equal('flat');
+      expect(validateBadgeParams({ style: 'enhanced' }).params.style).to.equal('flat');
+    });
+
+    it('should reject unknown styles', () => {
+      const result = validateBadgeParams({ style: 'neon' });
+
+      expect(result.isValid).to.be.false;
+      expect(result.error).to.include('Unknown style: neon');
+      expect(result.error).to.include('for-the-badge');
+    });
+
+    it('should accept named, bare hex, rgb() and hsl() colors', () => {
+      expect(validateBadgeParams({ leftColor: 'bitcoin' }).params.leftColor).to.equal('#f7931a');
+      expect(validateBadgeParams({ leftColor: '007bff' }).params.leftColor).to.equal('#007bff');
+      expect(validateBadgeParams({ rightColor: 'rgb(0, 0, 0)' }).params.rightColor).to.equal(
+        'rgb(0,0,0)'
+      );
+      expect(validateBadgeParams({ rightColor: 'hsl(0, 0%, 0%)' }).params.rightColor).to.equal(
+        'hsl(0,0%,0%)'
+      );
+    });
+
+    it('should fall back to the default for each invalid color independently', () => {
+      const result = validateBadgeParams({ leftColor: 'nope', rightColor: 'orange' });
+
+      expect(result.isValid).to.be.true;
+      expect(result.params.leftColor).to.equal('#555');
+      expect(result.params.rightColor).to.equal('#fe7d37');
+    });
+
+    it('should resolve icon names and tickers', () => {
+      expect(validateBadgeParams({ icon: 'eth' }).params.icon).to.equal('ethereum');
+      expect(validateBadgeParams({ logo: 'coffee' }).params.icon).to.equal('coffee');
+    });
+
+    it('should reject unknown icons', () => {
+      const result = validateBadgeParams({ icon: 'doge' });
+
+      expect(result.isValid).to.be.false;
+      expect(result.error).to.include('Unknown icon: doge');
+    });
+
+    it('should validate logoWidth and logoColor', () => {
+      const result = validateBadgeParams({ icon: 'heart', logoWidth: '16', logoColor: 'red' });
+
+      expect(result.params.logoWidth).to.equal(16);
+      expect(result.params.logoColor).to.equal('#e05d44');
+      expect(validateBadgeParams({ logoWidth: '500' }).isValid).to.be.false;
+      expect(validateBadgeParams({ logoWidth: 'wide' }).isValid).to.be.false;
+    });
+
+    it('should validate tickers', () => {
+      expect(validateBadgeParams({ tickers: 'btc,eth' }).params.tickers).to.deep.equal([
+        'btc',
+        'eth'
+      ]);
+      expect(validateBadgeParams({ tickers: 'btc,doge' }).isValid).to.be.false;
+    });
+
+    it('should reject unknown icon positions', () => {
+      expect(validateBadgeParams({ iconPosition: 'right' }).params.iconPosition).to.equal('right');
+      expect(validateBadgeParams({ iconPosition: 'top' }).isValid).to.be.false;
+    });
+
+    it('should reject invalid custom logos', () => {
+      const result = validateBadgeParams({ logo: 'data:text/html;base64,PGI+' });
+
+      expect(result.isValid).to.be.false;
+      expect(result.error).to.include('Invalid logo');
+    });
+
     it('should reject excessively long text', () => {
       const longText = 'a'.repeat(100);
       const result = validateBadgeParams({
@@ -81,6 +196,322 @@ describe('Badge Generator', () => {
     });
   });
 
+  describe('generateBadgeSVG text escaping', () => {
+    it('should escape text in labels, title and aria-label', () => {
+      const svg = generateBadgeSVG({ leftText: 'Tom & Jerry', rightText: '<b>"don\'t"</b>' });
+
+      expect(svg).to.include('>Tom &amp; Jerry</text>');
+      expect(svg).to.include('>&lt;b&gt;&quot;don&apos;t&quot;&lt;/b&gt;</text>');
+      expect(svg).to.include('<title>Tom &amp; Jerry: &lt;b&gt;&quot;don&apos;t&quot;&lt;/b&gt;</title>');
+      expect(svg).to.include('aria-label="Tom &amp; Jerry: &lt;b&gt;');
+      expect(svg).to.not.include('<b>');
+    });
+
+    it('should escape after uppercasing for for-the-badge', () => {
+      const svg = generateBadgeSVG({ style: 'for-the-badge', leftText: 'a & b' });
+
+      expect(svg).to.include('>A &amp; B</text>');
+    });
+
+    it('should size emoji sequences as single glyphs', () => {
+      const oneEmoji = calculateTextWidth('👍');
+
+      expect(calculateTextWidth('👍🏽')).to.equal(oneEmoji);
+      expect(calculateTextWidth('👨‍👩‍👧')).to.equal(oneEmoji);
+    });
+  });
+
+  describe('generateBadgeSVG themes', () => {
+    it('should not add theme styles by default', () => {
+      const svg = generateBadgeSVG();
+
+      expect(svg).to.not.include('<style>');
+      expect(svg).to.not.include('class=');
+    });
+
+    it('should use the dark colors for theme=dark', () => {
+      const svg = generateBadgeSVG({ theme: 'dark', rightColor: 'bitcoin', darkRightColor: '123456' });
+
+      expect(svg).to.include('fill="#6e7681"');
+      expect(svg).to.include('fill="#123456"');
+      expect(svg).to.not.include('fill="#f7931a"');
+      expect(svg).to.not.include('<style>');
+    });
+
+    it('should switch to the dark colors with prefers-color-scheme for theme=auto', () => {
+      const svg = generateBadgeSVG({ theme: 'auto', darkLeftColor: '#eee' });
+
+      expect(svg).to.match(/fill="#555" class="pb-[0-9a-f]{8}-s0"/);
+      expect(svg).to.include('@media (prefers-color-scheme: dark)');
+      expect(svg).to.match(/\.(pb-[0-9a-f]{8})-s0\{fill:#eee\}\.\1-s0-text\{fill:#333\}/);
+      expect(svg).to.match(/\.pb-[0-9a-f]{8}-s1\{fill:#4c1\}/);
+    });
+
+    it('should leave the social style unthemed', () => {
+      const svg = generateBadgeSVG({ theme: 'auto', style: 'social' });
+
+      expect(svg).to.not.include('class="pb-');
+    });
+
+    it('should reject unknown themes and ignore invalid dark colors', () => {
+      expect(validateBadgeParams({ theme: 'sepia' }).isValid).to.be.false;
+      expect(validateBadgeParams({ darkLeftColor: 'nope' }).params.darkLeftColor).to.equal('#6e7681');
+    });
+  });
+
+  describe('generateBadgeSVG segments', () => {
+    const rects = (svg) =>
+      [...svg.matchAll(/<rect (?:x="([\d.]+)" )?width="([\d.]+)" height="20" fill="(#[^"]+)"\/>/g)].map(
+        ([, x = '0', width, fill]) => ({ x: Number(x), width: Number(width), fill })
+      );
+
+    it('should render one box per segment, side by side', () => {
+      const svg = generateBadgeSVG({ segments: 'support,$5/mo:blue,crypto:orange' });
+      const boxes = rects(svg);
+
+      expect(boxes.map((box) => box.fill)).to.deep.equal(['#555', '#007ec6', '#fe7d37']);
+      expect(boxes[1].x).to.equal(boxes[0].width);
+      expect(boxes[2].x).to.equal(boxes[1].x + boxes[1].width);
+      expect(svg).to.include('>$5/mo</text>');
+      expect(svg).to.include('<title>support: $5/mo | crypto</title>');
+    });
+
+    it('should default colors to the left and right colors', () => {
+      const svg = generateBadgeSVG({ segments: 'a,b,c', leftColor: '111', rightColor: '222' });
+
+      expect(rects(svg).map((box) => box.fill)).to.deep.equal(['#111', '#222', '#222']);
+    });
+
+    it('should draw per-segment icons inside their segment', () => {
+      const svg = generateBadgeSVG({ segments: 'donate,BTC:bitcoin:btc,ETH:ethereum:eth' });
+      const boxes = rects(svg);
+      const iconXs = [...svg.matchAll(/<svg x="([\d.]+)"/g)].map(([, x]) => Number(x));
+
+      expect(iconXs).to.have.length(2);
+      expect(iconXs[0]).to.be.within(boxes[1].x, boxes[1].x + boxes[1].width);
+      expect(iconXs[1]).to.be.within(boxes[2].x, boxes[2].x + boxes[2].width);
+    });
+
+    it('should switch every segment for theme=auto', () => {
+      const svg = generateBadgeSVG({
+        theme: 'auto',
+        segments: '[{"text":"a"},{"text":"b","color":"eee","darkColor":"333"},{"text":"c"}]'
+      });
+
+      expect(svg).to.match(/\.pb-[0-9a-f]{8}-s1\{fill:#333\}/);
+      expect(svg).to.match(/class="pb-[0-9a-f]{8}-s2"/);
+    });
+
+    it('should reject invalid segments', () => {
+      expect(validateBadgeParams({ segments: 'a' }).isValid).to.be.false;
+      expect(validateBadgeParams({ segments: 'a,b::doge' }).error).to.include('Unknown icon: doge');
+      expect(validateBadgeParams({ segments: 'a,:blue' }).error).to.include('Segment 2');
+      expect(validateBadgeParams({ segments: `a,${'x'.repeat(60)}` }).error).to.include('too long');
+    });
+
+    it('should render multiple social bubbles', () => {
+      const svg = generateBadgeSVG({ style: 'social', segments: 'stars,42,forks' });
+
+      expect(svg.match(/<path d="M/g)).to.have.length(2);
+    });
+  });
+
+  describe('generateBadgeSVG ids', () => {
+    const ids = (svg) => [...svg.matchAll(/id="([^"]+)"/g)].map(([, id]) => id);
+
+    it('should derive ids from the badge parameters', () => {
+      const first = generateBadgeSVG({ leftText: 'donate' });
+      const second = generateBadgeSVG({ leftText: 'sponsor' });
+
+      expect(ids(first)).to.have.length(2);
+      expect(ids(first)).to.not.include('gradient');
+      expect(ids(first).filter((id) => ids(second).includes(id))).to.deep.equal([]);
+    });
+
+    it('should render identical badges identically', () => {
+      expect(generateBadgeSVG({ leftText: 'donate' })).to.equal(generateBadgeSVG({ leftText: 'donate' }));
+    });
+
+    it('should reference its own clip path and gradient', () => {
+      const svg = generateBadgeSVG({ style: 'plastic' });
+      const [gradient, round] = ids(svg);
+
+      expect(svg).to.include(`clip-path="url(#${round})"`);
+      expect(svg).to.include(`fill="url(#${gradient})"`);
+    });
+
+    it('should omit the XML namespace with inline=true', () => {
+      expect(generateBadgeSVG({})).to.include('xmlns="http://www.w3.org/2000/svg"');
+      expect(generateBadgeSVG({ inline: 'true' })).to.not.include('xmlns');
+      expect(validateBadgeParams({ inline: 'yes' }).params.inline).to.equal(false);
+    });
+  });
+
+  describe('generateBadgeSVG sizes', () => {
+    const dimensions = (svg) => {
+      const [, width, height] = svg.match(/<svg[^>]* width="([\d.]+)" height="([\d.]+)"/);
+      return { width: Number(width), height: Number(height) };
+    };
+
+    it('should keep the style geometry at the medium size', () => {
+      const svg = generateBadgeSVG({ size: 'medium' });
+
+      expect(dimensions(svg).height).to.equal(20);
+      expect(svg).to.not.include('viewBox="0 0');
+    });
+
+    it('should scale the whole badge for each named size', () => {
+      const base = dimensions(generateBadgeSVG({}));
+      const heights = ['small', 'large', 'xl'].map(
+        (size) => dimensions(generateBadgeSVG({ size })).height
+      );
+
+      expect(heights).to.deep.equal([16, 28, 40]);
+      expect(dimensions(generateBadgeSVG({ size: 'xl' })).width).to.equal(base.width * 2);
+      expect(generateBadgeSVG({ size: 'xl' })).to.include(`viewBox="0 0 ${base.width} 20"`);
+    });
+
+    it('should let an explicit scale override the size', () => {
+      const svg = generateBadgeSVG({ size: 'small', scale: '2.5', style: 'for-the-badge' });
+
+      expect(dimensions(svg).height).to.equal(70);
+    });
+
+    it('should reject unknown sizes and out-of-range scales', () => {
+      expect(validateBadgeParams({ size: 'huge' }).error).to.include('Invalid size');
+      expect(validateBadgeParams({ scale: '10' }).error).to.include('Invalid scale');
+      expect(validateBadgeParams({ scale: 'big' }).isValid).to.equal(false);
+    });
+  });
+
+  describe('generateBadgeSVG icons', () => {
+    it('should render the icon for the requested coin', () => {
+      const svg = generateBadgeSVG({ icon: 'eth' });
+
+      expect(svg).to.include('fill="#627eea"');
+      expect(svg).to.not.include('#f7931a');
+    });
+
+    it('should draw the icon inside the left segment without overlapping its text', () => {
+      const svg = generateBadgeSVG({ icon: 'btc' });
+      const iconX = Number(svg.match(/<svg x="([\d.]+)"/)[1]);
+      const leftWidth = Number(svg.match(/<rect width="(\d+)" height="20" fill="#555"/)[1]);
+      const textX = Number(svg.match(/<text x="([\d.]+)"[^>]*>paybadge</)[1]);
+
+      expect(iconX + 12).to.be.at.most(textX - calculateTextWidth('paybadge') / 2);
+      expect(textX + calculateTextWidth('paybadge') / 2).to.be.at.most(leftWidth);
+    });
+
+    it('should move the icon to the right segment with iconPosition=right', () => {
+      const svg = generateBadgeSVG({ icon: 'btc', iconPosition: 'right' });
+      const iconX = Number(svg.match(/<svg x="([\d.]+)"/)[1]);
+
+      expect(svg).to.include('<rect width="64" height="20" fill="#555"/>');
+      expect(iconX).to.be.at.least(64);
+    });
+
+    it('should size the icon from logoWidth', () => {
+      const svg = generateBadgeSVG({ icon: 'btc', logoWidth: 16 });
+
+      expect(svg).to.include('width="16" height="16"');
+    });
+
+    it('should embed a sanitized custom logo', () => {
+      const logo = Buffer.from('<svg><script>alert(1)</script><path d="M0 0"/></svg>');
+      const svg = generateBadgeSVG({ logo: `data:image/svg+xml;base64,${logo.toString('base64')}` });
+      const [, embedded] = svg.match(/href="data:image\/svg\+xml;base64,([^"]+)"/);
+
+      expect(Buffer.from(embedded, 'base64').toString()).to.equal('<svg><path d="M0 0"/></svg>');
+    });
+  });
+
+  describe('generateBadgeSVG tickers', () => {
+    it('should render a coin icon per ticker in order', () => {
+      const svg = generateBadgeSVG({ tickers: 'eth,btc' });
+      const eth = svg.indexOf('fill="#627eea"');
+      const btc = svg.indexOf('fill="#f7931a"');
+
+      expect(eth).to.be.greaterThan(-1);
+      expect(btc).to.be.greaterThan(eth);
+    });
+
+    it('should place the coin row inside the right segment', () => {
+      const svg = generateBadgeSVG({ tickers: 'btc,eth,sol,usdc' });
+      const xs = [...svg.matchAll(/<svg x="([\d.]+)"/g)].map((match) => Number(match[1]));
+
+      expect(xs).to.have.length(4);
+      xs.forEach((x) => expect(x).to.be.at.least(64));
+      expect(svg).to.include('aria-label="paybadge: BTC, ETH, SOL, USDC"');
+    });
+
+    it('should keep explicit right text next to the coins', () => {
+      const svg = generateBadgeSVG({ tickers: 'btc', rightText: 'accepted' });
+
+      expect(svg).to.include('>accepted</text>');
+    });
+
+    it('should look different from a plain badge', () => {
+      expect(generateBadgeSVG({ tickers: 'btc,eth' })).to.not.equal(generateBadgeSVG());
+    });
+  });
+
+  describe('generateBadgeSVG text contrast', () => {
+    it('should use white text on dark backgrounds', () => {
+      const svg = generateBadgeSVG({ leftColor: '#333', rightColor: '#007bff' });
+
+      expect(svg).to.include('fill="#fff"');
+      expect(svg).to.not.include('fill="#333" textLength');
+    });
+
+    it('should switch to dark text on light backgrounds', () => {
+      const svg = generateBadgeSVG({ rightText: 'gold', rightColor: 'ffff00' });
+
+      expect(svg).to.match(/fill="#333" textLength="[\d.]+">gold</);
+      expect(svg).to.match(/fill="#ccc" fill-opacity=".3" textLength="[\d.]+">gold</);
+      expect(svg).to.match(/fill="#fff" textLength="[\d.]+">paybadge</);
+    });
+  });
+
+  describe('calculateTextWidth', () => {
+    it('should measure known strings exactly', () => {
+      expect(calculateTextWidth('paybadge')).to.equal(53.7);
+      expect(calculateTextWidth('crypto')).to.equal(34.8);
+      expect(calculateTextWidth('iiii')).to.equal(12.1);
+      expect(calculateTextWidth('WWWW')).to.equal(43.5);
+    });
+
+    it('should scale with font size', () => {
+      expect(calculateTextWidth('WWWW', 22)).to.equal(87);
+    });
+
+    it('should measure accented Latin letters like their base letter', () => {
+      expect(calculateTextWidth('café')).to.equal(calculateTextWidth('cafe'));
+    });
+
+    it('should measure CJK glyphs a full em wide', () => {
+      expect(calculateTextWidth('日本')).to.equal(22);
+    });
+  });
+
+  describe('generateBadgeSVG sizing', () => {
+    it('should size each segment from its measured text width', () => {
+      const svg = generateBadgeSVG();
+
+      // paybadge (53.7) + crypto (34.8), each with 5px padding per side
+      expect(svg).to.include('width="109"');
+      expect(svg).to.include('<rect width="64" height="20" fill="#555"/>');
+      expect(svg).to.include('textLength="53.7"');
+    });
+
+    it('should make wide words wider than narrow words of the same length', () => {
+      const narrow = generateBadgeSVG({ leftText: 'iiii' });
+      const wide = generateBadgeSVG({ leftText: 'WWWW' });
+
+      expect(narrow).to.include('<rect width="22" height="20" fill="#555"/>');
+      expect(wide).to.include('<rect width="54" height="20" fill="#555"/>');
+    });
+  });
+
   describe('createSVGResponse', () => {
     it('should create proper HTTP response headers', () => {
       const response = createSVGResponse('<svg></svg>');
@@ -0,0 +1,135 @@
+import { expect } from 'chai';
+import {
+  layoutSegments,
+  calculateTextWidth,
+  ICON_GAP,
+  ICON_MARGIN,
+  ICON_SPACING
+} from '../src/badge-layout.js';
+
+describe('Badge Layout', () => {
+  const metrics = {
+    height: 20,
+    fontSize: 11,
+    padding: 5,
+    letterSpacing: 0,
+    uppercase: false,
+    gap: 0
+  };
+
+  describe('layoutSegments', () => {
+    it('should place segments side by side', () => {
+      const layout = layoutSegments(
+        [
+          { text: 'paybadge', color: '#555' },
+          { text: 'crypto', color: '#4c1' }
+        ],
+        metrics
+      );
+      const [left, right] = layout.segments;
+
+      expect(left.x).to.equal(0);
+      expect(right.x).to.equal(left.width);
+      expect(layout.width).to.equal(left.width + right.width);
+      expect(layout.height).to.equal(20);
+    });
+
+    it('should center text in segments without icons', () => {
+      const [segment] = layoutSegments([{ text: 'paybadge', color: '#555' }], metrics).segments;
+
+      expect(segment.width).to.equal(64);
+      expect(segment.textX).to.equal(32);
+      expect(segment.icons).to.deep.equal([]);
+    });
+
+    it('should reserve room for the icon inside its own segment', () => {
+      const [plain] = layoutSegments([{ text: 'paybadge', color: '#555' }], metrics).segments;
+      const [withIcon] = layoutSegments(
+        [{ text: 'paybadge', color: '#555', icons: [{ icon: 'btc' }], iconSize: 12 }],
+        metrics
+      ).segments;
+
+      expect(withIcon.width).to.equal(plain.width + 12 + ICON_GAP);
+      expect(withIcon.icons).to.deep.equal([{ icon: 'btc', x: 5.1, y: 4, size: 12 }]);
+    });
+
+    it('should shrink oversized icons to fit the badge height', () => {
+      const [segment] = layoutSegments(
+        [{ text: 'paybadge', color: '#555', icons: [{ icon: 'btc' }], iconSize: 40 }],
+        metrics
+      ).segments;
+      const [icon] = segment.icons;
+
+      expect(icon.size).to.equal(metrics.height - ICON_MARGIN * 2);
+      expect(icon.y).to.equal(ICON_MARGIN);
+      expect(icon.y + icon.size).to.be.at.most(metrics.height);
+    });
+
+    it('should never let the icon overlap the text', () => {
+      const layout = layoutSegments(
+        [
+          { text: 'paybadge', color: '#555' },
+          { text: 'crypto', color: '#f7931a', icons: [{ icon: 'btc' }], iconSize: 14 }
+        ],
+        metrics
+      );
+      const [left, right] = layout.segments;
+      const textStart = right.textX - right.textWidth / 2;
+
+      const [icon] = right.icons;
+
+      expect(icon.x).to.be.at.least(right.x);
+      expect(icon.x + icon.size).to.be.at.most(textStart);
+      expect(left.textX + left.textWidth / 2).to.be.at.most(right.x);
+    });
+
+    it('should lay out a row of icons in order', () => {
+      const [segment] = layoutSegments(
+        [{ text: '', color: '#555', icons: [{ icon: 'btc' }, { icon: 'eth' }], iconSize: 12 }],
+        metrics
+      ).segments;
+      const [first, second] = segment.icons;
+
+      expect(segment.width).to.equal(12 * 2 + ICON_SPACING + 10);
+      expect(first.icon).to.equal('btc');
+      expect(second.x).to.equal(first.x + 12 + ICON_SPACING);
+    });
+
+    it('should apply uppercase and letter spacing when measuring', () => {
+      const [segment] = layoutSegments([{ text: 'ab', color: '#555' }], {
+        ...metrics,
+        uppercase: true,
+        letterSpacing: 1
+      }).segments;
+
+      expect(segment.text).to.equal('AB');
+      expect(segment.textWidth).to.equal(calculateTextWidth('AB') + 2);
+    });
+
+    it('should add the style gap before every segment but the first', () => {
+      const layout = layoutSegments(
+        [
+          { text: 'a', color: '#555' },
+          { text: 'a', color: '#555' }
+        ],
+        { ...metrics, gap: 6 }
+      );
+      const [left, right] = layout.segments;
+
+      expect(right.width).to.equal(left.width + 6);
+    });
+
+    it('should pick contrasting text colors per segment', () => {
+      const [dark, light] = layoutSegments(
+        [
+          { text: 'a', color: '#333' },
+          { text: 'b', color: '#ff0' }
+        ],
+        metrics
+      ).segments;
+
+      expect(dark.textColor).to.equal('#fff');
+      expect(light.textColor).to.equal('#333');
+    });
+  });
+});
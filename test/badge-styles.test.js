@@ -0,0 +1,103 @@
+import { expect } from 'chai';
+import { BADGE_STYLES, resolveStyleName, getBadgeStyle } from '../src/badge-styles.js';
+import { generateBadgeSVG } from '../src/badge-generator.js';
+
+describe('Badge Styles', () => {
+  describe('resolveStyleName', () => {
+    it('should resolve every supported style to itself', () => {
+      BADGE_STYLES.forEach((style) => {
+        expect(resolveStyleName(style)).to.equal(style);
+      });
+    });
+
+    it('should resolve legacy style names to flat', () => {
+      expect(resolveStyleName('standard')).to.equal('flat');
+      expect(resolveStyleName('enhanced')).to.equal('flat');
+    });
+
+    it('should be case-insensitive', () => {
+      expect(resolveStyleName('For-The-Badge')).to.equal('for-the-badge');
+    });
+
+    it('should return null for unknown styles', () => {
+      expect(resolveStyleName('neon')).to.equal(null);
+    });
+  });
+
+  describe('getBadgeStyle', () => {
+    it('should throw for unknown styles', () => {
+      expect(() => getBadgeStyle('neon')).to.throw('Unknown style: neon');
+    });
+  });
+
+  describe('renderers', () => {
+    it('should render flat with rounded corners and gradient', () => {
+      const svg = generateBadgeSVG({ style: 'flat' });
+
+      expect(svg).to.include('height="20"');
+      expect(svg).to.include('rx="3"');
+      expect(svg).to.match(/fill="url\(#pb-[0-9a-f]{8}-gradient\)"/);
+    });
+
+    it('should render flat-square without rounding, gradient or shadow', () => {
+      const svg = generateBadgeSVG({ style: 'flat-square' });
+
+      expect(svg).to.include('shape-rendering="crispEdges"');
+      expect(svg).to.not.include('rx=');
+      expect(svg).to.not.include('gradient');
+      expect(svg).to.not.include('fill-opacity');
+    });
+
+    it('should render plastic shorter with a glossy gradient', () => {
+      const svg = generateBadgeSVG({ style: 'plastic' });
+
+      expect(svg).to.include('height="18"');
+      expect(svg).to.include('rx="4"');
+      expect(svg).to.include('stop-color="#aaa"');
+    });
+
+    it('should render for-the-badge taller, uppercase and letter-spaced', () => {
+      const svg = generateBadgeSVG({ style: 'for-the-badge', leftText: 'donate' });
+
+      expect(svg).to.include('height="28"');
+      expect(svg).to.include('>DONATE</text>');
+      expect(svg).to.include('letter-spacing="1.25"');
+    });
+
+    it('should make for-the-badge wider than flat for the same text', () => {
+      const flat = generateBadgeSVG({ style: 'flat' });
+      const forTheBadge = generateBadgeSVG({ style: 'for-the-badge' });
+      const widthOf = (svg) => Number(svg.match(/width="([\d.]+)"/)[1]);
+
+      expect(widthOf(forTheBadge)).to.be.greaterThan(widthOf(flat));
+    });
+
+    it('should render social with a count bubble', () => {
+      const svg = generateBadgeSVG({ style: 'social', leftText: 'stars', rightText: '42' });
+
+      expect(svg).to.include('stroke="#d5d5d5"');
+      expect(svg).to.include('<path d="M');
+      expect(svg).to.include('fill="#333"');
+      expect(svg).to.include('>42</text>');
+    });
+
+    it('should fill the right segment up to the progress ratio', () => {
+      const svg = generateBadgeSVG(
+        { leftText: 'goal', rightText: 'half' },
+        { progress: { ratio: 0.5, color: '#dfb317' } }
+      );
+      const rightWidth = Number(svg.match(/<rect x="[\d.]+" width="([\d.]+)"/)[1]);
+
+      expect(svg).to.include(`width="${rightWidth / 2}" height="20" fill="#dfb317"`);
+    });
+
+    it('should draw progress inside the social count bubble', () => {
+      const svg = generateBadgeSVG(
+        { style: 'social', leftText: 'goal', rightText: 'full' },
+        { progress: { ratio: 1, color: '#4c1' } }
+      );
+
+      expect(svg).to.match(/<rect x="[\d.]+" y="1" width="[\d.]+" height="18" fill="#4c1"\/>/);
+    });
+  });
+});
@@ -0,0 +1,357 @@
+import { expect } from 'chai';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { runCli, EXIT_CODES } from '../src/cli.js';
+
+/**
+ * Runs the command line in a directory, capturing its output
+ * @param {Array<string>} argv - Command line arguments
+ * @param {string} cwd - Working directory
+ * @returns {Promise<Object>} - { code, stdout, stderr }
+ */
+async function run(argv, cwd) {
+  const output = { stdout: '', stderr: '' };
+  const stream = (name) => ({
+    write: (text) => {
+      output[name] += text;
+    }
+  });
+
+  const code = await runCli(argv, { stdout: stream('stdout'), stderr: stream('stderr'), cwd });
+  return { code, ...output };
+}
+
+/**
+ * Replaces global fetch with a stub returning the given exchange rate
+ * @param {number} rate - Exchange rate
+ * @returns {Array<string>} - URLs requested through the stub
+ */
+function mockFetch(rate) {
+  const calls = [];
+
+  global.fetch = async (url) => {
+    calls.push(url);
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({
+        crypto: 'BTC',
+        fiat: 'EUR',
+        rate,
+        timestamp: '2025-06-19T01:19:32.994Z'
+      })
+    };
+  };
+
+  return calls;
+}
+
+describe('CLI', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'paybadge-cli-'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('should print usage', async () => {
+    const help = await run(['help'], directory);
+    const none = await run([], directory);
+
+    expect(help.code).to.equal(EXIT_CODES.success);
+    expect(help.stdout).to.include('paybadge readme');
+    expect(none.code).to.equal(EXIT_CODES.usage);
+    expect(none.stderr).to.include('Usage:');
+  });
+
+  it('should reject unknown commands and options', async () => {
+    const unknown = await run(['deploy'], directory);
+    const option = await run(['readme', '--force'], directory);
+
+    expect(unknown.code).to.equal(EXIT_CODES.usage);
+    expect(unknown.stderr).to.include('Unknown command: deploy');
+    expect(option.code).to.equal(EXIT_CODES.usage);
+  });
+
+  it('should reject malformed badge parameters', async () => {
+    const result = await run(['svg', 'leftText'], directory);
+
+    expect(result.code).to.equal(EXIT_CODES.usage);
+    expect(result.stderr).to.include('Expected a key=value badge parameter');
+    expect(result.stderr).to.include('Usage: paybadge svg');
+  });
+
+  describe('svg', () => {
+    it('should write the badge to stdout', async () => {
+      const result = await run(['svg', 'leftText=donate', 'rightColor=orange'], directory);
+
+      expect(result.code).to.equal(EXIT_CODES.success);
+      expect(result.stdout).to.match(/^<svg /);
+      expect(result.stdout).to.include('donate');
+    });
+
+    it('should write the badge to a file', async () => {
+      const result = await run(['svg', 'style=plastic', '-o', 'badge.svg', '--json'], directory);
+
+      expect(result.code).to.equal(EXIT_CODES.success);
+      expect(JSON.parse(result.stdout)).to.include({ file: 'badge.svg' });
+      expect(await readFile(join(directory, 'badge.svg'), 'utf8')).to.match(/<\/svg>\n$/);
+    });
+
+    it('should fail on invalid parameters', async () => {
+      const result = await run(['svg', 'style=wavy'], directory);
+
+      expect(result.code).to.equal(EXIT_CODES.failure);
+      expect(result.stderr).to.include('Unknown style: wavy');
+    });
+  });
+
+  describe('code', () => {
+    it('should generate code in one format', async () => {
+      const result = await run(
+        [
+          'code',
+          'leftText=tip',
+          '--link',
+          'https://example.com',
+          '--format',
+          'rst',
+          '--base-url',
+          'https://badges.example.com/'
+        ],
+        directory
+      );
+
+      expect(result.code).to.equal(EXIT_CODES.success);
+      expect(result.stdout).to.equal(
+        '.. image:: https://badges.example.com/badge.svg?leftText=tip\n' +
+          '   :alt: Crypto Payment\n' +
+          '   :target: https://example.com\n'
+      );
+    });
+
+    it('should generate every format as JSON', async () => {
+      const result = await run(
+        ['code', '--link', 'https://example.com', '--format', 'all', '--json'],
+        directory
+      );
+      const json = JSON.parse(result.stdout);
+
+      expect(json.markdown.code).to.include('[![Crypto Payment]');
+      expect(json.picture.code).to.include('<picture>');
+    });
+
+    it('should require a valid link and recipient address', async () => {
+      const [missing, rejected, address] = await Promise.all([
+        run(['code'], directory),
+        run(['code', '--link', 'javascript:alert(1)'], directory),
+        run(
+          ['code', 'ticker=btc', 'recipient_address=bc1qnope', '--link', 'https://example.com'],
+          directory
+        )
+      ]);
+
+      expect(missing.code).to.equal(EXIT_CODES.usage);
+      expect(rejected.code).to.equal(EXIT_CODES.failure);
+      expect(address.code).to.equal(EXIT_CODES.failure);
+      expect(address.stderr).to.include('Invalid BTC address');
+    });
+  });
+
+  describe('preset and presets', () => {
+    beforeEach(async () => {
+      await writeFile(
+        join(directory, 'presets.json'),
+        JSON.stringify({ acme: { badgeParams: { leftText: 'acme' }, altText: 'ACME' } })
+      );
+    });
+
+    it('should generate code from built-in and custom presets', async () => {
+      const [builtIn, custom] = await Promise.all([
+        run(
+          ['preset', 'bitcoin', 'style=plastic', '--short', '--link', 'https://example.com'],
+          directory
+        ),
+        run(['preset', 'acme', '--alt', 'Sponsor', '--format', 'html', '--json'], directory)
+      ]);
+
+      expect(builtIn.stdout).to.equal(
+        '[![Bitcoin Payment](https://paybadge.profullstack.com/preset/bitcoin.svg?style=plastic)](https://example.com)\n'
+      );
+      expect(JSON.parse(custom.stdout)).to.include({
+        format: 'html',
+        altText: 'Sponsor',
+        linkUrl: 'https://paybadge.profullstack.com/'
+      });
+    });
+
+    it('should use --alt for the alt text only, not the badge URL', async () => {
+      const { code, stdout } = await run(['preset', 'bitcoin', '--alt', 'Tip me'], directory);
+
+      expect(code).to.equal(EXIT_CODES.success);
+      expect(stdout).to.match(/^\[!\[Tip me\]\(/);
+      expect(stdout).to.not.include('altText');
+    });
+
+    it('should fail on unknown or missing preset names', async () => {
+      const [unknown, missing] = await Promise.all([
+        run(['preset', 'nope'], directory),
+        run(['preset'], directory)
+      ]);
+
+      expect(unknown.code).to.equal(EXIT_CODES.failure);
+      expect(unknown.stderr).to.include('Unknown preset: nope');
+      expect(missing.code).to.equal(EXIT_CODES.usage);
+    });
+
+    it('should list built-in and custom presets', async () => {
+      const [text, json] = await Promise.all([
+        run(['presets'], directory),
+        run(['presets', '--json'], directory)
+      ]);
+
+      expect(text.stdout).to.match(/^bitcoin +Bitcoin Payment$/m);
+      expect(text.stdout).to.match(/^acme +ACME \(custom\)$/m);
+      expect(JSON.parse(json.stdout).descriptions.acme).to.deep.equal({
+        altText: 'ACME',
+        badgeParams: { leftText: 'acme' },
+        builtIn: false
+      });
+    });
+  });
+
+  describe('rate and convert', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should print the exchange rate', async () => {
+      const calls = mockFetch(95000.5);
+      const [text, json] = await Promise.all([
+        run(['rate', 'btc', 'eur'], directory),
+        run(['rate', 'btc', 'eur', '--json'], directory)
+      ]);
+
+      expect(calls[0]).to.match(/\/btc\/eur$/);
+      expect(text.stdout).to.equal('1 BTC = €95,001\n');
+      expect(JSON.parse(json.stdout)).to.include({ rate: 95000.5, fiat: 'EUR' });
+    });
+
+    it('should convert amounts', async () => {
+      mockFetch(100000);
+      const result = await run(['convert', '0.5', 'btc', '--json'], directory);
+
+      expect(JSON.parse(result.stdout)).to.deep.equal({
+        amount: 0.5,
+        from: 'BTC',
+        to: 'USD',
+        result: 50000
+      });
+    });
+
+    it('should reject bad amounts and currency codes', async () => {
+      const [amount, fiat, args] = await Promise.all([
+        run(['convert', 'lots', 'btc'], directory),
+        run(['rate', 'btc', 'euro'], directory),
+        run(['rate'], directory)
+      ]);
+
+      expect(amount.code).to.equal(EXIT_CODES.usage);
+      expect(fiat.code).to.equal(EXIT_CODES.usage);
+      expect(fiat.stderr).to.include('Invalid fiat code');
+      expect(args.code).to.equal(EXIT_CODES.usage);
+    });
+  });
+
+  it('should reject invalid server ports', async () => {
+    const result = await run(['serve', '--port', '70000'], directory);
+
+    expect(result.code).to.equal(EXIT_CODES.usage);
+    expect(result.stderr).to.include('Invalid port: 70000');
+  });
+
+  describe('readme', () => {
+    const readmePath = () => join(directory, 'README.md');
+
+    beforeEach(async () => {
+      await writeFile(
+        join(directory, 'paybadge.json'),
+        JSON.stringify({
+          baseUrl: 'https://badges.example.com',
+          badges: [{ preset: 'acme', linkUrl: 'https://example.com' }]
+        })
+      );
+      await writeFile(
+        join(directory, 'presets.json'),
+        JSON.stringify({ acme: { badgeParams: { leftText: 'acme' }, altText: 'ACME' } })
+      );
+      await writeFile(readmePath(), '# Project\n<!-- paybadge:start -->\n<!-- paybadge:end -->\n');
+    });
+
+    it('should update the README and then report it as up to date', async () => {
+      const check = await run(['readme', '--check'], directory);
+      expect(check.code).to.equal(EXIT_CODES.failure);
+      expect(check.stderr).to.include('README.md is out of date');
+
+      const update = await run(['readme'], directory);
+      expect(update.code).to.equal(EXIT_CODES.success);
+      expect(update.stdout).to.include('Updated badges in README.md');
+      expect(await readFile(readmePath(), 'utf8')).to.equal(
+        '# Project\n<!-- paybadge:start -->\n' +
+          '[![ACME](https://badges.example.com/badge.svg?leftText=acme)](https://example.com)\n' +
+          '<!-- paybadge:end -->\n'
+      );
+
+      const recheck = await run(['readme', '--check', '--json'], directory);
+      expect(recheck.code).to.equal(EXIT_CODES.success);
+      expect(JSON.parse(recheck.stdout)).to.deep.equal({
+        file: 'README.md',
+        changed: false,
+        markers: 1,
+        written: false
+      });
+    });
+
+    it('should read the README and config from the given paths', async () => {
+      await writeFile(join(directory, 'DOCS.md'), '<!-- paybadge:start --><!-- paybadge:end -->');
+      await writeFile(
+        join(directory, 'badges.json'),
+        JSON.stringify({ badges: [{ preset: 'bitcoin', linkUrl: 'https://example.com' }] })
+      );
+
+      const result = await run(['readme', 'DOCS.md', '--config', 'badges.json'], directory);
+
+      expect(result.code).to.equal(EXIT_CODES.success);
+      expect(await readFile(join(directory, 'DOCS.md'), 'utf8')).to.include('Bitcoin Payment');
+    });
+
+    it('should fail on missing files, bad JSON and missing markers', async () => {
+      const missingConfig = await run(['readme', '--config', 'nope.json'], directory);
+      expect(missingConfig.code).to.equal(EXIT_CODES.failure);
+      expect(missingConfig.stderr).to.include('Config not found');
+
+      const missingReadme = await run(['readme', 'NOPE.md'], directory);
+      expect(missingReadme.code).to.equal(EXIT_CODES.failure);
+      expect(missingReadme.stderr).to.include('README not found');
+
+      await writeFile(join(directory, 'paybadge.json'), '{');
+      const badJson = await run(['readme'], directory);
+      expect(badJson.stderr).to.include('Invalid JSON');
+
+      await writeFile(
+        join(directory, 'paybadge.json'),
+        JSON.stringify({ badges: [{ preset: 'bitcoin', linkUrl: 'https://example.com' }] })
+      );
+      await writeFile(readmePath(), '# Project\n');
+      const noMarkers = await run(['readme'], directory);
+      expect(noMarkers.code).to.equal(EXIT_CODES.failure);
+      expect(noMarkers.stderr).to.include('No <!-- paybadge:start --> marker');
+    });
+  });
+});
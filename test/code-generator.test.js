@@ -1,5 +1,19 @@
 import { expect } from 'chai';
-import { generateMarkdownBadge, generateHTMLBadge, generateBadgeCode } from '../src/code-generator.js';
+import {
+  generateMarkdownBadge,
+  generateHTMLBadge,
+  generateBadgeCode,
+  generatePresetBadge,
+  generateQRCodeEmbed,
+  generateAllBadgeFormats,
+  generateCryptoBadge,
+  generateBadgeBatch,
+  validateBatchOptions,
+  validateFormat,
+  validateLinkUrl,
+  MAX_BATCH_SIZE,
+  SUPPORTED_FORMATS
+} from '../src/code-generator.js';
 
 describe('Code Generator', () => {
   const baseUrl = 'https://paybadge.profullstack.com';
@@ -61,6 +75,119 @@ describe('Code Generator', () => {
     });
   });
 
+  describe('validateLinkUrl', () => {
+    it('should accept web and payment links', () => {
+      expect(validateLinkUrl('https://example.com').isValid).to.equal(true);
+      expect(validateLinkUrl('http://localhost:3000/').isValid).to.equal(true);
+      expect(validateLinkUrl('bitcoin:bc1qexample?amount=0.001').isValid).to.equal(true);
+      expect(validateLinkUrl('ethereum:0x402282c72a2f2b9f059C3b39Fa63932D6AA09f11').isValid).to.equal(true);
+      expect(validateLinkUrl('solana:CsTWZTbDryjcb229RQ9b7wny5qytH9jwoJy6Lu98xpeF').isValid).to.equal(true);
+    });
+
+    it('should reject other schemes', () => {
+      expect(validateLinkUrl('javascript:alert(1)').error).to.include('Invalid linkUrl scheme: javascript');
+      expect(validateLinkUrl('JavaScript:alert(1)').isValid).to.equal(false);
+      expect(validateLinkUrl('data:text/html,<script>alert(1)</script>').isValid).to.equal(false);
+    });
+
+    it('should reject relative and missing links', () => {
+      expect(validateLinkUrl('/donate').error).to.include('absolute URL');
+      expect(validateLinkUrl(undefined).isValid).to.equal(false);
+    });
+  });
+
+  describe('escaping', () => {
+    const code = (format, linkUrl, altText) =>
+      generateBadgeCode({ baseUrl, badgeParams: { leftText: 'donate' }, linkUrl, altText, format }).code;
+
+    it('should keep markdown intact with brackets and parentheses', () => {
+      expect(code('markdown', 'https://example.com/wiki/Foo_(bar)', 'Tip [me]')).to.equal(
+        `[![Tip \\[me\\]](${baseUrl}/badge.svg?leftText=donate)](https://example.com/wiki/Foo_%28bar%29)`
+      );
+    });
+
+    it('should escape links and alt text in HTML attributes', () => {
+      const html = code('html', 'https://example.com/?a=1&b="2"', 'Say "hi" <b>');
+
+      expect(html).to.include('href="https://example.com/?a=1&amp;b=&quot;2&quot;"');
+      expect(html).to.include('alt="Say &quot;hi&quot; &lt;b&gt;"');
+    });
+
+    it('should keep brackets in links from closing BBCode, Org and AsciiDoc markup', () => {
+      const link = 'https://example.com/?tags[]=x';
+
+      expect(code('bbcode', link)).to.include('[url=https://example.com/?tags%5B%5D=x]');
+      expect(code('org', link)).to.include('[[https://example.com/?tags%5B%5D=x][');
+      expect(code('asciidoc', link, 'Tip {me}')).to.include(
+        '["Tip \\{me}",link="https://example.com/?tags%5B%5D=x"]'
+      );
+    });
+
+    it('should keep reStructuredText options on one line', () => {
+      expect(code('rst', 'https://example.com', 'two\nlines')).to.include('   :alt: two lines\n');
+    });
+
+    it('should refuse javascript: links', () => {
+      expect(() => code('html', 'javascript:alert(1)', 'x')).to.throw('Invalid linkUrl scheme');
+    });
+  });
+
+  describe('embed formats', () => {
+    const code = (format, altText = 'Crypto Payment') =>
+      generateBadgeCode({
+        baseUrl,
+        badgeParams: { leftText: 'donate' },
+        linkUrl: 'https://example.com',
+        altText,
+        format
+      }).code;
+    const badgeUrl = `${baseUrl}/badge.svg?leftText=donate`;
+
+    it('should generate a reStructuredText image directive', () => {
+      expect(code('rst')).to.equal(
+        `.. image:: ${badgeUrl}\n   :alt: Crypto Payment\n   :target: https://example.com`
+      );
+    });
+
+    it('should generate an AsciiDoc image macro', () => {
+      expect(code('asciidoc', 'Say "hi"')).to.equal(
+        `image:${badgeUrl}["Say \\"hi\\"",link="https://example.com"]`
+      );
+    });
+
+    it('should generate BBCode', () => {
+      expect(code('bbcode')).to.equal(`[url=https://example.com][img]${badgeUrl}[/img][/url]`);
+    });
+
+    it('should generate an Org-mode link', () => {
+      expect(code('org')).to.equal(
+        `#+ATTR_HTML: :alt Crypto Payment\n[[https://example.com][${badgeUrl}]]`
+      );
+    });
+
+    it('should generate React, Vue and Svelte components', () => {
+      expect(code('react')).to.include('export function PaymentBadge() {');
+      expect(code('react')).to.include(`<img src="${badgeUrl}" alt="Crypto Payment" />`);
+      expect(code('vue')).to.match(/^<template>\n  <a href="https:\/\/example.com"/);
+      expect(code('svelte', 'Tip {me}')).to.include('alt="Tip &#123;me&#125;"');
+    });
+
+    it('should resolve format aliases', () => {
+      expect(validateFormat('MD').format).to.equal('markdown');
+      expect(validateFormat('adoc').format).to.equal('asciidoc');
+      expect(generateBadgeCode({ baseUrl, linkUrl: 'https://example.com', format: 'jsx' }).format).to.equal(
+        'react'
+      );
+    });
+
+    it('should reject unknown formats instead of falling back to markdown', () => {
+      expect(validateFormat('textile').error).to.equal(
+        `Unknown format: textile. Supported formats: ${SUPPORTED_FORMATS.join(', ')}`
+      );
+      expect(() => code('textile')).to.throw('Unknown format: textile');
+    });
+  });
+
   describe('generateBadgeCode', () => {
     it('should generate markdown code by default', () => {
       const result = generateBadgeCode({
@@ -74,6 +201,18 @@ describe('Code Generator', () => {
       expect(result.code).to.include('[![');
     });
 
+    it('should emit the trimmed link it validated', () => {
+      const result = generateBadgeCode({
+        baseUrl,
+        badgeParams,
+        linkUrl: '  https://example.com \n',
+        altText: 'Crypto Payment'
+      });
+
+      expect(result.linkUrl).to.equal('https://example.com');
+      expect(result.code).to.match(/\]\(https:\/\/example\.com\)$/);
+    });
+
     it('should generate HTML code when specified', () => {
       const result = generateBadgeCode({
         baseUrl,
@@ -118,6 +257,50 @@ describe('Code Generator', () => {
       expect(result.badgeUrl).to.include('/badge-crypto.svg');
     });
 
+    it('should keep rendering styles in the badge URL', () => {
+      const result = generateBadgeCode({
+        baseUrl,
+        badgeParams: { style: 'for-the-badge' },
+        linkUrl: 'https://example.com',
+        altText: 'Badge'
+      });
+
+      expect(result.badgeUrl).to.equal(`${baseUrl}/badge.svg?style=for-the-badge`);
+    });
+
+    it('should link the PNG endpoint when format is png', () => {
+      const result = generateBadgeCode({
+        baseUrl,
+        badgeParams: { style: 'enhanced', format: 'png', scale: 2 },
+        linkUrl: 'https://example.com',
+        altText: 'Badge'
+      });
+
+      expect(result.badgeUrl).to.equal(`${baseUrl}/badge-crypto.png?scale=2`);
+    });
+
+    it('should serialize segments into the badge URL', () => {
+      const result = generateBadgeCode({
+        baseUrl,
+        badgeParams: { segments: [{ text: 'donate' }, { text: 'BTC', color: 'bitcoin', icon: 'btc' }] },
+        linkUrl: 'https://example.com',
+        altText: 'Badge'
+      });
+
+      expect(result.badgeUrl).to.equal(`${baseUrl}/badge.svg?segments=donate%2CBTC%3Abitcoin%3Abtc`);
+    });
+
+    it('should use the goal endpoint for badges with a goal', () => {
+      const result = generateBadgeCode({
+        baseUrl,
+        badgeParams: { raised: 420, goal: 1000, currency: 'USD' },
+        linkUrl: 'https://example.com',
+        altText: 'Donation Goal'
+      });
+
+      expect(result.badgeUrl).to.equal(`${baseUrl}/badge/goal.svg?raised=420&goal=1000&currency=USD`);
+    });
+
     it('should provide both markdown and HTML formats', () => {
       const options = {
         baseUrl,
@@ -134,4 +317,331 @@ describe('Code Generator', () => {
       expect(markdownResult.badgeUrl).to.equal(htmlResult.badgeUrl);
     });
   });
-});
\ No newline at end of file
+
+  describe('generateCryptoBadge', () => {
+    it('should link to the payment page by default', () => {
+      const result = generateCryptoBadge(baseUrl, ['btc', 'eth']);
+
+      expect(result.linkUrl).to.equal(`${baseUrl}/?tickers=btc%2Ceth`);
+    });
+
+    it('should link a single coin to its wallet payment URI', () => {
+      const result = generateCryptoBadge(baseUrl, ['usdc'], {}, 'html', {
+        network: 'solana',
+        amount: '5',
+        label: 'PayBadge'
+      });
+
+      expect(result.linkUrl).to.equal(
+        'solana:CsTWZTbDryjcb229RQ9b7wny5qytH9jwoJy6Lu98xpeF?amount=5&spl-token=EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v&label=PayBadge'
+      );
+      expect(result.code).to.include('<a href="solana:');
+    });
+
+    it('should refuse invalid recipient addresses', () => {
+      expect(() =>
+        generateCryptoBadge(baseUrl, ['btc', 'eth'], { eth: '0x402282c72a2f2b9f059C3b39Fa63932D6AA09f12' })
+      ).to.throw('Invalid ETH address');
+    });
+  });
+
+  describe('generatePresetBadge', () => {
+    it('should generate multi-segment badge code', () => {
+      const result = generatePresetBadge(baseUrl, 'segments', 'https://example.com');
+
+      expect(result.badgeUrl).to.equal(
+        `${baseUrl}/badge.svg?segments=donate%2CBTC%3Abitcoin%3Abtc%2CETH%3Aethereum%3Aeth%2CSOL%3Asolana%3Asol`
+      );
+    });
+
+    it('should generate goal badge code with overrides', () => {
+      const result = generatePresetBadge(baseUrl, 'goal', 'https://example.com', 'markdown', {
+        raised: '250'
+      });
+
+      expect(result.badgeUrl).to.include('/badge/goal.svg?');
+      expect(result.badgeUrl).to.include('raised=250');
+      expect(result.badgeUrl).to.include('goal=1000');
+      expect(result.code).to.include('Donation Goal');
+    });
+
+    it('should link to the short preset URL with only the overrides', () => {
+      const result = generatePresetBadge(
+        baseUrl,
+        'bitcoin',
+        'https://example.com',
+        'markdown',
+        { style: 'plastic', altText: 'Tip me' },
+        { shortUrl: true }
+      );
+
+      expect(result.badgeUrl).to.equal(`${baseUrl}/preset/bitcoin.svg?style=plastic`);
+      expect(result.code).to.equal(
+        `[![Tip me](${baseUrl}/preset/bitcoin.svg?style=plastic)](https://example.com)`
+      );
+    });
+
+    it('should keep the image format in the short URL path', () => {
+      const result = generatePresetBadge(
+        baseUrl,
+        'donation',
+        'https://example.com',
+        'markdown',
+        { format: 'png' },
+        { shortUrl: true }
+      );
+
+      expect(result.badgeUrl).to.equal(`${baseUrl}/preset/donation.png`);
+    });
+
+    it('should look presets up in the given set', () => {
+      const presets = { acme: { badgeParams: { leftText: 'acme' }, altText: 'ACME' } };
+
+      expect(
+        generatePresetBadge(baseUrl, 'acme', 'https://example.com', 'markdown', {}, { presets }).badgeUrl
+      ).to.equal(`${baseUrl}/badge.svg?leftText=acme`);
+      expect(() =>
+        generatePresetBadge(baseUrl, 'bitcoin', 'https://example.com', 'markdown', {}, { presets })
+      ).to.throw('Available presets: acme');
+    });
+  });
+
+  describe('validateBatchOptions', () => {
+    const badges = [{ preset: 'bitcoin', linkUrl: 'https://example.com' }];
+
+    it('should pick the embed format each layout needs', () => {
+      expect(validateBatchOptions({ badges, format: 'md' }).format).to.equal('markdown');
+      expect(validateBatchOptions({ badges, layout: 'center' }).format).to.equal('html');
+      expect(validateBatchOptions({ badges, format: 'html', layout: 'table' }).format).to.equal(
+        'markdown'
+      );
+      expect(validateBatchOptions({ badges, format: 'html', layout: 'inline' }).format).to.equal(
+        'html'
+      );
+    });
+
+    it('should reject empty, oversized and unlayoutable batches', () => {
+      expect(validateBatchOptions({ badges: [] }).isValid).to.be.false;
+      expect(validateBatchOptions({ badges: {} }).isValid).to.be.false;
+      expect(
+        validateBatchOptions({ badges: new Array(MAX_BATCH_SIZE + 1).fill(badges[0]) }).error
+      ).to.include('at most');
+      expect(validateBatchOptions({ badges, layout: 'grid' }).error).to.include(
+        'Supported layouts: inline, center, table'
+      );
+      expect(validateBatchOptions({ badges, format: 'rst', layout: 'inline' }).error).to.include(
+        'markdown and html only'
+      );
+      expect(validateBatchOptions({ badges, format: 'rst' }).isValid).to.be.true;
+    });
+  });
+
+  describe('generateBadgeBatch', () => {
+    const badges = [
+      { preset: 'bitcoin', linkUrl: 'https://example.com/btc' },
+      { badgeParams: { leftText: 'sponsor' }, linkUrl: 'https://example.com', altText: 'Sponsor' }
+    ];
+
+    it('should generate presets and custom badges side by side', () => {
+      const result = generateBadgeBatch({ baseUrl, badges });
+
+      expect(result.format).to.equal('markdown');
+      expect(result.errors).to.equal(0);
+      expect(result.block).to.be.null;
+      expect(result.badges[0]).to.include({ index: 0, isValid: true, preset: 'bitcoin' });
+      expect(result.badges[0].altText).to.equal('Bitcoin Payment');
+      expect(result.badges[1].code).to.equal(
+        `[![Sponsor](${baseUrl}/badge.svg?leftText=sponsor)](https://example.com)`
+      );
+    });
+
+    it('should report errors per badge without failing the others', () => {
+      const result = generateBadgeBatch({
+        baseUrl,
+        layout: 'inline',
+        badges: [
+          badges[0],
+          { preset: 'nope', linkUrl: 'https://example.com' },
+          { badgeParams: { leftText: 'x' } },
+          { linkUrl: 'javascript:alert(1)' },
+          { badgeParams: { ticker: 'btc', recipient_address: 'bc1qnope' }, linkUrl: 'https://example.com' },
+          'bitcoin'
+        ]
+      });
+
+      expect(result.errors).to.equal(5);
+      expect(result.badges.map((badge) => badge.isValid)).to.deep.equal([
+        true,
+        false,
+        false,
+        false,
+        false,
+        false
+      ]);
+      expect(result.badges[1].error).to.include('Unknown preset: nope');
+      expect(result.badges[2].error).to.include('linkUrl');
+      expect(result.badges[3].error).to.include('javascript');
+      expect(result.badges[4]).to.include({ index: 4, coin: 'btc' });
+      expect(result.block).to.equal(result.badges[0].code);
+    });
+
+    it('should apply preset overrides, alt text and short URLs', () => {
+      const [badge] = generateBadgeBatch({
+        baseUrl,
+        badges: [
+          {
+            preset: 'bitcoin',
+            badgeParams: { style: 'plastic' },
+            altText: 'Tip',
+            short: true,
+            linkUrl: 'https://example.com'
+          }
+        ]
+      }).badges;
+
+      expect(badge.code).to.equal(
+        `[![Tip](${baseUrl}/preset/bitcoin.svg?style=plastic)](https://example.com)`
+      );
+    });
+
+    it('should look presets up in the given set', () => {
+      const presets = { acme: { badgeParams: { leftText: 'acme' }, altText: 'ACME' } };
+      const result = generateBadgeBatch({
+        baseUrl,
+        presets,
+        badges: [{ preset: 'acme', linkUrl: 'https://example.com' }]
+      });
+
+      expect(result.badges[0].badgeUrl).to.equal(`${baseUrl}/badge.svg?leftText=acme`);
+    });
+
+    it('should assemble an inline row', () => {
+      const result = generateBadgeBatch({ baseUrl, badges, layout: 'inline' });
+
+      expect(result.block).to.equal(result.badges.map((badge) => badge.code).join(' '));
+    });
+
+    it('should assemble a centered HTML block', () => {
+      const result = generateBadgeBatch({ baseUrl, badges, layout: 'center' });
+
+      expect(result.format).to.equal('html');
+      expect(result.block).to.match(/^<p align="center">\n {2}<a href=/);
+      expect(result.block.split('\n')).to.have.length(8);
+      expect(result.block).to.include('\n    <img src=');
+      expect(result.block.endsWith('\n</p>')).to.be.true;
+    });
+
+    it('should assemble a markdown table with escaped cells', () => {
+      const result = generateBadgeBatch({
+        baseUrl,
+        layout: 'table',
+        format: 'html',
+        badges: [{ preset: 'bitcoin', altText: 'BTC | Lightning', linkUrl: 'https://example.com' }]
+      });
+      const lines = result.block.split('\n');
+
+      expect(result.format).to.equal('markdown');
+      expect(lines.slice(0, 2)).to.deep.equal(['| Name | Badge |', '| --- | --- |']);
+      expect(lines[2]).to.match(/^\| BTC \\\| Lightning \| \[!\[BTC \\\| Lightning\]/);
+    });
+
+    it('should keep altText out of preset badge URLs', () => {
+      const result = generateBadgeBatch({
+        baseUrl,
+        badges: [{ preset: 'bitcoin', altText: 'Tip me', linkUrl: 'https://example.com' }]
+      });
+
+      expect(result.badges[0].altText).to.equal('Tip me');
+      expect(result.badges[0].badgeUrl).to.not.include('altText');
+      expect(result.badges[0].code).to.include('[![Tip me]');
+    });
+
+    it('should throw on invalid batch options', () => {
+      expect(() => generateBadgeBatch({ baseUrl, badges: [] })).to.throw('non-empty array');
+    });
+  });
+
+  describe('generateQRCodeEmbed', () => {
+    it('should embed the QR code linking to the payment page', () => {
+      const result = generateQRCodeEmbed({
+        baseUrl,
+        qrParams: { ticker: 'btc', recipient_address: 'bc1qtest', amount: '0.001' }
+      });
+
+      expect(result.qrUrl).to.equal(`${baseUrl}/qr.svg?ticker=btc&recipient_address=bc1qtest&amount=0.001`);
+      expect(result.linkUrl).to.equal(`${baseUrl}/?ticker=btc&recipient_address=bc1qtest`);
+      expect(result.code).to.equal(`[![Scan to pay](${result.qrUrl})](${result.linkUrl})`);
+    });
+
+    it('should generate HTML with a custom link', () => {
+      const result = generateQRCodeEmbed({
+        baseUrl,
+        qrParams: { ticker: 'eth', size: 300 },
+        linkUrl: 'https://example.com',
+        format: 'html'
+      });
+
+      expect(result.format).to.equal('html');
+      expect(result.code).to.include(`<img src="${baseUrl}/qr.svg?ticker=eth&amp;size=300"`);
+      expect(result.code).to.include('href="https://example.com"');
+    });
+
+    it('should emit the trimmed link it validated', () => {
+      const result = generateQRCodeEmbed({
+        baseUrl,
+        qrParams: { ticker: 'eth' },
+        linkUrl: ' https://example.com ',
+        format: 'html'
+      });
+
+      expect(result.linkUrl).to.equal('https://example.com');
+      expect(result.code).to.include('href="https://example.com"');
+    });
+  });
+
+  describe('generateAllBadgeFormats', () => {
+    it('should generate every supported format', () => {
+      const result = generateAllBadgeFormats({
+        baseUrl,
+        badgeParams,
+        linkUrl: 'https://example.com',
+        altText: 'Crypto Payment'
+      });
+
+      SUPPORTED_FORMATS.forEach((format) => {
+        expect(result[format].format).to.equal(format);
+        expect(result[format].badgeUrl).to.equal(result.badgeUrl);
+      });
+    });
+
+    it('should include a picture snippet with light and dark sources', () => {
+      const result = generateAllBadgeFormats({
+        baseUrl,
+        badgeParams: { leftText: 'donate', theme: 'auto' },
+        linkUrl: 'https://example.com',
+        altText: 'Donate & Support'
+      });
+
+      expect(result.picture.lightUrl).to.equal(`${baseUrl}/badge.svg?leftText=donate`);
+      expect(result.picture.darkUrl).to.equal(`${baseUrl}/badge.svg?leftText=donate&theme=dark`);
+      expect(result.picture.code).to.include(
+        `<source media="(prefers-color-scheme: dark)" srcset="${baseUrl}/badge.svg?leftText=donate&amp;theme=dark" />`
+      );
+      expect(result.picture.code).to.include(
+        `<img src="${result.picture.lightUrl}" alt="Donate &amp; Support" />`
+      );
+    });
+
+    it('should use the trimmed link in every snippet', () => {
+      const result = generateAllBadgeFormats({
+        baseUrl,
+        badgeParams,
+        linkUrl: ' https://example.com ',
+        altText: 'Crypto Payment'
+      });
+
+      expect(result.linkUrl).to.equal('https://example.com');
+      expect(result.picture.code).to.include('href="https://example.com"');
+    });
+  });
+});
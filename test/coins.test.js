@@ -0,0 +1,42 @@
+import { expect } from 'chai';
+import { COINS, SUPPORTED_TICKERS, getCoin, parseTickers } from '../src/coins.js';
+
+describe('Coins', () => {
+  describe('getCoin', () => {
+    it('should look up coins by ticker', () => {
+      expect(getCoin('btc')).to.equal(COINS.btc);
+      expect(getCoin(' ETH ')).to.equal(COINS.eth);
+    });
+
+    it('should return null for unsupported tickers', () => {
+      expect(getCoin('doge')).to.equal(null);
+      expect(getCoin(undefined)).to.equal(null);
+    });
+  });
+
+  describe('parseTickers', () => {
+    it('should preserve order', () => {
+      expect(parseTickers('sol,btc,usdc').tickers).to.deep.equal(['sol', 'btc', 'usdc']);
+    });
+
+    it('should normalize case, whitespace and duplicates', () => {
+      expect(parseTickers(' BTC, eth,btc,,').tickers).to.deep.equal(['btc', 'eth']);
+    });
+
+    it('should accept arrays', () => {
+      expect(parseTickers(['eth', 'sol']).tickers).to.deep.equal(['eth', 'sol']);
+    });
+
+    it('should reject unknown tickers', () => {
+      const result = parseTickers('btc,doge');
+
+      expect(result.isValid).to.equal(false);
+      expect(result.error).to.include('Unknown ticker: doge');
+      SUPPORTED_TICKERS.forEach((ticker) => expect(result.error).to.include(ticker));
+    });
+
+    it('should reject an empty list', () => {
+      expect(parseTickers(',').isValid).to.equal(false);
+    });
+  });
+});
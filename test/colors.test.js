@@ -0,0 +1,65 @@
+import { expect } from 'chai';
+import { parseColor, normalizeColor, getBrightness, getContrastColors } from '../src/colors.js';
+
+describe('Colors', () => {
+  describe('normalizeColor', () => {
+    it('should resolve named colors', () => {
+      expect(normalizeColor('brightgreen')).to.equal('#4c1');
+      expect(normalizeColor('orange')).to.equal('#fe7d37');
+      expect(normalizeColor('bitcoin')).to.equal('#f7931a');
+      expect(normalizeColor('Ethereum')).to.equal('#627eea');
+    });
+
+    it('should accept hex with and without #', () => {
+      expect(normalizeColor('#333')).to.equal('#333');
+      expect(normalizeColor('f7931a')).to.equal('#f7931a');
+      expect(normalizeColor('ABC')).to.equal('#abc');
+    });
+
+    it('should accept hex with alpha', () => {
+      expect(normalizeColor('#f7931a80')).to.equal('#f7931a80');
+      expect(parseColor('#f7931a80').a).to.be.closeTo(0.5, 0.01);
+    });
+
+    it('should accept rgb() and rgba()', () => {
+      expect(normalizeColor('rgb(247, 147, 26)')).to.equal('rgb(247,147,26)');
+      expect(normalizeColor('rgba(0,0,0,0.5)')).to.equal('rgba(0,0,0,0.5)');
+    });
+
+    it('should accept hsl() and hsla()', () => {
+      expect(normalizeColor('hsl(120, 100%, 25%)')).to.equal('hsl(120,100%,25%)');
+      expect(normalizeColor('hsla(120,100%,25%,50%)')).to.equal('hsla(120,100%,25%,0.5)');
+      expect(parseColor('hsl(120, 100%, 25%)')).to.include({ r: 0, g: 128, b: 0 });
+    });
+
+    it('should reject invalid colors', () => {
+      expect(normalizeColor('notacolor')).to.equal(null);
+      expect(normalizeColor('#12345')).to.equal(null);
+      expect(normalizeColor('rgb(300,0,0)')).to.equal(null);
+      expect(normalizeColor('rgb(1.2.3,0,0)')).to.equal(null);
+      expect(normalizeColor('hsl(0,150%,50%)')).to.equal(null);
+      expect(normalizeColor('rgba(0,0,0,2)')).to.equal(null);
+      expect(normalizeColor('red;stroke:url(#x)')).to.equal(null);
+      expect(normalizeColor(undefined)).to.equal(null);
+    });
+  });
+
+  describe('getBrightness', () => {
+    it('should rank white above black', () => {
+      expect(getBrightness('#fff')).to.equal(1);
+      expect(getBrightness('#000')).to.equal(0);
+    });
+  });
+
+  describe('getContrastColors', () => {
+    it('should use light text on dark backgrounds', () => {
+      expect(getContrastColors('#555')).to.deep.equal({ text: '#fff', shadow: '#010101' });
+      expect(getContrastColors('brightgreen').text).to.equal('#fff');
+    });
+
+    it('should use dark text on light backgrounds', () => {
+      expect(getContrastColors('#ff0')).to.deep.equal({ text: '#333', shadow: '#ccc' });
+      expect(getContrastColors('white').text).to.equal('#333');
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import { expect } from 'chai';
+import { getCharAdvance, measureTextUnits, UNITS_PER_EM } from '../src/font-metrics.js';
+
+describe('Font Metrics', () => {
+  describe('getCharAdvance', () => {
+    it('should return Verdana advance widths for ASCII', () => {
+      expect(getCharAdvance(' ')).to.equal(720);
+      expect(getCharAdvance('i')).to.equal(562);
+      expect(getCharAdvance('W')).to.equal(2025);
+      expect(getCharAdvance('0')).to.equal(1303);
+    });
+
+    it('should return widths for Latin-1 symbols', () => {
+      expect(getCharAdvance('ß')).to.equal(1276);
+      expect(getCharAdvance('©')).to.equal(2048);
+    });
+
+    it('should measure accented letters through their base letter', () => {
+      expect(getCharAdvance('é')).to.equal(getCharAdvance('e'));
+      expect(getCharAdvance('Ñ')).to.equal(getCharAdvance('N'));
+    });
+
+    it('should treat combining marks as zero width', () => {
+      expect(getCharAdvance('\u0301')).to.equal(0);
+    });
+
+    it('should treat CJK and emoji as full em wide', () => {
+      expect(getCharAdvance('中')).to.equal(UNITS_PER_EM);
+      expect(getCharAdvance('한')).to.equal(UNITS_PER_EM);
+      expect(getCharAdvance('🚀')).to.equal(UNITS_PER_EM);
+    });
+
+    it('should fall back to an average width for other scripts', () => {
+      expect(getCharAdvance('Ж')).to.equal(1303);
+    });
+  });
+
+  describe('measureTextUnits', () => {
+    it('should sum advances by code point', () => {
+      expect(measureTextUnits('iW')).to.equal(562 + 2025);
+      expect(measureTextUnits('🚀🚀')).to.equal(UNITS_PER_EM * 2);
+    });
+
+    it('should return zero for empty text', () => {
+      expect(measureTextUnits('')).to.equal(0);
+    });
+  });
+});
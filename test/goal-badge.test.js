@@ -0,0 +1,105 @@
+import { expect } from 'chai';
+import {
+  GOAL_THRESHOLDS,
+  getGoalColor,
+  formatAmount,
+  validateGoalParams,
+  generateGoalBadgeSVG
+} from '../src/goal-badge.js';
+
+describe('Goal Badge', () => {
+  describe('getGoalColor', () => {
+    it('should pick red, yellow and green by threshold', () => {
+      expect(getGoalColor(0)).to.equal(GOAL_THRESHOLDS[0].color);
+      expect(getGoalColor(33)).to.equal('#e05d44');
+      expect(getGoalColor(34)).to.equal('#dfb317');
+      expect(getGoalColor(66)).to.equal('#dfb317');
+      expect(getGoalColor(67)).to.equal('#4c1');
+      expect(getGoalColor(250)).to.equal('#4c1');
+    });
+  });
+
+  describe('formatAmount', () => {
+    it('should omit cents for whole amounts', () => {
+      expect(formatAmount(1000, 'USD')).to.equal('$1,000');
+    });
+
+    it('should keep cents for fractional amounts', () => {
+      expect(formatAmount(12.5, 'EUR')).to.equal('€12.50');
+    });
+  });
+
+  describe('validateGoalParams', () => {
+    it('should parse amounts and compute the percentage', () => {
+      const result = validateGoalParams({ raised: '420', goal: '1000', currency: 'usd' });
+
+      expect(result.isValid).to.equal(true);
+      expect(result.params).to.deep.equal({
+        raised: 420,
+        goal: 1000,
+        currency: 'USD',
+        label: 'goal',
+        percent: 42
+      });
+    });
+
+    it('should default raised to 0', () => {
+      const result = validateGoalParams({ goal: '500' });
+
+      expect(result.isValid).to.equal(true);
+      expect(result.params.raised).to.equal(0);
+      expect(result.params.percent).to.equal(0);
+    });
+
+    it('should require a positive goal', () => {
+      expect(validateGoalParams({}).isValid).to.equal(false);
+      expect(validateGoalParams({ goal: '0' }).isValid).to.equal(false);
+      expect(validateGoalParams({ goal: 'lots' }).isValid).to.equal(false);
+    });
+
+    it('should reject negative raised amounts', () => {
+      const result = validateGoalParams({ raised: '-5', goal: '100' });
+
+      expect(result.isValid).to.equal(false);
+      expect(result.error).to.include('raised');
+    });
+
+    it('should reject malformed currencies', () => {
+      const result = validateGoalParams({ goal: '100', currency: 'dollars' });
+
+      expect(result.isValid).to.equal(false);
+      expect(result.error).to.include('currency');
+    });
+  });
+
+  describe('generateGoalBadgeSVG', () => {
+    it('should show formatted amounts, percentage and label', () => {
+      const svg = generateGoalBadgeSVG({ raised: 420, goal: 1000, label: 'hosting' });
+
+      expect(svg).to.include('>hosting</text>');
+      expect(svg).to.include('>$420 / $1,000 (42%)</text>');
+      expect(svg).to.include('fill="#dfb317"');
+    });
+
+    it('should cap the bar at the full segment when over the goal', () => {
+      const svg = generateGoalBadgeSVG({ raised: 1500, goal: 1000 });
+      const [, trackX, trackWidth] = svg.match(/<rect x="([\d.]+)" width="([\d.]+)"/);
+
+      expect(svg).to.include('(150%)');
+      expect(svg).to.include(
+        `<rect x="${trackX}" y="0" width="${trackWidth}" height="20" fill="#4c1"/>`
+      );
+    });
+
+    it('should accept badge style parameters', () => {
+      const svg = generateGoalBadgeSVG({ raised: 10, goal: 100, style: 'for-the-badge' });
+
+      expect(svg).to.include('height="28"');
+      expect(svg).to.include('fill="#e05d44"');
+    });
+
+    it('should throw for invalid goal parameters', () => {
+      expect(() => generateGoalBadgeSVG({ raised: 10 })).to.throw('Invalid goal');
+    });
+  });
+});
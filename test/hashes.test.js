@@ -0,0 +1,43 @@
+import { expect } from 'chai';
+import { createHash } from 'crypto';
+import { sha256, keccak256 } from '../src/hashes.js';
+
+const toHex = (bytes) => Buffer.from(bytes).toString('hex');
+
+describe('Hashes', () => {
+  describe('sha256', () => {
+    it('should match the Node.js implementation across block boundaries', () => {
+      ['', 'abc', 'a'.repeat(55), 'a'.repeat(56), 'a'.repeat(64), 'a'.repeat(200)].forEach(
+        (text) => {
+          const data = Buffer.from(text);
+          expect(toHex(sha256(data))).to.equal(createHash('sha256').update(data).digest('hex'));
+        }
+      );
+    });
+  });
+
+  describe('keccak256', () => {
+    it('should match the Keccak-256 test vectors', () => {
+      expect(toHex(keccak256(new Uint8Array()))).to.equal(
+        'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470'
+      );
+      expect(toHex(keccak256(Buffer.from('abc')))).to.equal(
+        '4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45'
+      );
+    });
+
+    it('should differ from SHA3-256', () => {
+      const data = Buffer.from('abc');
+      expect(toHex(keccak256(data))).to.not.equal(
+        createHash('sha3-256').update(data).digest('hex')
+      );
+    });
+
+    it('should absorb inputs longer than one block', () => {
+      expect(keccak256(Buffer.from('a'.repeat(300)))).to.have.length(32);
+      expect(toHex(keccak256(Buffer.from('a'.repeat(136))))).to.not.equal(
+        toHex(keccak256(Buffer.from('a'.repeat(135))))
+      );
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { expect } from 'chai';
+import {
+  ICON_NAMES,
+  MAX_LOGO_BYTES,
+  resolveIconName,
+  getIconColor,
+  validateCustomLogo,
+  renderIcon
+} from '../src/icons.js';
+
+const toDataUri = (svg) => `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+const decodeDataUri = (uri) => Buffer.from(uri.split(',')[1], 'base64').toString('utf8');
+
+describe('Icons', () => {
+  describe('resolveIconName', () => {
+    it('should resolve every supported coin by name and ticker', () => {
+      expect(resolveIconName('bitcoin')).to.equal('bitcoin');
+      expect(resolveIconName('btc')).to.equal('bitcoin');
+      expect(resolveIconName('ETH')).to.equal('ethereum');
+      expect(resolveIconName('sol')).to.equal('solana');
+      expect(resolveIconName('usdc')).to.equal('usdc');
+    });
+
+    it('should resolve generic icons', () => {
+      expect(resolveIconName('heart')).to.equal('heart');
+      expect(resolveIconName('coffee')).to.equal('coffee');
+      expect(resolveIconName('gift')).to.equal('gift');
+    });
+
+    it('should keep the legacy crypto icon', () => {
+      expect(resolveIconName('crypto')).to.equal('bitcoin');
+    });
+
+    it('should return null for unknown icons', () => {
+      expect(resolveIconName('doge')).to.equal(null);
+      expect(resolveIconName(undefined)).to.equal(null);
+    });
+
+    it('should list names and aliases', () => {
+      expect(ICON_NAMES).to.include.members(['bitcoin', 'eth', 'heart']);
+    });
+  });
+
+  describe('getIconColor', () => {
+    it('should return coin brand colors', () => {
+      expect(getIconColor('btc')).to.equal('#f7931a');
+      expect(getIconColor('eth')).to.equal('#627eea');
+      expect(getIconColor('sol')).to.equal('#00ffa3');
+    });
+  });
+
+  describe('renderIcon', () => {
+    it('should render distinct marks for each coin', () => {
+      const options = { x: 8, y: 4, size: 12 };
+      const marks = ['btc', 'eth', 'sol', 'usdc'].map((icon) => renderIcon({ ...options, icon }));
+
+      expect(new Set(marks).size).to.equal(4);
+      expect(marks[1]).to.include('#627eea');
+    });
+
+    it('should scale to the requested size', () => {
+      const svg = renderIcon({ icon: 'heart', x: 0, y: 0, size: 20 });
+
+      expect(svg).to.include('width="20" height="20" viewBox="0 0 12 12"');
+    });
+
+    it('should apply the color override', () => {
+      const svg = renderIcon({ icon: 'heart', color: '#e05d44', x: 0, y: 0, size: 12 });
+
+      expect(svg).to.include('fill="#e05d44"');
+    });
+
+    it('should embed custom logos as images', () => {
+      const svg = renderIcon({ logo: 'data:image/png;base64,AAAA', x: 1, y: 2, size: 14 });
+
+      expect(svg).to.equal(
+        '<image x="1" y="2" width="14" height="14" href="data:image/png;base64,AAAA"/>'
+      );
+    });
+
+    it('should render nothing for unknown icons', () => {
+      expect(renderIcon({ icon: 'doge', x: 0, y: 0, size: 12 })).to.equal('');
+    });
+  });
+
+  describe('validateCustomLogo', () => {
+    it('should accept a plain SVG logo', () => {
+      const logo = '<svg viewBox="0 0 10 10"><circle cx="5" cy="5" r="5"/></svg>';
+      const result = validateCustomLogo(toDataUri(logo));
+
+      expect(result.isValid).to.equal(true);
+      expect(decodeDataUri(result.logo)).to.equal(logo);
+    });
+
+    it('should strip scripts, event handlers and external references', () => {
+      const logo =
+        '<svg onload="alert(1)"><script>alert(2)</script><a href="https://evil.example"><path d="M0 0" style="fill:url(https://evil.example)"/></a><rect fill="url(https://evil.example)"/></svg>';
+      const result = validateCustomLogo(toDataUri(logo));
+      const sanitized = decodeDataUri(result.logo);
+
+      expect(result.isValid).to.equal(true);
+      expect(sanitized).to.not.include('script');
+      expect(sanitized).to.not.include('onload');
+      expect(sanitized).to.not.include('evil.example');
+      expect(sanitized).to.include('<path d="M0 0"/>');
+    });
+
+    it('should restore + characters turned into spaces by query parsing', () => {
+      const uri = toDataUri('<svg><path d="M0 0"/></svg>>>>');
+      const result = validateCustomLogo(uri.replace(/\+/g, ' '));
+
+      expect(result.isValid).to.equal(true);
+    });
+
+    it('should reject logos over the size limit', () => {
+      const logo = `<svg>${' '.repeat(MAX_LOGO_BYTES)}</svg>`;
+      const result = validateCustomLogo(toDataUri(logo));
+
+      expect(result.isValid).to.equal(false);
+      expect(result.error).to.include('too large');
+    });
+
+    it('should reject other data URI types and non-SVG payloads', () => {
+      expect(validateCustomLogo('data:text/html;base64,PGI+').isValid).to.equal(false);
+      expect(validateCustomLogo(toDataUri('<html></html>')).isValid).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,305 @@
+import { expect } from 'chai';
+import { readFile } from 'fs/promises';
+import {
+  toBaseUnits,
+  validateAmount,
+  buildPaymentUri,
+  formatPaymentAmount,
+  getPaymentNetworks,
+  validatePaymentParams,
+  validateRecipientAddress,
+  validateRecipientAddresses
+} from '../src/payment-uri.js';
+
+describe('Payment URIs', () => {
+  const ethAddress = '0x742d35Cc6634C0532925a3b8D4C9db96590c6C8b';
+
+  // index.html loads these straight from src/ on the static site, without a bundler
+  it('should only import browser-safe local modules', async () => {
+    const modules = ['payment-uri.js', 'coins.js', 'address-validator.js', 'hashes.js'];
+
+    for (const name of modules) {
+      const source = await readFile(new URL(`../src/${name}`, import.meta.url), 'utf8');
+      const specifiers = [...source.matchAll(/ from '([^']+)';$/gm)].map(
+        ([, specifier]) => specifier
+      );
+
+      expect(
+        specifiers.every((specifier) => specifier.startsWith('./')),
+        name
+      ).to.equal(true);
+    }
+  });
+
+  describe('toBaseUnits', () => {
+    it('should convert without floating point rounding', () => {
+      expect(toBaseUnits('0.1', 18)).to.equal('100000000000000000');
+      expect(toBaseUnits('1.23', 6)).to.equal('1230000');
+      expect(toBaseUnits('5', 6)).to.equal('5000000');
+    });
+
+    it('should reject amounts more precise than the currency', () => {
+      expect(() => toBaseUnits('0.0000001', 6)).to.throw('more than 6 decimal places');
+    });
+  });
+
+  describe('validateAmount', () => {
+    it('should accept positive decimals', () => {
+      expect(validateAmount('0.001')).to.deep.equal({
+        isValid: true,
+        amount: '0.001',
+        error: null
+      });
+    });
+
+    it('should reject zero, negatives and exponents', () => {
+      expect(validateAmount('0').isValid).to.equal(false);
+      expect(validateAmount('-1').isValid).to.equal(false);
+      expect(validateAmount('1e3').isValid).to.equal(false);
+    });
+  });
+
+  describe('buildPaymentUri', () => {
+    it('should build BIP21 bitcoin URIs', () => {
+      expect(buildPaymentUri({ ticker: 'btc', address: 'bc1qtest', amount: '0.001' })).to.equal(
+        'bitcoin:bc1qtest?amount=0.001'
+      );
+    });
+
+    it('should build EIP-681 ether URIs with the value in wei', () => {
+      expect(buildPaymentUri({ ticker: 'eth', address: ethAddress, amount: '0.05' })).to.equal(
+        `ethereum:${ethAddress}?value=50000000000000000`
+      );
+    });
+
+    it('should build ERC-20 transfer URIs for USDC', () => {
+      expect(buildPaymentUri({ ticker: 'usdc', address: ethAddress, amount: '10' })).to.equal(
+        `ethereum:0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48/transfer?address=${ethAddress}&uint256=10000000`
+      );
+    });
+
+    it('should build Solana URIs', () => {
+      expect(buildPaymentUri({ ticker: 'sol', address: 'So1anaAddress', amount: '1.5' })).to.equal(
+        'solana:So1anaAddress?amount=1.5'
+      );
+    });
+
+    it('should fall back to the default address without an amount', () => {
+      expect(buildPaymentUri({ ticker: 'btc' })).to.equal(
+        'bitcoin:bc1q254klmlgtanf8xez28gy7r0enpyhk88r2499pt'
+      );
+    });
+
+    it('should throw for unknown tickers', () => {
+      expect(() => buildPaymentUri({ ticker: 'doge' })).to.throw('Unknown ticker');
+    });
+
+    it('should percent-encode BIP21 labels and messages', () => {
+      expect(
+        buildPaymentUri({
+          ticker: 'btc',
+          address: 'bc1qtest',
+          amount: '0.001',
+          label: 'Pay Badge',
+          message: 'Coffee & cake'
+        })
+      ).to.equal('bitcoin:bc1qtest?amount=0.001&label=Pay%20Badge&message=Coffee%20%26%20cake');
+    });
+
+    it('should build Solana Pay URIs with label, message and memo', () => {
+      expect(
+        buildPaymentUri({
+          ticker: 'sol',
+          address: 'So1anaAddress',
+          amount: '0.5',
+          label: 'PayBadge',
+          message: 'Thanks!',
+          memo: 'order-42'
+        })
+      ).to.equal('solana:So1anaAddress?amount=0.5&label=PayBadge&message=Thanks!&memo=order-42');
+    });
+
+    it('should build Solana Pay spl-token URIs for USDC on Solana', () => {
+      expect(
+        buildPaymentUri({
+          ticker: 'usdc',
+          network: 'solana',
+          address: 'So1anaAddress',
+          amount: '10'
+        })
+      ).to.equal(
+        'solana:So1anaAddress?amount=10&spl-token=EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'
+      );
+    });
+
+    it('should default to the native coin address on other networks', () => {
+      expect(buildPaymentUri({ ticker: 'usdc', network: 'solana' })).to.equal(
+        'solana:CsTWZTbDryjcb229RQ9b7wny5qytH9jwoJy6Lu98xpeF?spl-token=EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'
+      );
+    });
+
+    it('should leave label and message out of EIP-681 URIs', () => {
+      expect(
+        buildPaymentUri({ ticker: 'eth', address: ethAddress, amount: '1', label: 'PayBadge' })
+      ).to.equal(`ethereum:${ethAddress}?value=1000000000000000000`);
+    });
+
+    it('should reject amounts more precise than the coin', () => {
+      expect(() => buildPaymentUri({ ticker: 'btc', amount: '0.000000001' })).to.throw(
+        'more than 8 decimal places'
+      );
+    });
+
+    it('should reject networks the coin is not on', () => {
+      expect(() => buildPaymentUri({ ticker: 'btc', network: 'solana' })).to.throw(
+        'Supported networks: bitcoin'
+      );
+    });
+  });
+
+  describe('getPaymentNetworks', () => {
+    it('should list the networks with the default first', () => {
+      expect(getPaymentNetworks('usdc')).to.deep.equal(['ethereum', 'solana']);
+      expect(getPaymentNetworks('doge')).to.deep.equal([]);
+    });
+  });
+
+  describe('formatPaymentAmount', () => {
+    it('should round to at most 8 decimals and drop trailing zeros', () => {
+      expect(formatPaymentAmount(0.1 + 0.2, { ticker: 'btc' })).to.equal('0.3');
+      expect(formatPaymentAmount(1 / 3, { ticker: 'eth' })).to.equal('0.33333333');
+      expect(formatPaymentAmount(100, { ticker: 'sol' })).to.equal('100');
+    });
+
+    it('should round to the token decimals', () => {
+      expect(formatPaymentAmount(10 / 3, { ticker: 'usdc' })).to.equal('3.333333');
+    });
+  });
+
+  describe('validatePaymentParams', () => {
+    it('should clean the parameters and build the URI', () => {
+      expect(
+        validatePaymentParams({ ticker: 'USDC', network: 'Solana', amount: ' 5 ', label: ' Shop ' })
+      ).to.deep.equal({
+        isValid: true,
+        params: {
+          ticker: 'usdc',
+          network: 'solana',
+          address: null,
+          amount: '5',
+          label: 'Shop',
+          message: null,
+          memo: null
+        },
+        uri: 'solana:CsTWZTbDryjcb229RQ9b7wny5qytH9jwoJy6Lu98xpeF?amount=5&spl-token=EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v&label=Shop',
+        error: null
+      });
+    });
+
+    it('should default to bitcoin', () => {
+      expect(validatePaymentParams({}).uri).to.equal(
+        'bitcoin:bc1q254klmlgtanf8xez28gy7r0enpyhk88r2499pt'
+      );
+    });
+
+    it('should reject invalid parameters', () => {
+      expect(validatePaymentParams({ ticker: 'doge' }).error).to.include('Unknown ticker');
+      expect(validatePaymentParams({ recipient_address: 'x<y' }).error).to.include(
+        'Invalid BTC address'
+      );
+      expect(validatePaymentParams({ amount: '-1' }).isValid).to.equal(false);
+      expect(validatePaymentParams({ ticker: 'eth', network: 'bitcoin' }).error).to.include(
+        'Invalid network for ETH'
+      );
+      expect(validatePaymentParams({ memo: 'x'.repeat(201) }).error).to.include('Invalid memo');
+      expect(validatePaymentParams({ ticker: 'usdc', amount: '0.0000001' }).error).to.include(
+        'decimal places'
+      );
+    });
+  });
+
+  describe('validateRecipientAddress', () => {
+    it('should validate the address on the coin network', () => {
+      const result = validateRecipientAddress({
+        ticker: 'usdc',
+        address: '0x402282c72a2f2b9f059c3b39fa63932d6aa09f11'
+      });
+
+      expect(result.isValid).to.equal(true);
+      expect(result.ticker).to.equal('usdc');
+      expect(result.network).to.equal('ethereum');
+      expect(result.address).to.equal('0x402282c72a2f2b9f059C3b39Fa63932D6AA09f11');
+    });
+
+    it('should use the requested network', () => {
+      expect(
+        validateRecipientAddress({
+          ticker: 'usdc',
+          network: 'solana',
+          address: 'CsTWZTbDryjcb229RQ9b7wny5qytH9jwoJy6Lu98xpeF'
+        }).isValid
+      ).to.equal(true);
+    });
+
+    it('should name the coin in the error', () => {
+      expect(
+        validateRecipientAddress({
+          ticker: 'eth',
+          address: 'bc1q254klmlgtanf8xez28gy7r0enpyhk88r2499pt'
+        }).error
+      ).to.equal('Invalid ETH address: Expected 0x followed by 40 hex digits.');
+    });
+
+    it('should reject testnet bitcoin addresses', () => {
+      const result = validateRecipientAddress({
+        ticker: 'btc',
+        address: 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx'
+      });
+
+      expect(result.isValid).to.equal(false);
+      expect(result.chain).to.equal('testnet');
+      expect(result.error).to.include('mainnet');
+    });
+  });
+
+  describe('validateRecipientAddresses', () => {
+    it('should accept parameters without custom addresses', () => {
+      expect(validateRecipientAddresses({ leftText: 'donate' }).isValid).to.equal(true);
+    });
+
+    it('should check recipient_address against the ticker', () => {
+      expect(
+        validateRecipientAddresses({
+          ticker: 'sol',
+          recipient_address: 'CsTWZTbDryjcb229RQ9b7wny5qytH9jwoJy6Lu98xpeF'
+        }).isValid
+      ).to.equal(true);
+      expect(
+        validateRecipientAddresses({
+          recipient_address: 'CsTWZTbDryjcb229RQ9b7wny5qytH9jwoJy6Lu98xpeF'
+        }).coin
+      ).to.equal('btc');
+    });
+
+    it('should report the first coin in recipient_addresses with an invalid address', () => {
+      expect(
+        validateRecipientAddresses({
+          tickers: 'btc,eth',
+          recipient_addresses:
+            'btc:bc1q254klmlgtanf8xez28gy7r0enpyhk88r2499pt,eth:0x402282c72a2f2b9f059C3b39Fa63932D6AA09f12'
+        })
+      ).to.deep.equal({
+        isValid: false,
+        coin: 'eth',
+        error: 'Invalid ETH address: EIP-55 checksum mismatch. Check the address for typos.'
+      });
+    });
+
+    it('should reject unknown coins', () => {
+      const result = validateRecipientAddresses({ recipient_addresses: 'doge:D123' });
+
+      expect(result.coin).to.equal('doge');
+      expect(result.error).to.include('Unknown ticker');
+    });
+  });
+});
@@ -0,0 +1,44 @@
+import { expect } from 'chai';
+import { renderPNG } from '../src/png-renderer.js';
+import { generateBadgeSVG } from '../src/badge-generator.js';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Reads the dimensions from a PNG IHDR chunk
+ * @param {Buffer} png - PNG image data
+ * @returns {Object} - { width, height }
+ */
+function pngSize(png) {
+  return { width: png.readUInt32BE(16), height: png.readUInt32BE(20) };
+}
+
+describe('PNG Renderer', () => {
+  describe('renderPNG', () => {
+    // The first render loads the WebAssembly module and fonts
+    const svg = generateBadgeSVG({ leftText: 'donate', rightText: 'bitcoin', icon: 'btc' });
+    const width = Number(svg.match(/width="(\d+)"/)[1]);
+
+    it('should render a PNG the size of the badge', async function () {
+      this.timeout(10000);
+      const png = await renderPNG(svg);
+
+      expect(png.subarray(0, 8).equals(PNG_SIGNATURE)).to.equal(true);
+      expect(pngSize(png)).to.deep.equal({ width, height: 20 });
+    });
+
+    it('should multiply the dimensions by the scale', async function () {
+      this.timeout(10000);
+      const png = await renderPNG(svg, { scale: 3 });
+
+      expect(pngSize(png)).to.deep.equal({ width: width * 3, height: 60 });
+    });
+
+    it('should render scaled badges at their scaled size', async function () {
+      this.timeout(10000);
+      const png = await renderPNG(generateBadgeSVG({ leftText: 'donate', size: 'xl' }));
+
+      expect(pngSize(png).height).to.equal(40);
+    });
+  });
+});
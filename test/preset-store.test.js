@@ -0,0 +1,171 @@
+import { expect } from 'chai';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  isBuiltInPreset,
+  validatePresetName,
+  validatePreset,
+  createMemoryPresetStore,
+  createFilePresetStore,
+  getAllPresets
+} from '../src/preset-store.js';
+
+describe('Preset Store', () => {
+  describe('isBuiltInPreset', () => {
+    it('should match built-in names regardless of case', () => {
+      expect(isBuiltInPreset('bitcoin')).to.equal(true);
+      expect(isBuiltInPreset('MULTICRYPTO')).to.equal(true);
+      expect(isBuiltInPreset('acme')).to.equal(false);
+    });
+  });
+
+  describe('validatePresetName', () => {
+    it('should accept URL-safe names', () => {
+      expect(validatePresetName('acme-sponsor_2').isValid).to.equal(true);
+    });
+
+    it('should reject empty, long and unsafe names', () => {
+      expect(validatePresetName('').isValid).to.equal(false);
+      expect(validatePresetName('a'.repeat(41)).isValid).to.equal(false);
+      expect(validatePresetName('acme.svg').isValid).to.equal(false);
+      expect(validatePresetName('-acme').isValid).to.equal(false);
+    });
+  });
+
+  describe('validatePreset', () => {
+    it('should accept badge and goal presets', () => {
+      expect(
+        validatePreset({ badgeParams: { leftText: 'acme', rightColor: 'bitcoin' } })
+      ).to.deep.equal({
+        isValid: true,
+        preset: {
+          badgeParams: { leftText: 'acme', rightColor: 'bitcoin' },
+          altText: 'Crypto Payment'
+        },
+        error: null
+      });
+      expect(validatePreset({ badgeParams: { goal: 500, raised: 20 } }).isValid).to.equal(true);
+    });
+
+    it('should accept segments as an array', () => {
+      const preset = { badgeParams: { segments: [{ text: 'a' }, { text: 'b' }, { text: 'c' }] } };
+
+      expect(validatePreset(preset).isValid).to.equal(true);
+    });
+
+    it('should reject unknown fields and parameters', () => {
+      expect(validatePreset({ badgeParams: {}, color: 'red' }).error).to.include(
+        'Unknown preset field'
+      );
+      expect(validatePreset({ badgeParams: { href: 'x' } }).error).to.include(
+        'Unknown badge parameter'
+      );
+      expect(validatePreset({ badgeParams: [] }).error).to.include('must be an object');
+      expect(validatePreset({ badgeParams: { leftText: { a: 1 } } }).error).to.include(
+        'Invalid leftText'
+      );
+    });
+
+    it('should reject parameters the badge endpoints would reject', () => {
+      expect(validatePreset({ badgeParams: { leftText: 'x'.repeat(200) } }).error).to.include(
+        'Text too long'
+      );
+      expect(validatePreset({ badgeParams: { goal: 0 } }).error).to.include('Invalid goal');
+      expect(
+        validatePreset({ badgeParams: { ticker: 'btc', recipient_address: 'bc1qnope' } }).error
+      ).to.include('Invalid BTC address');
+      expect(validatePreset({ badgeParams: {}, altText: 42 }).error).to.include('Invalid altText');
+    });
+  });
+
+  describe('createMemoryPresetStore', () => {
+    it('should get, set, list and delete presets', async () => {
+      const store = createMemoryPresetStore({ a: { badgeParams: {} } });
+
+      await store.set('b', { badgeParams: { leftText: 'b' } });
+      expect(Object.keys(await store.list())).to.deep.equal(['a', 'b']);
+      expect(await store.get('b')).to.deep.equal({ badgeParams: { leftText: 'b' } });
+      expect(await store.delete('a')).to.equal(true);
+      expect(await store.delete('a')).to.equal(false);
+      expect(await store.get('a')).to.equal(null);
+    });
+
+    it('should refuse new presets once full but allow replacing one', async () => {
+      const store = createMemoryPresetStore({ a: { badgeParams: {} } }, { maxPresets: 1 });
+
+      expect(await store.set('b', { badgeParams: {} })).to.equal(false);
+      expect(await store.set('a', { badgeParams: { leftText: 'a' } })).to.equal(true);
+      expect(Object.keys(await store.list())).to.deep.equal(['a']);
+    });
+  });
+
+  describe('createFilePresetStore', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'paybadge-presets-'));
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should start empty when the file does not exist', async () => {
+      const store = createFilePresetStore(join(directory, 'missing.json'));
+
+      expect(await store.list()).to.deep.equal({});
+      expect(await store.get('acme')).to.equal(null);
+      expect(await store.delete('acme')).to.equal(false);
+    });
+
+    it('should persist presets as JSON', async () => {
+      const file = join(directory, 'nested', 'presets.json');
+      const store = createFilePresetStore(file);
+
+      await Promise.all([
+        store.set('a', { badgeParams: { leftText: 'a' } }),
+        store.set('b', { badgeParams: { leftText: 'b' } })
+      ]);
+      await store.delete('a');
+
+      expect(JSON.parse(await readFile(file, 'utf8'))).to.deep.equal({
+        b: { badgeParams: { leftText: 'b' } }
+      });
+      expect(await createFilePresetStore(file).get('b')).to.deep.equal({
+        badgeParams: { leftText: 'b' }
+      });
+    });
+
+    it('should refuse new presets once full', async () => {
+      const store = createFilePresetStore(join(directory, 'presets.json'), { maxPresets: 1 });
+
+      const saved = await Promise.all([
+        store.set('a', { badgeParams: {} }),
+        store.set('b', { badgeParams: {} })
+      ]);
+
+      expect(saved).to.deep.equal([true, false]);
+      expect(Object.keys(await store.list())).to.deep.equal(['a']);
+    });
+
+    it('should not treat inherited properties as presets', async () => {
+      const store = createFilePresetStore(join(directory, 'presets.json'));
+
+      expect(await store.get('constructor')).to.equal(null);
+    });
+  });
+
+  describe('getAllPresets', () => {
+    it('should merge custom presets under the built-in ones', async () => {
+      const store = createMemoryPresetStore({
+        acme: { badgeParams: { leftText: 'acme' } },
+        bitcoin: { badgeParams: { leftText: 'shadowed' } }
+      });
+      const presets = await getAllPresets(store);
+
+      expect(presets.acme.badgeParams.leftText).to.equal('acme');
+      expect(presets.bitcoin.badgeParams.rightText).to.equal('bitcoin');
+    });
+  });
+});
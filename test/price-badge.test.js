@@ -0,0 +1,142 @@
+import { expect } from 'chai';
+import { formatPrice, validatePriceParams, generatePriceBadge } from '../src/price-badge.js';
+
+/**
+ * Replaces global fetch with a stub returning the given exchange rate response
+ * @param {Object} options - Stub behaviour
+ * @returns {Array<string>} - URLs requested through the stub
+ */
+function mockFetch({ rate = 104684.262648, ok = true, fail = false, hang = false } = {}) {
+  const calls = [];
+
+  global.fetch = async (url, { signal } = {}) => {
+    calls.push(url);
+
+    if (fail) {
+      throw new Error('network down');
+    }
+
+    // Never answers, like a stalled upstream; only the request's abort signal ends it
+    if (hang) {
+      await new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      });
+    }
+
+    return {
+      ok,
+      status: ok ? 200 : 503,
+      statusText: ok ? 'OK' : 'Service Unavailable',
+      json: async () => ({
+        crypto: 'BTC',
+        fiat: 'USD',
+        rate,
+        timestamp: '2025-06-19T01:19:32.994Z'
+      })
+    };
+  };
+
+  return calls;
+}
+
+describe('Price Badge', () => {
+  const originalFetch = global.fetch;
+  const originalWarn = console.warn;
+  const originalError = console.error;
+
+  beforeEach(() => {
+    console.warn = () => {};
+    console.error = () => {};
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    console.warn = originalWarn;
+    console.error = originalError;
+  });
+
+  describe('formatPrice', () => {
+    it('should drop decimals for large prices', () => {
+      expect(formatPrice(104684.262648, 'USD')).to.equal('$104,684');
+    });
+
+    it('should keep cents for mid-range prices', () => {
+      expect(formatPrice(152.5, 'USD')).to.equal('$152.50');
+    });
+
+    it('should keep significant digits for small prices', () => {
+      expect(formatPrice(0.000123456, 'USD')).to.equal('$0.0001235');
+    });
+
+    it('should use the fiat currency symbol', () => {
+      expect(formatPrice(2500, 'EUR')).to.equal('€2,500');
+      expect(formatPrice(2500, 'GBP')).to.equal('£2,500');
+    });
+  });
+
+  describe('validatePriceParams', () => {
+    it('should normalize valid codes', () => {
+      expect(validatePriceParams('btc', 'usd')).to.include({
+        isValid: true,
+        crypto: 'BTC',
+        fiat: 'USD'
+      });
+    });
+
+    it('should reject malformed codes', () => {
+      expect(validatePriceParams('b<t>c', 'usd').isValid).to.equal(false);
+      expect(validatePriceParams('btc', 'dollars').isValid).to.equal(false);
+    });
+  });
+
+  describe('generatePriceBadge', () => {
+    it('should render the formatted rate', async () => {
+      const calls = mockFetch();
+      const result = await generatePriceBadge({ crypto: 'BTC', fiat: 'USD' });
+
+      expect(calls[0]).to.match(/\/btc\/usd$/);
+      expect(result.available).to.equal(true);
+      expect(result.rate).to.equal(104684.262648);
+      expect(result.svg).to.include('>BTC</text>');
+      expect(result.svg).to.include('>$104,684</text>');
+      expect(result.svg).to.include('fill="#f7931a"');
+    });
+
+    it('should apply badge parameter overrides', async () => {
+      mockFetch();
+      const result = await generatePriceBadge({
+        crypto: 'BTC',
+        fiat: 'USD',
+        badgeParams: { style: 'flat-square', leftText: 'bitcoin' }
+      });
+
+      expect(result.svg).to.include('shape-rendering="crispEdges"');
+      expect(result.svg).to.include('>bitcoin</text>');
+    });
+
+    it('should render an unavailable badge when the API fails', async () => {
+      mockFetch({ ok: false });
+      const result = await generatePriceBadge({ crypto: 'BTC', fiat: 'USD' });
+
+      expect(result.available).to.equal(false);
+      expect(result.svg).to.include('>unavailable</text>');
+      expect(result.svg).to.include('fill="#9f9f9f"');
+    });
+
+    it('should render an unavailable badge when the network is down', async () => {
+      mockFetch({ fail: true });
+      const result = await generatePriceBadge({ crypto: 'ETH', fiat: 'EUR' });
+
+      expect(result.available).to.equal(false);
+      expect(result.svg).to.include('>unavailable</text>');
+    });
+
+    it('should render an unavailable badge when the API does not answer in time', async () => {
+      mockFetch({ hang: true });
+      const result = await generatePriceBadge({ crypto: 'BTC', fiat: 'USD', timeout: 20 });
+
+      expect(result.available).to.equal(false);
+      expect(result.svg).to.include('>unavailable</text>');
+    });
+  });
+});
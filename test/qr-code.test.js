@@ -0,0 +1,103 @@
+import { expect } from 'chai';
+import { QR_DEFAULTS, validateQRParams, generateQRCodeSVG } from '../src/qr-code.js';
+
+describe('QR Code', () => {
+  describe('validateQRParams', () => {
+    it('should default to a bitcoin QR code for the project address', () => {
+      const result = validateQRParams({});
+
+      expect(result.isValid).to.equal(true);
+      expect(result.params).to.deep.equal({
+        text: 'bitcoin:bc1q254klmlgtanf8xez28gy7r0enpyhk88r2499pt',
+        ...QR_DEFAULTS
+      });
+    });
+
+    it('should build the payment URI from ticker, address and amount', () => {
+      const result = validateQRParams({
+        ticker: 'SOL',
+        recipient_address: '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM',
+        amount: '2'
+      });
+
+      expect(result.params.text).to.equal(
+        'solana:9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM?amount=2'
+      );
+    });
+
+    it('should pass label, message and network through to the payment URI', () => {
+      const result = validateQRParams({
+        ticker: 'usdc',
+        network: 'solana',
+        recipient_address: '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM',
+        message: 'Thanks for the coffee'
+      });
+
+      expect(result.params.text).to.equal(
+        'solana:9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM?spl-token=EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v&message=Thanks%20for%20the%20coffee'
+      );
+    });
+
+    it('should normalize colors and options', () => {
+      const result = validateQRParams({
+        errorCorrectionLevel: 'h',
+        margin: '0',
+        size: '512',
+        color: 'bitcoin',
+        background: 'rgba(255, 255, 255, 0)'
+      });
+
+      expect(result.params).to.include({
+        errorCorrectionLevel: 'H',
+        margin: 0,
+        size: 512,
+        color: '#f7931a',
+        background: '#ffffff00'
+      });
+    });
+
+    it('should reject unknown tickers', () => {
+      const result = validateQRParams({ ticker: 'doge' });
+
+      expect(result.isValid).to.equal(false);
+      expect(result.error).to.include('Unknown ticker: doge');
+    });
+
+    it('should reject malformed addresses and amounts', () => {
+      expect(validateQRParams({ recipient_address: 'bc1q<script>' }).isValid).to.equal(false);
+      expect(validateQRParams({ amount: '-1' }).isValid).to.equal(false);
+      expect(validateQRParams({ ticker: 'usdc', amount: '0.0000001' }).isValid).to.equal(false);
+    });
+
+    it('should reject out-of-range options', () => {
+      expect(validateQRParams({ errorCorrectionLevel: 'X' }).isValid).to.equal(false);
+      expect(validateQRParams({ margin: '40' }).isValid).to.equal(false);
+      expect(validateQRParams({ size: '5000' }).isValid).to.equal(false);
+      expect(validateQRParams({ color: 'notacolor' }).isValid).to.equal(false);
+    });
+  });
+
+  describe('generateQRCodeSVG', () => {
+    it('should render an SVG of the requested size and colors', async () => {
+      const svg = await generateQRCodeSVG('bitcoin:bc1qtest', {
+        size: 256,
+        color: '#f7931a',
+        background: '#ffffff'
+      });
+
+      expect(svg).to.match(/^<svg/);
+      expect(svg).to.include('width="256" height="256"');
+      expect(svg).to.include('stroke="#f7931a"');
+      expect(svg).to.include('fill="#ffffff"');
+    });
+
+    it('should grow with the error correction level', async () => {
+      const text = 'bitcoin:bc1q254klmlgtanf8xez28gy7r0enpyhk88r2499pt?amount=0.001';
+      const low = await generateQRCodeSVG(text, { errorCorrectionLevel: 'L', margin: 0 });
+      const high = await generateQRCodeSVG(text, { errorCorrectionLevel: 'H', margin: 0 });
+      const modules = (svg) => Number(svg.match(/viewBox="0 0 (\d+)/)[1]);
+
+      expect(modules(high)).to.be.greaterThan(modules(low));
+    });
+  });
+});
@@ -0,0 +1,151 @@
+import { expect } from 'chai';
+import {
+  validateReadmeConfig,
+  buildReadmeBlock,
+  injectReadmeBlock,
+  updateReadme,
+  DEFAULT_BASE_URL
+} from '../src/readme-badges.js';
+
+describe('README Badges', () => {
+  const config = {
+    badges: [
+      { preset: 'bitcoin', linkUrl: 'https://example.com/btc' },
+      { badgeParams: { leftText: 'sponsor' }, linkUrl: 'https://example.com', altText: 'Sponsor' }
+    ]
+  };
+  const readme =
+    '# Project\n\n<!-- paybadge:start -->\nold badges\n<!-- paybadge:end -->\n\nText\n';
+
+  describe('validateReadmeConfig', () => {
+    it('should apply defaults', () => {
+      const result = validateReadmeConfig({ ...config, baseUrl: 'https://badges.example.com/' });
+
+      expect(result.isValid).to.equal(true);
+      expect(result.config).to.include({
+        baseUrl: 'https://badges.example.com',
+        format: 'markdown',
+        layout: 'inline'
+      });
+    });
+
+    it('should reject malformed configs', () => {
+      expect(validateReadmeConfig(null).isValid).to.equal(false);
+      expect(validateReadmeConfig([]).isValid).to.equal(false);
+      expect(validateReadmeConfig({ badges: [] }).error).to.include('non-empty array');
+      expect(validateReadmeConfig({ ...config, theme: 'dark' }).error).to.include(
+        'Unknown config field: theme'
+      );
+      expect(validateReadmeConfig({ ...config, baseUrl: 'ftp://x' }).error).to.include(
+        'Invalid baseUrl'
+      );
+      expect(validateReadmeConfig({ ...config, layout: 'grid' }).isValid).to.equal(false);
+    });
+  });
+
+  describe('buildReadmeBlock', () => {
+    it('should build an inline row on the default service', () => {
+      const block = buildReadmeBlock(config);
+
+      expect(block).to.match(
+        new RegExp(`^\\[!\\[Bitcoin Payment\\]\\(${DEFAULT_BASE_URL}/badge\\.svg\\?`)
+      );
+      expect(block).to.include(`) [![Sponsor](${DEFAULT_BASE_URL}/badge.svg?leftText=sponsor)]`);
+      expect(block).to.not.include('\n');
+    });
+
+    it('should prefer the config baseUrl over the option', () => {
+      const block = buildReadmeBlock(
+        { ...config, baseUrl: 'https://badges.example.com' },
+        { baseUrl: 'http://localhost:3000' }
+      );
+
+      expect(block).to.include('https://badges.example.com/badge.svg');
+      expect(block).to.not.include('localhost');
+    });
+
+    it('should fail on any invalid badge', () => {
+      expect(() =>
+        buildReadmeBlock({
+          badges: [...config.badges, { preset: 'nope', linkUrl: 'https://example.com' }]
+        })
+      ).to.throw('Badge 3: Unknown preset: nope');
+    });
+
+    it('should use the given presets', () => {
+      const presets = { acme: { badgeParams: { leftText: 'acme' }, altText: 'ACME' } };
+      const block = buildReadmeBlock(
+        { badges: [{ preset: 'acme', linkUrl: 'https://example.com' }] },
+        { presets }
+      );
+
+      expect(block).to.equal(
+        `[![ACME](${DEFAULT_BASE_URL}/badge.svg?leftText=acme)](https://example.com)`
+      );
+    });
+  });
+
+  describe('injectReadmeBlock', () => {
+    it('should replace the content between the markers', () => {
+      const result = injectReadmeBlock(readme, 'new badges');
+
+      expect(result).to.deep.equal({
+        content:
+          '# Project\n\n<!-- paybadge:start -->\nnew badges\n<!-- paybadge:end -->\n\nText\n',
+        changed: true,
+        markers: 1
+      });
+    });
+
+    it('should be idempotent', () => {
+      const { content } = injectReadmeBlock(readme, 'new badges');
+      const again = injectReadmeBlock(content, 'new badges');
+
+      expect(again.content).to.equal(content);
+      expect(again.changed).to.equal(false);
+    });
+
+    it('should fill empty and repeated marker pairs, keeping the marker text', () => {
+      const text =
+        '<!--paybadge:start--><!--paybadge:end-->\n\n<!-- paybadge:start -->x<!-- paybadge:end -->';
+      const result = injectReadmeBlock(text, 'b');
+
+      expect(result.markers).to.equal(2);
+      expect(result.content).to.equal(
+        '<!--paybadge:start-->\nb\n<!--paybadge:end-->\n\n<!-- paybadge:start -->\nb\n<!-- paybadge:end -->'
+      );
+    });
+
+    it('should keep Windows line endings', () => {
+      const text = 'a\r\n<!-- paybadge:start -->\r\n<!-- paybadge:end -->\r\n';
+
+      expect(injectReadmeBlock(text, 'one\ntwo').content).to.equal(
+        'a\r\n<!-- paybadge:start -->\r\none\r\ntwo\r\n<!-- paybadge:end -->\r\n'
+      );
+    });
+
+    it('should reject missing and unbalanced markers', () => {
+      expect(() => injectReadmeBlock('# Project\n', 'b')).to.throw(
+        'No <!-- paybadge:start --> marker'
+      );
+      expect(() => injectReadmeBlock('<!-- paybadge:start -->\n', 'b')).to.throw('Unbalanced');
+      expect(() =>
+        injectReadmeBlock(
+          '<!-- paybadge:start --><!-- paybadge:start --><!-- paybadge:end --><!-- paybadge:end -->',
+          'b'
+        )
+      ).to.throw('Unbalanced');
+    });
+  });
+
+  describe('updateReadme', () => {
+    it('should generate and inject the block in one step', () => {
+      const first = updateReadme(readme, config);
+      const second = updateReadme(first.content, config);
+
+      expect(first.changed).to.equal(true);
+      expect(first.content).to.include('[![Sponsor]');
+      expect(second.changed).to.equal(false);
+    });
+  });
+});
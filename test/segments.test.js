@@ -0,0 +1,79 @@
+import { expect } from 'chai';
+import { MAX_SEGMENTS, parseSegments, formatSegments } from '../src/segments.js';
+
+describe('Badge Segments', () => {
+  describe('parseSegments', () => {
+    it('should parse the compact text:color:icon form', () => {
+      const result = parseSegments('donate, BTC:bitcoin:btc,$5/mo:blue');
+
+      expect(result.isValid).to.equal(true);
+      expect(result.segments).to.deep.equal([
+        { text: 'donate', color: '', darkColor: '', icon: '' },
+        { text: 'BTC', color: 'bitcoin', darkColor: '', icon: 'btc' },
+        { text: '$5/mo', color: 'blue', darkColor: '', icon: '' }
+      ]);
+    });
+
+    it('should parse the JSON form', () => {
+      const result = parseSegments(
+        '[{"text":"a, b: c","color":"555","darkColor":"222"},{"text":"ok"}]'
+      );
+
+      expect(result.segments[0]).to.deep.equal({
+        text: 'a, b: c',
+        color: '555',
+        darkColor: '222',
+        icon: ''
+      });
+    });
+
+    it('should accept arrays of objects', () => {
+      expect(parseSegments([{ text: 'a' }, { text: 'b', icon: 'eth' }]).segments[1].icon).to.equal(
+        'eth'
+      );
+    });
+
+    it('should reject malformed JSON and non-objects', () => {
+      expect(parseSegments('[{"text":').error).to.include('Malformed JSON');
+      expect(parseSegments('["a","b"]').isValid).to.equal(false);
+    });
+
+    it('should require between 2 and MAX_SEGMENTS segments', () => {
+      expect(parseSegments('only').isValid).to.equal(false);
+      expect(
+        parseSegments(
+          Array(MAX_SEGMENTS + 1)
+            .fill('x')
+            .join(',')
+        ).isValid
+      ).to.equal(false);
+      expect(parseSegments(Array(MAX_SEGMENTS).fill('x').join(',')).isValid).to.equal(true);
+    });
+  });
+
+  describe('formatSegments', () => {
+    it('should use the compact form when possible', () => {
+      expect(
+        formatSegments([
+          { text: 'donate' },
+          { text: 'BTC', color: 'bitcoin', icon: 'btc' },
+          { text: 'x', icon: 'eth' }
+        ])
+      ).to.equal('donate,BTC:bitcoin:btc,x::eth');
+    });
+
+    it('should fall back to JSON for texts with separators or dark colors', () => {
+      const segments = [{ text: 'a, b' }, { text: 'c', darkColor: '222' }];
+
+      expect(formatSegments(segments)).to.equal(JSON.stringify(segments));
+      expect(formatSegments([{ text: 'a' }, { text: 'c', darkColor: '222' }])).to.match(/^\[/);
+    });
+
+    it('should round-trip through parseSegments', () => {
+      const segments = [{ text: 'support' }, { text: '$5/mo', color: 'blue' }, { text: 'crypto' }];
+      const parsed = parseSegments(formatSegments(segments)).segments;
+
+      expect(parsed.map((segment) => segment.text)).to.deep.equal(['support', '$5/mo', 'crypto']);
+    });
+  });
+});
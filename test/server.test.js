@@ -1,5 +1,7 @@
 import { expect } from 'chai';
+import http from 'http';
 import { createApp } from '../src/server.js';
+import { createMemoryPresetStore } from '../src/preset-store.js';
 
 describe('Badge Server (Hono)', () => {
   let app;
@@ -45,6 +47,16 @@ describe('Badge Server (Hono)', () => {
       expect(text).to.include('#007bff');
     });
 
+    it('should accept named colors and hex without #', async () => {
+      const req = new Request('http://localhost/badge.svg?leftColor=333&rightColor=bitcoin');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      const text = await res.text();
+      expect(text).to.include('fill="#333"');
+      expect(text).to.include('fill="#f7931a"');
+    });
+
     it('should sanitize malicious input', async () => {
       const req = new Request('http://localhost/badge.svg?leftText=%3Cscript%3Ealert%28%22xss%22%29%3C%2Fscript%3E');
       const res = await app.fetch(req);
@@ -55,6 +67,90 @@ describe('Badge Server (Hono)', () => {
       expect(text).to.not.include('alert');
     });
 
+    it('should render multi-segment badges', async () => {
+      const req = new Request('http://localhost/badge.svg?segments=donate,BTC:bitcoin:btc,ETH:ethereum:eth,SOL:solana');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      const text = await res.text();
+      expect(text).to.include('<title>donate: BTC | ETH | SOL</title>');
+      expect(text).to.include('fill="#00ffa3"');
+    });
+
+    it('should reject invalid segments', async () => {
+      const req = new Request('http://localhost/badge.svg?segments=%5B%7B');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(400);
+    });
+
+    it('should embed dark mode overrides for theme=auto', async () => {
+      const req = new Request('http://localhost/badge-crypto.svg?theme=auto&darkLeftColor=222');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      const text = await res.text();
+      expect(text).to.include('@media (prefers-color-scheme: dark)');
+      expect(text).to.match(/\.pb-[0-9a-f]{8}-s0\{fill:#222\}/);
+    });
+
+    it('should reject unknown themes', async () => {
+      const req = new Request('http://localhost/badge.svg?theme=sepia');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(400);
+      const json = await res.json();
+      expect(json.error).to.include('Invalid theme');
+    });
+
+    it('should keep and escape ampersands and quotes', async () => {
+      const req = new Request("http://localhost/badge.svg?leftText=Tom%20%26%20Jerry&rightText=don't");
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      const text = await res.text();
+      expect(text).to.include('>Tom &amp; Jerry</text>');
+      expect(text).to.include('>don&apos;t</text>');
+    });
+
+    it('should render the requested style', async () => {
+      const req = new Request('http://localhost/badge.svg?style=for-the-badge&leftText=donate');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      const text = await res.text();
+      expect(text).to.include('height="28"');
+      expect(text).to.include('DONATE');
+    });
+
+    it('should reject unknown styles', async () => {
+      const req = new Request('http://localhost/badge.svg?style=neon');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(400);
+      const json = await res.json();
+      expect(json.error).to.include('Unknown style');
+    });
+
+    it('should render coin icons for tickers', async () => {
+      const req = new Request('http://localhost/badge.svg?tickers=btc,eth,sol,usdc');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      const text = await res.text();
+      expect(text).to.include('aria-label="paybadge: BTC, ETH, SOL, USDC"');
+      expect(text).to.include('fill="#627eea"');
+    });
+
+    it('should reject unknown tickers', async () => {
+      const req = new Request('http://localhost/badge.svg?tickers=btc,doge');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(400);
+      const json = await res.json();
+      expect(json.error).to.include('Unknown ticker: doge');
+    });
+
     it('should reject excessively long parameters', async () => {
       const longText = 'a'.repeat(100);
       const req = new Request(`http://localhost/badge.svg?leftText=${longText}`);
@@ -64,6 +160,34 @@ describe('Badge Server (Hono)', () => {
       const json = await res.json();
       expect(json).to.have.property('error');
     });
+
+    it('should scale the badge with size', async () => {
+      const req = new Request('http://localhost/badge.svg?leftText=donate&size=large');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      const text = await res.text();
+      expect(text).to.include('height="28"');
+    });
+
+    it('should reject unknown sizes', async () => {
+      const req = new Request('http://localhost/badge.svg?size=huge');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(400);
+      const json = await res.json();
+      expect(json.error).to.include('Invalid size');
+    });
+
+    it('should return namespace-free SVG with inline=true', async () => {
+      const req = new Request('http://localhost/badge.svg?leftText=donate&inline=true');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      const text = await res.text();
+      expect(text).to.match(/^<svg width=/);
+      expect(text).to.not.include('xmlns');
+    });
   });
 
   describe('GET /badge-crypto.svg', () => {
@@ -78,6 +202,500 @@ describe('Badge Server (Hono)', () => {
       expect(text).to.include('<svg');
       expect(text).to.include('crypto');
     });
+
+    it('should render the Ethereum mark for icon=eth', async () => {
+      const req = new Request('http://localhost/badge-crypto.svg?icon=eth');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      const text = await res.text();
+      expect(text).to.include('fill="#627eea"');
+    });
+
+    it('should render the icon without overlapping the label', async () => {
+      const req = new Request('http://localhost/badge-crypto.svg');
+      const res = await app.fetch(req);
+
+      const text = await res.text();
+      const iconX = Number(text.match(/<svg x="([\d.]+)"/)[1]);
+      const labelX = Number(text.match(/<text x="([\d.]+)"[^>]*>paybadge</)[1]);
+      expect(iconX + 12).to.be.below(labelX - 26);
+    });
+
+    it('should reject unknown icons', async () => {
+      const req = new Request('http://localhost/badge-crypto.svg?icon=doge');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(400);
+    });
+  });
+
+  describe('GET /badge.png', () => {
+    it('should return a PNG badge', async function () {
+      this.timeout(10000);
+      const req = new Request('http://localhost/badge.png?leftText=donate&rightText=bitcoin&scale=2');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      expect(res.headers.get('content-type')).to.equal('image/png');
+      expect(res.headers.get('cache-control')).to.equal('public, max-age=3600, s-maxage=3600');
+      const png = Buffer.from(await res.arrayBuffer());
+      expect(png.readUInt32BE(20)).to.equal(40);
+    });
+
+    it('should return a PNG enhanced badge', async function () {
+      this.timeout(10000);
+      const req = new Request('http://localhost/badge-crypto.png');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      expect(res.headers.get('content-type')).to.equal('image/png');
+    });
+
+    it('should ignore inline=true', async function () {
+      this.timeout(10000);
+      const req = new Request('http://localhost/badge.png?inline=true');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      expect(res.headers.get('content-type')).to.equal('image/png');
+    });
+
+    it('should reject unsupported scales', async () => {
+      const req = new Request('http://localhost/badge.png?scale=10');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(400);
+      const json = await res.json();
+      expect(json.error).to.include('Invalid scale');
+    });
+  });
+
+  describe('GET /qr.svg', () => {
+    it('should render a payment QR code', async () => {
+      const req = new Request('http://localhost/qr.svg?ticker=btc&amount=0.001&size=300');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      expect(res.headers.get('content-type')).to.equal('image/svg+xml');
+      const text = await res.text();
+      expect(text).to.include('<svg');
+      expect(text).to.include('width="300"');
+    });
+
+    it('should return 400 for invalid QR parameters', async () => {
+      const req = new Request('http://localhost/qr.svg?ticker=doge');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(400);
+      const json = await res.json();
+      expect(json.error).to.include('Unknown ticker');
+    });
+  });
+
+  describe('GET /validate-address', () => {
+    it('should report a valid address with its details', async () => {
+      const res = await app.fetch(
+        new Request('http://localhost/validate-address?ticker=btc&address=3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy')
+      );
+
+      expect(res.status).to.equal(200);
+      const json = await res.json();
+      expect(json.isValid).to.equal(true);
+      expect(json.network).to.equal('bitcoin');
+      expect(json.chain).to.equal('mainnet');
+      expect(json.type).to.equal('p2sh');
+    });
+
+    it('should report why an address is invalid', async () => {
+      const res = await app.fetch(
+        new Request('http://localhost/validate-address?ticker=sol&address=0x402282c72a2f2b9f059C3b39Fa63932D6AA09f11')
+      );
+
+      expect(res.status).to.equal(200);
+      const json = await res.json();
+      expect(json.isValid).to.equal(false);
+      expect(json.error).to.include('Invalid SOL address');
+    });
+
+    it('should return 400 without an address', async () => {
+      const res = await app.fetch(new Request('http://localhost/validate-address?ticker=btc'));
+
+      expect(res.status).to.equal(400);
+    });
+  });
+
+  describe('Recipient address validation', () => {
+    const post = (path, body) =>
+      app.fetch(new Request(`http://localhost${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      }));
+
+    it('should return 400 with the failing coin from /generate-code', async () => {
+      const res = await post('/generate-code', {
+        linkUrl: 'https://example.com',
+        badgeParams: {
+          tickers: 'btc,sol',
+          recipient_addresses: 'btc:bc1q254klmlgtanf8xez28gy7r0enpyhk88r2499pt,sol:So1anaAddress'
+        }
+      });
+
+      expect(res.status).to.equal(400);
+      const json = await res.json();
+      expect(json.coin).to.equal('sol');
+      expect(json.error).to.include('Invalid SOL address');
+      expect(json.message).to.equal('Invalid recipient address');
+    });
+
+    it('should check addresses on every code route', async () => {
+      const badAddress = '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb';
+      const responses = await Promise.all([
+        post('/generate-all-formats', {
+          linkUrl: 'https://example.com',
+          badgeParams: { ticker: 'btc', recipient_address: badAddress }
+        }),
+        post('/generate-qr-code', { qrParams: { ticker: 'btc', recipient_address: badAddress } }),
+        app.fetch(new Request(`http://localhost/preset/bitcoin?recipient_address=${badAddress}`))
+      ]);
+
+      expect(responses.map((res) => res.status)).to.deep.equal([400, 400, 400]);
+      const bodies = await Promise.all(responses.map((res) => res.json()));
+      expect(bodies.map((body) => body.coin)).to.deep.equal(['btc', 'btc', 'btc']);
+    });
+
+    it('should accept valid addresses', async () => {
+      const res = await post('/generate-code', {
+        linkUrl: 'https://example.com',
+        badgeParams: {
+          ticker: 'eth',
+          recipient_address: '0x402282c72a2f2b9f059C3b39Fa63932D6AA09f11'
+        }
+      });
+
+      expect(res.status).to.equal(200);
+    });
+  });
+
+  describe('GET /payment-uri', () => {
+    it('should return the wallet URI and the cleaned parameters', async () => {
+      const req = new Request(
+        'http://localhost/payment-uri?ticker=btc&amount=0.001&label=PayBadge&message=Thank%20you'
+      );
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      const json = await res.json();
+      expect(json.uri).to.equal(
+        'bitcoin:bc1q254klmlgtanf8xez28gy7r0enpyhk88r2499pt?amount=0.001&label=PayBadge&message=Thank%20you'
+      );
+      expect(json.ticker).to.equal('btc');
+      expect(json.network).to.equal('bitcoin');
+    });
+
+    it('should build ERC-20 transfers for USDC', async () => {
+      const res = await app.fetch(new Request('http://localhost/payment-uri?ticker=usdc&amount=10'));
+      const json = await res.json();
+
+      expect(json.uri).to.match(/^ethereum:0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48\/transfer\?address=0x[0-9a-fA-F]{40}&uint256=10000000$/);
+    });
+
+    it('should return 400 for unsupported networks', async () => {
+      const res = await app.fetch(new Request('http://localhost/payment-uri?ticker=sol&network=ethereum'));
+
+      expect(res.status).to.equal(400);
+      const json = await res.json();
+      expect(json.error).to.include('Invalid network for SOL');
+      expect(json.message).to.equal('Invalid payment parameters');
+    });
+  });
+
+  describe('POST /generate-qr-code', () => {
+    it('should generate QR code embed code', async () => {
+      const req = new Request('http://localhost/generate-qr-code', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          baseUrl: 'https://paybadge.example.com',
+          qrParams: { ticker: 'eth', amount: '0.05' }
+        })
+      });
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      const json = await res.json();
+      expect(json.qrUrl).to.equal('https://paybadge.example.com/qr.svg?ticker=eth&amount=0.05');
+      expect(json.code).to.include('[![Scan to pay]');
+    });
+
+    it('should reject invalid QR parameters', async () => {
+      const req = new Request('http://localhost/generate-qr-code', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ qrParams: { size: 10 } })
+      });
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(400);
+    });
+
+    it('should reject malformed JSON with a 400', async () => {
+      const res = await app.fetch(new Request('http://localhost/generate-qr-code', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"qrParams": '
+      }));
+
+      expect(res.status).to.equal(400);
+      expect(await res.json()).to.deep.equal({
+        error: 'Request body must be JSON',
+        message: 'Invalid QR code request'
+      });
+    });
+  });
+
+  describe('GET /badge/{label}-{message}-{color}.svg', () => {
+    it('should render a shields-style path badge', async () => {
+      const req = new Request('http://localhost/badge/donate-bitcoin-f7931a.svg');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      expect(res.headers.get('content-type')).to.equal('image/svg+xml');
+      const text = await res.text();
+      expect(text).to.include('<title>donate: bitcoin</title>');
+      expect(text).to.include('fill="#f7931a"');
+    });
+
+    it('should decode escapes and apply the query', async () => {
+      const req = new Request('http://localhost/badge/pay--badge-buy_me_a_coffee-orange.svg?labelColor=222&style=flat-square');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      const text = await res.text();
+      expect(text).to.include('<title>pay-badge: buy me a coffee</title>');
+      expect(text).to.include('fill="#222"');
+      expect(text).to.include('shape-rendering="crispEdges"');
+    });
+
+    it('should render message-color paths without a label', async () => {
+      const res = await app.fetch(new Request('http://localhost/badge/bitcoin-f7931a.svg'));
+
+      expect(res.status).to.equal(200);
+      const text = await res.text();
+      expect(text).to.include('<title>bitcoin</title>');
+      expect(text).to.not.include('paybadge');
+    });
+
+    it('should render path badges as PNG', async function () {
+      this.timeout(10000);
+      const req = new Request('http://localhost/badge/donate-bitcoin-orange.png');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      expect(res.headers.get('content-type')).to.equal('image/png');
+    });
+
+    it('should leave the goal and price badges alone', async () => {
+      const res = await app.fetch(new Request('http://localhost/badge/goal.svg?goal=100'));
+
+      expect(res.status).to.equal(200);
+      expect(await res.text()).to.include('$0 / $100');
+    });
+
+    it('should reject malformed paths', async () => {
+      const req = new Request('http://localhost/badge/a-b-c-d.svg');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(400);
+      const json = await res.json();
+      expect(json.error).to.include('label-message-color');
+    });
+  });
+
+  describe('GET /endpoint.svg', () => {
+    const originalWarn = console.warn;
+    // The stand-in listens on loopback, which endpoint badges refuse by default
+    const localApp = createApp({
+      presetStore: createMemoryPresetStore(),
+      allowPrivateNetworks: true
+    });
+    let server;
+    let baseUrl;
+
+    before(async () => {
+      server = http.createServer((req, res) => {
+        const body = req.url === '/badge.json'
+          ? { schemaVersion: 1, label: 'raised', message: '$420', color: 'orange', cacheSeconds: 900 }
+          : { label: 'no schema' };
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+      server.close();
+    });
+
+    beforeEach(() => {
+      console.warn = () => {};
+    });
+
+    afterEach(() => {
+      console.warn = originalWarn;
+    });
+
+    it('should render the badge described by the JSON document', async () => {
+      const url = encodeURIComponent(`${baseUrl}/badge.json`);
+      const res = await localApp.fetch(new Request(`http://localhost/endpoint.svg?url=${url}&style=plastic`));
+
+      expect(res.status).to.equal(200);
+      expect(res.headers.get('cache-control')).to.equal('public, max-age=900, s-maxage=900');
+      const text = await res.text();
+      expect(text).to.include('<title>raised: $420</title>');
+      expect(text).to.include('fill="#fe7d37"');
+      expect(text).to.include('stop-color="#aaa"');
+    });
+
+    it('should render an error badge for invalid documents', async () => {
+      const url = encodeURIComponent(`${baseUrl}/other.json`);
+      const res = await localApp.fetch(new Request(`http://localhost/endpoint.svg?url=${url}`));
+
+      expect(res.status).to.equal(200);
+      expect(res.headers.get('cache-control')).to.equal('public, max-age=60, s-maxage=60');
+      expect(await res.text()).to.include('<title>custom badge: invalid</title>');
+    });
+
+    it('should refuse private network hosts by default', async () => {
+      const url = encodeURIComponent(`${baseUrl}/badge.json`);
+      const res = await app.fetch(new Request(`http://localhost/endpoint.svg?url=${url}`));
+
+      expect(res.status).to.equal(400);
+      expect((await res.json()).error).to.include('Private network');
+    });
+
+    it('should require an http(s) url', async () => {
+      const res = await app.fetch(new Request('http://localhost/endpoint.svg?url=file:///etc/passwd'));
+
+      expect(res.status).to.equal(400);
+      const json = await res.json();
+      expect(json.error).to.include('Invalid url');
+    });
+  });
+
+  describe('GET /badge.json', () => {
+    it('should return the badge in the shields endpoint schema', async () => {
+      const req = new Request('http://localhost/badge.json?leftText=donate&rightText=bitcoin&rightColor=bitcoin');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      const json = await res.json();
+      expect(json).to.include({
+        schemaVersion: 1,
+        label: 'donate',
+        message: 'bitcoin',
+        color: '#f7931a'
+      });
+    });
+
+    it('should reject invalid badge parameters', async () => {
+      const res = await app.fetch(new Request('http://localhost/badge.json?style=neon'));
+
+      expect(res.status).to.equal(400);
+    });
+  });
+
+  describe('GET /badge/goal.svg', () => {
+    it('should render a goal progress badge', async () => {
+      const req = new Request('http://localhost/badge/goal.svg?raised=420&goal=1000&currency=USD&label=hosting');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      expect(res.headers.get('content-type')).to.equal('image/svg+xml');
+      const text = await res.text();
+      expect(text).to.include('$420 / $1,000 (42%)');
+      expect(text).to.include('hosting');
+    });
+
+    it('should accept the badge size', async () => {
+      const req = new Request('http://localhost/badge/goal.svg?raised=420&goal=1000&size=xl');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      const text = await res.text();
+      expect(text).to.include('height="40"');
+    });
+
+    it('should return 400 without a goal', async () => {
+      const req = new Request('http://localhost/badge/goal.svg?raised=420');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(400);
+      const json = await res.json();
+      expect(json.error).to.include('goal');
+    });
+  });
+
+  describe('GET /badge/price/:crypto/:fiat.svg', () => {
+    const originalFetch = global.fetch;
+    const originalWarn = console.warn;
+    const originalError = console.error;
+
+    beforeEach(() => {
+      console.warn = () => {};
+      console.error = () => {};
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+      console.warn = originalWarn;
+      console.error = originalError;
+    });
+
+    it('should render the live price with a short cache', async () => {
+      global.fetch = async () => ({
+        ok: true,
+        json: async () => ({
+          crypto: 'BTC',
+          fiat: 'USD',
+          rate: 104684.262648,
+          timestamp: '2025-06-19T01:19:32.994Z'
+        })
+      });
+
+      const req = new Request('http://localhost/badge/price/btc/usd.svg');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      expect(res.headers.get('content-type')).to.equal('image/svg+xml');
+      expect(res.headers.get('cache-control')).to.include('max-age=300');
+      const text = await res.text();
+      expect(text).to.include('$104,684');
+    });
+
+    it('should render an unavailable badge instead of a 500 when upstream fails', async () => {
+      global.fetch = async () => {
+        throw new Error('network down');
+      };
+
+      const req = new Request('http://localhost/badge/price/btc/usd.svg');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      expect(res.headers.get('content-type')).to.equal('image/svg+xml');
+      expect(res.headers.get('cache-control')).to.include('max-age=60');
+      const text = await res.text();
+      expect(text).to.include('unavailable');
+    });
+
+    it('should reject invalid fiat codes', async () => {
+      const req = new Request('http://localhost/badge/price/btc/dollars.svg');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(400);
+    });
   });
 
   describe('GET /health', () => {
@@ -106,6 +724,15 @@ describe('Badge Server (Hono)', () => {
       expect(json).to.have.property('codeGenerationParameters');
       expect(json).to.have.property('examples');
     });
+
+    it('should document every code format', async () => {
+      const res = await app.fetch(new Request('http://localhost/api'));
+      const json = await res.json();
+
+      expect(Object.keys(json.codeFormats)).to.deep.equal([
+        'markdown', 'html', 'rst', 'asciidoc', 'bbcode', 'org', 'react', 'vue', 'svelte'
+      ]);
+    });
   });
 
   describe('GET /presets', () => {
@@ -168,6 +795,57 @@ describe('Badge Server (Hono)', () => {
       expect(json.code).to.include('alt="Support Project"');
     });
 
+    it('should generate reStructuredText code', async () => {
+      const req = new Request('http://localhost/generate-code', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          badgeParams: { leftText: 'donate' },
+          linkUrl: 'https://example.com',
+          format: 'rst'
+        })
+      });
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      const json = await res.json();
+      expect(json).to.have.property('format', 'rst');
+      expect(json.code).to.match(/^\.\. image:: \S+\/badge\.svg\?leftText=donate\n   :alt: /);
+    });
+
+    it('should reject javascript: links', async () => {
+      const req = new Request('http://localhost/generate-code', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          linkUrl: 'javascript:alert(document.cookie)',
+          format: 'html'
+        })
+      });
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(400);
+      const json = await res.json();
+      expect(json.error).to.include('Invalid linkUrl scheme: javascript');
+    });
+
+    it('should reject unknown formats with the supported list', async () => {
+      const req = new Request('http://localhost/generate-code', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          linkUrl: 'https://example.com',
+          format: 'textile'
+        })
+      });
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(400);
+      const json = await res.json();
+      expect(json.error).to.include('Unknown format: textile');
+      expect(json.supportedFormats).to.include.members(['markdown', 'rst', 'bbcode', 'svelte']);
+    });
+
     it('should require linkUrl parameter', async () => {
       const req = new Request('http://localhost/generate-code', {
         method: 'POST',
@@ -205,6 +883,189 @@ describe('Badge Server (Hono)', () => {
       expect(json.html).to.have.property('format', 'html');
       expect(json.markdown.code).to.include('[![');
       expect(json.html.code).to.include('<a href=');
+      expect(json.picture.code).to.include('<picture>');
+      expect(json.picture.darkUrl).to.include('theme=dark');
+      expect(json.asciidoc.code).to.include('image:');
+      expect(json.vue.code).to.include('<template>');
+    });
+  });
+
+  describe('POST /generate-batch', () => {
+    const post = (body, batchApp = app) =>
+      batchApp.fetch(new Request('http://localhost/generate-batch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      }));
+
+    it('should generate every badge and assemble the block', async () => {
+      const res = await post({
+        baseUrl: 'https://badges.example.com',
+        layout: 'center',
+        badges: [
+          { preset: 'ethereum', linkUrl: 'https://example.com/eth' },
+          { badgeParams: { leftText: 'sponsor' }, linkUrl: 'https://example.com' }
+        ]
+      });
+      const json = await res.json();
+
+      expect(res.status).to.equal(200);
+      expect(json.format).to.equal('html');
+      expect(json.errors).to.equal(0);
+      expect(json.badges).to.have.length(2);
+      expect(json.block).to.include('<p align="center">');
+      expect(json.block).to.include('https://badges.example.com/badge.svg?leftText=sponsor');
+    });
+
+    it('should return per-badge errors with a 200', async () => {
+      const res = await post({
+        badges: [
+          { preset: 'bitcoin', linkUrl: 'https://example.com' },
+          { badgeParams: { ticker: 'eth', recipient_address: '0x123' }, linkUrl: 'https://example.com' }
+        ]
+      });
+      const json = await res.json();
+
+      expect(res.status).to.equal(200);
+      expect(json.errors).to.equal(1);
+      expect(json.badges[1]).to.include({ isValid: false, coin: 'eth' });
+      expect(json.badges[1].error).to.include('Invalid ETH address');
+    });
+
+    it('should find custom presets', async () => {
+      const presetApp = createApp({
+        presetStore: createMemoryPresetStore({ acme: { badgeParams: { leftText: 'acme' }, altText: 'ACME' } })
+      });
+      const json = await (
+        await post({ badges: [{ preset: 'acme', linkUrl: 'https://example.com' }] }, presetApp)
+      ).json();
+
+      expect(json.badges[0]).to.include({ isValid: true, altText: 'ACME' });
+    });
+
+    it('should reject invalid batches', async () => {
+      const [missing, layout] = await Promise.all([
+        post({ format: 'markdown' }),
+        post({ badges: [{ preset: 'bitcoin', linkUrl: 'https://example.com' }], layout: 'grid' })
+      ]);
+
+      expect(missing.status).to.equal(400);
+      expect((await missing.json()).message).to.equal('Invalid batch request');
+      expect(layout.status).to.equal(400);
+      expect((await layout.json()).supportedLayouts).to.deep.equal(['inline', 'center', 'table']);
+    });
+
+    it('should reject malformed JSON with a 400', async () => {
+      const res = await app.fetch(new Request('http://localhost/generate-batch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"badges": ['
+      }));
+
+      expect(res.status).to.equal(400);
+      expect(await res.json()).to.deep.equal({
+        error: 'Request body must be JSON',
+        message: 'Invalid batch request'
+      });
+    });
+  });
+
+  describe('POST /readme/inject', () => {
+    const post = (body) =>
+      app.fetch(new Request('http://localhost/readme/inject', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      }));
+    const config = {
+      baseUrl: 'https://badges.example.com',
+      layout: 'center',
+      badges: [{ preset: 'bitcoin', linkUrl: 'https://example.com' }]
+    };
+
+    it('should replace the badges between the markers', async () => {
+      const res = await post({
+        readme: '# Project\n<!-- paybadge:start -->\nold\n<!-- paybadge:end -->\n',
+        config
+      });
+      const json = await res.json();
+
+      expect(res.status).to.equal(200);
+      expect(json.changed).to.equal(true);
+      expect(json.markers).to.equal(1);
+      expect(json.content).to.include('<!-- paybadge:start -->\n<p align="center">');
+      expect(json.content).to.not.include('old');
+
+      const again = await (await post({ readme: json.content, config })).json();
+      expect(again.changed).to.equal(false);
+    });
+
+    it('should reject missing README text, bad configs and missing markers', async () => {
+      const [missing, badConfig, noMarkers] = await Promise.all([
+        post({ config }),
+        post({ readme: '<!-- paybadge:start --><!-- paybadge:end -->', config: { badges: [] } }),
+        post({ readme: '# Project', config })
+      ]);
+
+      expect(missing.status).to.equal(400);
+      expect(badConfig.status).to.equal(400);
+      expect((await badConfig.json()).message).to.equal('Invalid paybadge config');
+      expect(noMarkers.status).to.equal(400);
+      expect((await noMarkers.json()).message).to.equal('Invalid README markers');
+    });
+
+    it('should reject malformed JSON with a 400', async () => {
+      const res = await app.fetch(new Request('http://localhost/readme/inject', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"readme": '
+      }));
+
+      expect(res.status).to.equal(400);
+      expect(await res.json()).to.deep.equal({
+        error: 'Request body must be JSON',
+        message: 'Invalid README request'
+      });
+    });
+  });
+
+  describe('Link validation', () => {
+    it('should reject rejected links on every code route', async () => {
+      const post = (path, body) =>
+        app.fetch(new Request(`http://localhost${path}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        }));
+
+      const responses = await Promise.all([
+        post('/generate-all-formats', { linkUrl: 'data:text/html,hi' }),
+        post('/generate-qr-code', { qrParams: { ticker: 'btc' }, linkUrl: 'javascript:alert(1)' }),
+        app.fetch(new Request('http://localhost/preset/bitcoin?linkUrl=javascript:alert(1)'))
+      ]);
+
+      expect(responses.map((res) => res.status)).to.deep.equal([400, 400, 400]);
+    });
+
+    it('should emit the trimmed link on every code route', async () => {
+      const post = (path, body) =>
+        app.fetch(new Request(`http://localhost${path}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ...body, linkUrl: ' https://example.com ' })
+        }));
+
+      const bodies = await Promise.all([
+        post('/generate-code', {}),
+        post('/generate-all-formats', {}),
+        post('/generate-qr-code', { qrParams: { ticker: 'btc' } })
+      ].map(async (res) => (await res).json()));
+
+      expect(bodies.map((json) => json.linkUrl)).to.deep.equal([
+        'https://example.com',
+        'https://example.com',
+        'https://example.com'
+      ]);
     });
   });
 
@@ -220,6 +1081,16 @@ describe('Badge Server (Hono)', () => {
       expect(json.code).to.include('Bitcoin Payment');
     });
 
+    it('should generate goal badge code', async () => {
+      const req = new Request('http://localhost/preset/goal?linkUrl=https://example.com&raised=250');
+      const res = await app.fetch(req);
+
+      expect(res.status).to.equal(200);
+      const json = await res.json();
+      expect(json.badgeUrl).to.include('/badge/goal.svg?');
+      expect(json.badgeUrl).to.include('raised=250');
+    });
+
     it('should return error for unknown preset', async () => {
       const req = new Request('http://localhost/preset/unknown?linkUrl=https://example.com');
       const res = await app.fetch(req);
@@ -231,6 +1102,203 @@ describe('Badge Server (Hono)', () => {
     });
   });
 
+  describe('GET /preset/:name.svg', () => {
+    it('should render a preset as an image', async () => {
+      const res = await app.fetch(new Request('http://localhost/preset/bitcoin.svg'));
+
+      expect(res.status).to.equal(200);
+      expect(res.headers.get('content-type')).to.equal('image/svg+xml');
+      expect(res.headers.get('cache-control')).to.equal('public, max-age=300, s-maxage=300');
+      const svg = await res.text();
+      expect(svg).to.include('bitcoin');
+      expect(svg).to.include('#f7931a');
+    });
+
+    it('should apply query overrides', async () => {
+      const res = await app.fetch(new Request('http://localhost/preset/bitcoin.svg?rightText=sats'));
+
+      expect(await res.text()).to.include('sats');
+    });
+
+    it('should render goal presets as goal badges', async () => {
+      const res = await app.fetch(new Request('http://localhost/preset/goal.svg?raised=500'));
+
+      expect(res.status).to.equal(200);
+      expect(await res.text()).to.include('50%');
+    });
+
+    it('should render PNGs and the crypto variant', async () => {
+      const [png, enhanced] = await Promise.all([
+        app.fetch(new Request('http://localhost/preset/donation.png')),
+        app.fetch(new Request('http://localhost/preset-crypto/donation.svg'))
+      ]);
+
+      expect(png.headers.get('content-type')).to.equal('image/png');
+      expect(enhanced.status).to.equal(200);
+      expect(await enhanced.text()).to.include('<svg');
+    });
+
+    it('should return 404 for unknown presets and 400 for invalid overrides', async () => {
+      const [missing, invalid] = await Promise.all([
+        app.fetch(new Request('http://localhost/preset/nope.svg')),
+        app.fetch(new Request('http://localhost/preset/bitcoin.svg?style=wavy'))
+      ]);
+
+      expect(missing.status).to.equal(404);
+      expect(invalid.status).to.equal(400);
+    });
+
+    it('should follow changes to custom presets', async () => {
+      const presetApp = createApp({
+        presetStore: createMemoryPresetStore({
+          acme: { badgeParams: { leftText: 'acme', rightColor: '#ff6600' }, altText: 'ACME' }
+        }),
+        adminToken: 'secret'
+      });
+      const render = async () =>
+        (await presetApp.fetch(new Request('http://localhost/preset/acme.svg'))).text();
+
+      expect(await render()).to.include('#ff6600');
+
+      await presetApp.fetch(new Request('http://localhost/presets/acme', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer secret' },
+        body: JSON.stringify({ badgeParams: { leftText: 'acme', rightColor: '#0066ff' } })
+      }));
+
+      expect(await render()).to.include('#0066ff');
+    });
+
+    it('should generate embed code with the short URL', async () => {
+      const res = await app.fetch(
+        new Request('http://localhost/preset/bitcoin?linkUrl=https://example.com&short=true')
+      );
+      const json = await res.json();
+
+      expect(json.badgeUrl).to.match(/\/preset\/bitcoin\.svg$/);
+    });
+  });
+
+  describe('Custom presets', () => {
+    let presetApp;
+
+    const send = (method, name, body, token = 'secret') =>
+      presetApp.fetch(new Request(`http://localhost/presets/${name}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      }));
+
+    const brand = {
+      badgeParams: { leftText: 'acme', rightText: 'sponsor', rightColor: '#ff6600' },
+      altText: 'Sponsor ACME'
+    };
+
+    beforeEach(() => {
+      presetApp = createApp({ presetStore: createMemoryPresetStore(), adminToken: 'secret' });
+    });
+
+    it('should disable preset changes without an admin token', async () => {
+      presetApp = createApp({ presetStore: createMemoryPresetStore() });
+      const responses = await Promise.all([
+        send('POST', 'acme', brand),
+        send('PUT', 'acme', brand),
+        send('DELETE', 'acme')
+      ]);
+
+      expect(responses.map((res) => res.status)).to.deep.equal([403, 403, 403]);
+      expect((await responses[0].json()).error).to.include('PRESETS_ADMIN_TOKEN');
+    });
+
+    it('should require the admin token as a bearer token', async () => {
+      const wrong = await send('POST', 'acme', brand, 'guess');
+      const missing = await presetApp.fetch(new Request('http://localhost/presets/acme', {
+        method: 'DELETE'
+      }));
+
+      expect(wrong.status).to.equal(401);
+      expect(wrong.headers.get('www-authenticate')).to.equal('Bearer');
+      expect(missing.status).to.equal(401);
+      expect((await presetApp.fetch(new Request('http://localhost/presets'))).status).to.equal(200);
+    });
+
+    it('should refuse new presets once the store is full', async () => {
+      presetApp = createApp({
+        presetStore: createMemoryPresetStore({ acme: brand }, { maxPresets: 1 }),
+        adminToken: 'secret'
+      });
+
+      const full = await send('POST', 'other', brand);
+      expect(full.status).to.equal(409);
+      expect((await full.json()).message).to.equal('Preset limit reached');
+      expect((await send('PUT', 'acme', brand)).status).to.equal(200);
+    });
+
+    it('should create a preset and use it for code generation', async () => {
+      const created = await send('POST', 'acme', brand);
+
+      expect(created.status).to.equal(201);
+      expect(await created.json()).to.deep.equal({ name: 'acme', ...brand });
+
+      const res = await presetApp.fetch(new Request('http://localhost/preset/acme?linkUrl=https://example.com'));
+      expect(res.status).to.equal(200);
+      const json = await res.json();
+      expect(json.code).to.include('Sponsor ACME');
+      expect(json.badgeUrl).to.include('leftText=acme');
+    });
+
+    it('should list custom presets next to the built-in ones', async () => {
+      await send('POST', 'acme', brand);
+
+      const json = await (await presetApp.fetch(new Request('http://localhost/presets'))).json();
+      expect(json.presets).to.include.members(['bitcoin', 'acme']);
+      expect(json.descriptions.acme.builtIn).to.equal(false);
+      expect(json.descriptions.bitcoin.builtIn).to.equal(true);
+    });
+
+    it('should refuse to create a preset twice but allow PUT to replace it', async () => {
+      await send('POST', 'acme', brand);
+
+      expect((await send('POST', 'acme', brand)).status).to.equal(409);
+
+      const replaced = await send('PUT', 'acme', { badgeParams: { leftText: 'acme', rightText: 'tip' } });
+      expect(replaced.status).to.equal(200);
+      expect((await replaced.json()).altText).to.equal('Crypto Payment');
+    });
+
+    it('should protect built-in presets', async () => {
+      const responses = await Promise.all([
+        send('POST', 'bitcoin', brand),
+        send('PUT', 'Bitcoin', brand),
+        send('DELETE', 'multiCrypto')
+      ]);
+
+      expect(responses.map((res) => res.status)).to.deep.equal([403, 403, 403]);
+    });
+
+    it('should delete custom presets', async () => {
+      await send('POST', 'acme', brand);
+
+      expect((await send('DELETE', 'acme')).status).to.equal(200);
+      expect((await send('DELETE', 'acme')).status).to.equal(404);
+    });
+
+    it('should validate names and badgeParams', async () => {
+      const responses = await Promise.all([
+        send('POST', 'bad.name', brand),
+        send('POST', 'acme', { badgeParams: { leftText: 'x', onload: 'alert(1)' } }),
+        send('POST', 'acme', { badgeParams: { rightColor: 'not-a-color' } }),
+        send('POST', 'acme', { badgeParams: { style: 'wavy' } })
+      ]);
+
+      expect(responses.map((res) => res.status)).to.deep.equal([400, 400, 400, 400]);
+      const bodies = await Promise.all(responses.slice(1).map((res) => res.json()));
+      expect(bodies[0].error).to.include('Unknown badge parameter: onload');
+      expect(bodies[1].error).to.include('Invalid rightColor');
+      expect(bodies[2].error).to.include('Unknown style');
+    });
+  });
+
   describe('Error handling', () => {
     it('should return 404 for unknown routes', async () => {
       const req = new Request('http://localhost/unknown-route');
@@ -0,0 +1,344 @@
+import { expect } from 'chai';
+import http from 'http';
+import {
+  ENDPOINT_CACHE_SECONDS,
+  ENDPOINT_ERROR_CACHE_SECONDS,
+  ENDPOINT_MAX_BYTES,
+  ENDPOINT_MAX_CACHE_SECONDS,
+  parseShieldsPath,
+  applyShieldsQuery,
+  parseEndpointDocument,
+  validateEndpointUrl,
+  isPrivateAddress,
+  resolveEndpointBadge,
+  toEndpointDocument
+} from '../src/shields.js';
+import { validateBadgeParams } from '../src/badge-generator.js';
+
+/**
+ * Starts a local HTTP stand-in that serves fixed responses by path
+ * @param {Object} routes - Map of path to { status, body }
+ * @returns {Promise<Object>} - { server, baseUrl }
+ */
+async function startEndpointServer(routes) {
+  const server = http.createServer((req, res) => {
+    const route = routes[req.url] || { status: 404, body: 'Not Found' };
+    res.writeHead(route.status, { 'Content-Type': 'application/json' });
+    res.end(typeof route.body === 'string' ? route.body : JSON.stringify(route.body));
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+describe('Shields Compatibility', () => {
+  describe('parseShieldsPath', () => {
+    it('should split label, message and color', () => {
+      expect(parseShieldsPath('donate-bitcoin-f7931a').params).to.deep.equal({
+        leftText: 'donate',
+        rightText: 'bitcoin',
+        rightColor: 'f7931a'
+      });
+    });
+
+    it('should decode escaped dashes, underscores and spaces', () => {
+      expect(parseShieldsPath('pay--badge-buy_me_a__coffee-blue').params).to.deep.equal({
+        leftText: 'pay-badge',
+        rightText: 'buy me a_coffee',
+        rightColor: 'blue'
+      });
+    });
+
+    it('should read message-color paths as badges without a label', () => {
+      expect(parseShieldsPath('bitcoin-orange').params).to.deep.equal({
+        leftText: '',
+        rightText: 'bitcoin',
+        rightColor: 'orange'
+      });
+    });
+
+    it('should keep an empty label empty', () => {
+      expect(parseShieldsPath('-bitcoin-orange').params.leftText).to.equal('');
+    });
+
+    it('should reject paths without two or three parts', () => {
+      expect(parseShieldsPath('bitcoin').isValid).to.equal(false);
+      expect(parseShieldsPath('a-b-c-d').error).to.include('label-message-color');
+      expect(parseShieldsPath('donate--orange').isValid).to.equal(false);
+      expect(parseShieldsPath('-orange').isValid).to.equal(false);
+    });
+  });
+
+  describe('applyShieldsQuery', () => {
+    it('should map shields query parameters over the path', () => {
+      const params = applyShieldsQuery(
+        { leftText: 'donate', rightText: 'bitcoin', rightColor: 'orange' },
+        { label: 'tip', labelColor: '333', color: 'green', style: 'flat-square' }
+      );
+
+      expect(params).to.deep.equal({
+        leftText: 'tip',
+        rightText: 'bitcoin',
+        leftColor: '333',
+        rightColor: 'green',
+        style: 'flat-square'
+      });
+    });
+  });
+
+  describe('parseEndpointDocument', () => {
+    it('should convert a document to badge parameters', () => {
+      const endpoint = parseEndpointDocument({
+        schemaVersion: 1,
+        label: 'donations',
+        message: '42 BTC',
+        color: 'orange',
+        labelColor: '222',
+        namedLogo: 'bitcoin',
+        style: 'plastic',
+        cacheSeconds: 3600
+      });
+
+      expect(endpoint.params).to.deep.equal({
+        leftText: 'donations',
+        rightText: '42 BTC',
+        rightColor: 'orange',
+        leftColor: '222',
+        icon: 'bitcoin',
+        style: 'plastic'
+      });
+      expect(endpoint.cacheSeconds).to.equal(3600);
+    });
+
+    it('should apply the shields defaults', () => {
+      const endpoint = parseEndpointDocument({ schemaVersion: 1, label: 'build', message: 'ok' });
+
+      expect(endpoint.params.rightColor).to.equal('lightgrey');
+      expect(endpoint.cacheSeconds).to.equal(ENDPOINT_CACHE_SECONDS);
+      expect(
+        parseEndpointDocument({ schemaVersion: 1, label: 'a', message: 'b', isError: true }).params
+          .rightColor
+      ).to.equal('red');
+    });
+
+    it('should cap the cache lifetime', () => {
+      const endpoint = parseEndpointDocument({
+        schemaVersion: 1,
+        label: 'build',
+        message: 'ok',
+        cacheSeconds: 31536000
+      });
+
+      expect(endpoint.cacheSeconds).to.equal(ENDPOINT_MAX_CACHE_SECONDS);
+    });
+
+    it('should ignore logos we have no icon for', () => {
+      const endpoint = parseEndpointDocument({
+        schemaVersion: 1,
+        label: 'a',
+        message: 'b',
+        namedLogo: 'github'
+      });
+
+      expect(endpoint.params).to.not.have.property('icon');
+    });
+
+    it('should reject documents that do not match the schema', () => {
+      expect(parseEndpointDocument([]).isValid).to.equal(false);
+      expect(
+        parseEndpointDocument({ schemaVersion: 2, label: 'a', message: 'b' }).error
+      ).to.include('schemaVersion');
+      expect(parseEndpointDocument({ schemaVersion: 1, label: 'a' }).isValid).to.equal(false);
+    });
+  });
+
+  describe('isPrivateAddress', () => {
+    it('should flag loopback, private, link-local and reserved addresses', () => {
+      [
+        '127.0.0.1',
+        '10.1.2.3',
+        '172.16.0.1',
+        '192.168.1.1',
+        '169.254.169.254',
+        '100.64.0.1',
+        '0.0.0.0',
+        '::1',
+        '::',
+        'fd00::1',
+        'fe80::1',
+        '::ffff:127.0.0.1',
+        '64:ff9b::a9fe:a9fe',
+        '64:ff9b:1::a00:1'
+      ].forEach((address) => expect(isPrivateAddress(address), address).to.equal(true));
+    });
+
+    it('should allow public addresses', () => {
+      ['93.184.216.34', '8.8.8.8', '172.32.0.1', '2606:4700::1111'].forEach((address) =>
+        expect(isPrivateAddress(address), address).to.equal(false)
+      );
+    });
+  });
+
+  describe('validateEndpointUrl', () => {
+    it('should accept http and https URLs', () => {
+      expect(validateEndpointUrl('https://example.com/badge.json').url).to.equal(
+        'https://example.com/badge.json'
+      );
+    });
+
+    it('should reject private network addresses unless allowed', () => {
+      expect(validateEndpointUrl('http://169.254.169.254/latest/meta-data').error).to.include(
+        'Private network'
+      );
+      expect(validateEndpointUrl('http://127.0.0.1:8080/badge.json').isValid).to.equal(false);
+      expect(validateEndpointUrl('http://[::1]/badge.json').isValid).to.equal(false);
+      expect(
+        validateEndpointUrl('http://127.0.0.1:8080/badge.json', { allowPrivateNetworks: true })
+          .isValid
+      ).to.equal(true);
+    });
+
+    it('should reject relative URLs and other schemes', () => {
+      expect(validateEndpointUrl('badge.json').isValid).to.equal(false);
+      expect(validateEndpointUrl('file:///etc/passwd').error).to.include('http');
+      expect(validateEndpointUrl(undefined).isValid).to.equal(false);
+    });
+  });
+
+  describe('resolveEndpointBadge', () => {
+    const originalWarn = console.warn;
+    // The stand-in listens on loopback, which endpoint badges refuse by default
+    const local = { allowPrivateNetworks: true };
+    let server;
+    let baseUrl;
+
+    before(async () => {
+      ({ server, baseUrl } = await startEndpointServer({
+        '/ok.json': { status: 200, body: { schemaVersion: 1, label: 'raised', message: '$420' } },
+        '/invalid.json': { status: 200, body: { label: 'raised' } },
+        '/broken.json': { status: 200, body: '{' },
+        '/huge.json': {
+          status: 200,
+          body: { schemaVersion: 1, label: 'raised', message: 'x'.repeat(ENDPOINT_MAX_BYTES) }
+        }
+      }));
+    });
+
+    after(() => {
+      server.close();
+    });
+
+    beforeEach(() => {
+      console.warn = () => {};
+    });
+
+    afterEach(() => {
+      console.warn = originalWarn;
+    });
+
+    it('should return validated parameters from the document', async () => {
+      const badge = await resolveEndpointBadge(`${baseUrl}/ok.json`, { color: 'green' }, local);
+
+      expect(badge.available).to.equal(true);
+      expect(badge.params.leftText).to.equal('raised');
+      expect(badge.params.rightText).to.equal('$420');
+      expect(badge.params.rightColor).to.equal('#97ca00');
+    });
+
+    it('should fall back to an inaccessible badge when the request fails', async () => {
+      const missing = await resolveEndpointBadge(`${baseUrl}/missing.json`, {}, local);
+      const broken = await resolveEndpointBadge(`${baseUrl}/broken.json`, {}, local);
+
+      expect(missing.available).to.equal(false);
+      expect(missing.params.rightText).to.equal('inaccessible');
+      expect(missing.cacheSeconds).to.equal(ENDPOINT_ERROR_CACHE_SECONDS);
+      expect(broken.params.rightText).to.equal('inaccessible');
+    });
+
+    it('should refuse private hosts unless allowed', async () => {
+      const badge = await resolveEndpointBadge(`${baseUrl}/ok.json`);
+
+      expect(badge.available).to.equal(false);
+      expect(badge.params.rightText).to.equal('inaccessible');
+    });
+
+    it('should connect to the address it checked instead of resolving the host again', async () => {
+      // The first answer is the stand-in; any later one would point somewhere unreachable
+      const answers = [
+        [{ address: '127.0.0.1', family: 4 }],
+        [{ address: '10.255.255.1', family: 4 }]
+      ];
+      const lookup = async () => answers.shift();
+      const { port } = new URL(baseUrl);
+
+      const badge = await resolveEndpointBadge(
+        `http://rebind.test:${port}/ok.json`,
+        {},
+        {
+          ...local,
+          lookup
+        }
+      );
+
+      expect(badge.available).to.equal(true);
+      expect(answers).to.have.length(1);
+    });
+
+    it('should refuse host names with any private address', async () => {
+      const lookup = async () => [
+        { address: '93.184.216.34', family: 4 },
+        { address: '64:ff9b::a9fe:a9fe', family: 6 }
+      ];
+
+      const badge = await resolveEndpointBadge('http://rebind.test/ok.json', {}, { lookup });
+
+      expect(badge.available).to.equal(false);
+      expect(badge.params.rightText).to.equal('inaccessible');
+    });
+
+    it('should not read documents larger than the limit', async () => {
+      const badge = await resolveEndpointBadge(`${baseUrl}/huge.json`, {}, local);
+
+      expect(badge.available).to.equal(false);
+      expect(badge.params.rightText).to.equal('inaccessible');
+    });
+
+    it('should fall back to an invalid badge for documents outside the schema', async () => {
+      const badge = await resolveEndpointBadge(`${baseUrl}/invalid.json`, {}, local);
+
+      expect(badge.available).to.equal(false);
+      expect(badge.params.leftText).to.equal('custom badge');
+      expect(badge.params.rightText).to.equal('invalid');
+    });
+  });
+
+  describe('toEndpointDocument', () => {
+    it('should describe badge parameters in the endpoint schema', () => {
+      const { params } = validateBadgeParams({
+        leftText: 'donate',
+        rightText: 'bitcoin',
+        rightColor: 'bitcoin',
+        icon: 'btc'
+      });
+
+      expect(toEndpointDocument(params)).to.deep.equal({
+        schemaVersion: 1,
+        label: 'donate',
+        message: 'bitcoin',
+        color: '#f7931a',
+        labelColor: '#555',
+        style: 'flat',
+        namedLogo: 'bitcoin'
+      });
+    });
+
+    it('should join the segments after the first into the message', () => {
+      const { params } = validateBadgeParams({ segments: 'donate,BTC:bitcoin,ETH:ethereum' });
+      const document = toEndpointDocument(params);
+
+      expect(document.label).to.equal('donate');
+      expect(document.message).to.equal('BTC | ETH');
+      expect(document.color).to.equal('#627eea');
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import { expect } from 'chai';
+import {
+  splitGraphemes,
+  countGraphemes,
+  truncateGraphemes,
+  stripInvalidXmlChars,
+  escapeXml
+} from '../src/text.js';
+
+describe('Badge Text', () => {
+  describe('splitGraphemes', () => {
+    it('should keep combined characters together', () => {
+      expect(splitGraphemes('éa')).to.deep.equal(['é', 'a']);
+      expect(splitGraphemes('👍🏽🇺🇸')).to.deep.equal(['👍🏽', '🇺🇸']);
+    });
+  });
+
+  describe('countGraphemes', () => {
+    it('should count user-perceived characters rather than UTF-16 units', () => {
+      expect(countGraphemes('👨‍👩‍👧')).to.equal(1);
+      expect(countGraphemes('捐款')).to.equal(2);
+      expect(countGraphemes('café')).to.equal(4);
+    });
+  });
+
+  describe('truncateGraphemes', () => {
+    it('should never split a grapheme cluster', () => {
+      expect(truncateGraphemes('ab👨‍👩‍👧cd', 3)).to.equal('ab👨‍👩‍👧');
+    });
+  });
+
+  describe('stripInvalidXmlChars', () => {
+    it('should remove control characters and lone surrogates', () => {
+      expect(stripInvalidXmlChars('a\u0000b\u001fc\ud800d')).to.equal('abcd');
+    });
+
+    it('should keep tabs, newlines and emoji', () => {
+      expect(stripInvalidXmlChars('a\tb\nc🚀')).to.equal('a\tb\nc🚀');
+    });
+  });
+
+  describe('escapeXml', () => {
+    it('should escape markup and quotes', () => {
+      expect(escapeXml(`<a href="x">Tom & Jerry's</a>`)).to.equal(
+        '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;'
+      );
+    });
+  });
+});